@@ -0,0 +1,33 @@
+import { Zap } from 'lucide-react';
+import { bernoulli } from '../lib/engine';
+import { altitudeField, nonNegative, positive, quantityField, withReference } from './fields';
+
+export default {
+  id: 'bernoulli',
+  name: 'Equação de Bernoulli',
+  icon: Zap,
+  color: 'from-purple-500 to-violet-500',
+  description: 'Conservação de energia no escoamento',
+  inputs: [
+    withReference(quantityField('pressure1', 'Pressão no Ponto 1 (P₁)', 'pressure')),
+    nonNegative(quantityField('velocity1', 'Velocidade no Ponto 1 (v₁)', 'velocity')),
+    quantityField('height1', 'Altura no Ponto 1 (h₁)', 'length'),
+    nonNegative(quantityField('velocity2', 'Velocidade no Ponto 2 (v₂)', 'velocity')),
+    quantityField('height2', 'Altura no Ponto 2 (h₂)', 'length'),
+    positive(quantityField('density', 'Densidade do Fluido (ρ)', 'density')),
+    altitudeField()
+  ],
+  // Campos preenchidos pela biblioteca de fluidos (propriedade → campo).
+  fluidFields: { density: 'density' },
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: quantityField('result', 'Pressão no Ponto 2 (P₂)', 'pressure'),
+  formula: {
+    title: 'Equação de Bernoulli',
+    formula: 'P + ½ρv² + ρgh = constante',
+    description: 'A equação de Bernoulli descreve a conservação de energia para um fluido em movimento. A soma da pressão (P), da energia cinética (½ρv²) e da energia potencial (ρgh) permanece constante ao longo de uma linha de corrente.'
+  },
+  resultUnit: 'Pa',
+  // Constantes das configurações usadas no cálculo.
+  constants: ['gravity'],
+  compute: bernoulli
+};
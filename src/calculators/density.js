@@ -0,0 +1,24 @@
+import { Weight } from 'lucide-react';
+import { density } from '../lib/engine';
+import { positive, quantityField } from './fields';
+
+export default {
+  id: 'density',
+  name: 'Densidade',
+  icon: Weight,
+  color: 'from-purple-500 to-fuchsia-600',
+  description: 'Calcular densidade do fluido',
+  inputs: [
+    positive(quantityField('mass', 'Massa (m)', 'mass')),
+    positive(quantityField('volume', 'Volume (V)', 'volume'))
+  ],
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: positive(quantityField('result', 'Densidade (ρ)', 'density')),
+  formula: {
+    title: 'Densidade (ρ)',
+    formula: 'ρ = m / V',
+    description: 'A densidade (ρ) de uma substância é a sua massa (m) por unidade de volume (V).'
+  },
+  resultUnit: 'kg/m³',
+  compute: density
+};
@@ -0,0 +1,35 @@
+import { Zap } from 'lucide-react';
+import { energyEquation } from '../lib/engine';
+import { altitudeField, nonNegative, positive, quantityField, withReference } from './fields';
+
+export default {
+  id: 'energy-equation',
+  name: 'Equação da Energia',
+  icon: Zap,
+  color: 'from-blue-500 to-green-600',
+  description: 'Calcular carga manométrica da bomba',
+  inputs: [
+    quantityField('z1', 'Cota no Ponto 1 (z₁)', 'length'),
+    quantityField('z2', 'Cota no Ponto 2 (z₂)', 'length'),
+    withReference(quantityField('p1', 'Pressão no Ponto 1 (P₁)', 'pressure')),
+    withReference(quantityField('p2', 'Pressão no Ponto 2 (P₂)', 'pressure')),
+    nonNegative(quantityField('v1', 'Velocidade no Ponto 1 (v₁)', 'velocity')),
+    nonNegative(quantityField('v2', 'Velocidade no Ponto 2 (v₂)', 'velocity')),
+    nonNegative(quantityField('headLoss', 'Perda de Carga Total (hₜ)', 'length')),
+    positive(quantityField('density', 'Densidade do Fluido (ρ)', 'density')),
+    altitudeField()
+  ],
+  // Campos preenchidos pela biblioteca de fluidos (propriedade → campo).
+  fluidFields: { density: 'density' },
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: quantityField('result', 'Carga Manométrica (Hₘ)', 'length'),
+  formula: {
+    title: 'Equação da Energia para Carga Manométrica (Hₘ)',
+    formula: 'Hₘ = (z₂-z₁) + (P₂-P₁)/(ρg) + (v₂²-v₁²)/(2g) + hₜ',
+    description: 'A carga manométrica da bomba é calculada pela equação da energia, considerando a diferença de cotas (z₂-z₁), a diferença de pressões (P₂-P₁), a diferença de energias cinéticas (v₂²-v₁²) e a perda de carga total (hₜ).'
+  },
+  resultUnit: 'm',
+  // Constantes das configurações usadas no cálculo.
+  constants: ['gravity'],
+  compute: energyEquation
+};
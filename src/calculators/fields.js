@@ -0,0 +1,103 @@
+/**
+ * Construtores dos campos de entrada usados nas definições das calculadoras.
+ */
+import { siUnitOf } from '../lib/engine';
+
+// Unidades oferecidas nos seletores de cada tipo de medida.
+export const unitOptions = {
+  velocity: ['m/s', 'km/h', 'ft/s', 'mph'],
+  area: ['m²', 'cm²', 'ft²', 'in²'],
+  force: ['N', 'kN', 'lbf'],
+  pressure: ['Pa', 'kPa', 'bar', 'psi', 'atm', 'mca'],
+  mass: ['kg', 'g', 'lb', 'ton'],
+  volume: ['m³', 'L', 'cm³', 'gal (US)', 'ft³'],
+  density: ['kg/m³', 'g/cm³', 'lb/ft³'],
+  length: ['m', 'cm', 'mm', 'ft', 'in'],
+  viscosity: ['Pa·s', 'cP (centiPoise)', 'P (Poise)'],
+  flow: ['m³/s', 'm³/h', 'L/s', 'L/min', 'gal/min (US)'],
+  power: ['W', 'kW', 'hp', 'cv'],
+  temperature: ['°C', 'K', '°F', '°R']
+};
+
+/**
+ * Campo numérico com seletor de unidade. A unidade padrão é a do SI,
+ * a menos que outra seja informada.
+ */
+export function quantityField(field, label, unitType, defaultUnit = siUnitOf(unitType)) {
+  return { field, label, unitType, units: unitOptions[unitType], defaultUnit };
+}
+
+/**
+ * Campo numérico sem conversão de unidades (adimensional ou porcentagem).
+ */
+export function scalarField(field, label, unitType = 'dimensionless', unit = '') {
+  return { field, label, unitType, units: [unit], defaultUnit: unit };
+}
+
+/**
+ * Campo de seleção entre opções fixas ({ value, label }).
+ */
+export function selectField(field, label, options, defaultValue = options[0]?.value) {
+  return { field, label, kind: 'select', options, defaultValue };
+}
+
+/**
+ * Marca um campo como opcional: a calculadora pode ser executada com ele vazio.
+ */
+export function optional(input, placeholder) {
+  return { ...input, optional: true, placeholder };
+}
+
+/**
+ * Faixa física aceita pelo campo, conferida no valor convertido para o SI
+ * (porcentagens em %): { min, max, exclusiveMin, exclusiveMax }, limites inclusivos por padrão.
+ */
+export function limits(input, rules) {
+  return { ...input, rules };
+}
+
+/**
+ * Campo que deve ser maior que zero (diâmetros, comprimentos, densidades, viscosidades...).
+ */
+export function positive(input) {
+  return limits(input, { min: 0, exclusiveMin: true });
+}
+
+/**
+ * Campo que aceita zero, mas não valores negativos (velocidades, perdas de carga, rugosidades...).
+ */
+export function nonNegative(input) {
+  return limits(input, { min: 0 });
+}
+
+/**
+ * Pressão com referência selecionável, manométrica ('gauge') ou absoluta ('absolute').
+ * A escolha fica em 'inputs.pressureReference'; 'reference' é a referência padrão do campo.
+ */
+export function withReference(input, reference = 'gauge') {
+  return { ...input, reference };
+}
+
+/**
+ * Altitude do local, usada para calcular a pressão atmosférica local (atmosfera padrão,
+ * válida na troposfera). Vazia, vale a atmosfera padrão ao nível do mar.
+ */
+export function altitudeField() {
+  return optional(limits(quantityField('altitude', 'Altitude do Local', 'length'), { min: -500, max: 11000 }), 'Vazio = nível do mar');
+}
+
+/**
+ * Permite preencher o campo a partir do catálogo de tubos:
+ * 'roughness' (material) ou 'diameter' (diâmetro nominal comercial).
+ */
+export function fromCatalog(input, catalog) {
+  return { ...input, catalog };
+}
+
+/**
+ * Permite calcular um campo de área a partir da geometria da seção
+ * (círculo, coroa circular, retângulo ou tubo parcialmente cheio).
+ */
+export function fromGeometry(input) {
+  return { ...input, geometry: true };
+}
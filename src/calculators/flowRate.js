@@ -0,0 +1,24 @@
+import { Droplets } from 'lucide-react';
+import { flowRate } from '../lib/engine';
+import { fromGeometry, nonNegative, positive, quantityField } from './fields';
+
+export default {
+  id: 'flow-rate',
+  name: 'Vazão',
+  icon: Droplets,
+  color: 'from-purple-500 to-violet-600',
+  description: 'Calcular vazão volumétrica ou mássica',
+  inputs: [
+    nonNegative(quantityField('velocity', 'Velocidade (v)', 'velocity')),
+    fromGeometry(positive(quantityField('area', 'Área da Seção Transversal (A)', 'area')))
+  ],
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: nonNegative(quantityField('result', 'Vazão (Q)', 'flow')),
+  formula: {
+    title: 'Vazão (Q)',
+    formula: 'Q = v × A',
+    description: 'A vazão (Q) é o produto da velocidade do fluido (v) pela área da seção transversal (A) do duto.'
+  },
+  resultUnit: 'm³/s',
+  compute: flowRate
+};
@@ -0,0 +1,36 @@
+import { Zap } from 'lucide-react';
+import { frictionFactor, frictionCorrelations } from '../lib/engine';
+import MoodyDiagram from '../components/MoodyDiagram';
+import { nonNegative, positive, scalarField, selectField } from './fields';
+
+const correlationOptions = Object.entries(frictionCorrelations).map(([value, correlation]) => ({
+  value,
+  label: correlation.label
+}));
+
+export default {
+  id: 'friction-factor',
+  name: 'Fator de Atrito',
+  icon: Zap,
+  color: 'from-orange-500 to-red-600',
+  description: 'Calcular fator de atrito (Colebrook-White, Haaland, Churchill, Swamee-Jain)',
+  inputs: [
+    positive(scalarField('reynolds', 'Número de Reynolds (Re)')),
+    nonNegative(scalarField('relativeRoughness', 'Rugosidade Relativa (ε/D)')),
+    selectField('correlation', 'Correlação', correlationOptions, 'colebrook')
+  ],
+  // A fórmula exibida acompanha a correlação selecionada.
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: positive(scalarField('result', 'Fator de Atrito (f)')),
+  formula: (inputs) => {
+    const correlation = frictionCorrelations[inputs.correlation || 'colebrook'];
+    return {
+      title: `Fator de Atrito (f) - Equação de ${correlation.label}`,
+      formula: correlation.formula,
+      description: 'O fator de atrito de Darcy-Weisbach depende da rugosidade relativa (ε/D) e do número de Reynolds (Re). A equação de Colebrook-White é implícita e resolvida iterativamente; Haaland, Churchill e Swamee-Jain são aproximações explícitas. Para Re < 2300 (escoamento laminar) é usada automaticamente f = 64/Re.'
+    };
+  },
+  resultUnit: '(adimensional)',
+  panels: [MoodyDiagram],
+  compute: frictionFactor
+};
@@ -0,0 +1,30 @@
+import { TrendingUp } from 'lucide-react';
+import { headLoss } from '../lib/engine';
+import { fromCatalog, nonNegative, optional, positive, quantityField, scalarField } from './fields';
+
+export default {
+  id: 'head-loss',
+  name: 'Perda de Carga',
+  icon: TrendingUp,
+  color: 'from-red-500 to-orange-600',
+  description: 'Calcular perda de carga total',
+  inputs: [
+    positive(scalarField('frictionFactor', 'Fator de Atrito (f)')),
+    positive(quantityField('length', 'Comprimento da Tubulação (L)', 'length')),
+    fromCatalog(positive(quantityField('diameter', 'Diâmetro da Tubulação (D)', 'length')), 'diameter'),
+    nonNegative(quantityField('velocity', 'Velocidade do Escoamento (v)', 'velocity')),
+    optional(nonNegative(scalarField('kSum', 'Outros Coeficientes de Perda Localizada (Σk)')), 'Opcional: somado aos acessórios'),
+    { field: 'fittings', label: 'Acessórios e Válvulas', kind: 'fittings', optional: true }
+  ],
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: nonNegative(quantityField('result', 'Perda de Carga Total (hₜ)', 'length')),
+  formula: {
+    title: 'Perda de Carga Total (hₜ)',
+    formula: 'hₜ = f × (L/D) × (v²/2g) + Σk × (v²/2g)',
+    description: 'A perda de carga total é a soma da perda de carga distribuída (primeiro termo) e da perda de carga localizada (segundo termo). Onde f é o fator de atrito, L é o comprimento do tubo, D é o diâmetro, v é a velocidade do fluido, g é a aceleração da gravidade e Σk é a soma dos coeficientes de perda localizada dos acessórios e válvulas listados (K × quantidade) mais os coeficientes informados à parte.'
+  },
+  resultUnit: 'm',
+  // Constantes das configurações usadas no cálculo.
+  constants: ['gravity'],
+  compute: headLoss
+};
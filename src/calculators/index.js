@@ -0,0 +1,547 @@
+/**
+ * Registro das calculadoras disponíveis na aplicação.
+ *
+ * Cada calculadora é um objeto de definição em seu próprio arquivo, contendo:
+ * - metadados do card (id, name, icon, color, description);
+ * - inputs: campos de entrada com tipo de unidade e unidade padrão;
+ * - formula: título, fórmula e descrição exibidos em "Ver Fórmula" (objeto ou função das entradas);
+ * - resultUnit: unidade do resultado (texto ou função das entradas);
+ * - resultType (opcional): tipo de medida do resultado das calculadoras sem 'output',
+ *   para exibi-lo em outras unidades;
+ * - compute: função pura do motor de cálculo (src/lib/engine);
+ * - kind (opcional, por campo): 'select', 'fittings' ou 'pump-curve', campos com componente próprio;
+ * - catalog (opcional, por campo): preenchimento pelo catálogo de tubos ('roughness' ou 'diameter');
+ * - geometry (opcional, por campo): cálculo da área pela geometria da seção;
+ * - reference (opcional, por campo): pressão com referência manométrica ou absoluta selecionável;
+ * - constants (opcional): constantes das configurações usadas no cálculo ('gravity', 'columnFluid'),
+ *   documentadas no início da explicação;
+ * - rules (opcional, por campo): faixa física aceita ({ min, max, exclusiveMin, exclusiveMax }, no SI);
+ * - fluidFields (opcional): propriedades da biblioteca de fluidos que preenchem campos de entrada;
+ * - output (opcional): campo do resultado; habilita resolver a fórmula para qualquer entrada numérica;
+ * - panels (opcional): componentes extras exibidos abaixo do resultado (ex.: diagrama de Moody).
+ *
+ * Para adicionar uma calculadora basta criar o arquivo de definição e incluí-lo na lista abaixo.
+ */
+import { formatInputNumber, stepFormat } from '../lib/format';
+import { numberFormat, physicalConstants } from '../lib/settings';
+import { createTranslator } from '../lib/i18n';
+import {
+  DimensionError,
+  fittings,
+  fixed,
+  fluidProperties,
+  fluids,
+  fluidSteps,
+  formatSteps,
+  fromSI,
+  pressureReferences,
+  scalar,
+  sectionArea,
+  siUnitOf,
+  solveForInput,
+  step,
+  toSI
+} from '../lib/engine';
+import { unitOptions } from './fields';
+import flowRate from './flowRate';
+import velocityFlow from './velocityFlow';
+import pressure from './pressure';
+import density from './density';
+import waterColumn from './waterColumn';
+import reynolds from './reynolds';
+import relativeRoughness from './relativeRoughness';
+import frictionFactor from './frictionFactor';
+import headLoss from './headLoss';
+import energyEquation from './energyEquation';
+import pumpPower from './pumpPower';
+import pumpOperatingPoint from './pumpOperatingPoint';
+import npsh from './npsh';
+import bernoulli from './bernoulli';
+import unitConversion from './unitConversion';
+
+// Ordem em que as calculadoras aparecem na tela inicial.
+export const calculators = [
+  flowRate,
+  velocityFlow,
+  pressure,
+  density,
+  waterColumn,
+  reynolds,
+  relativeRoughness,
+  frictionFactor,
+  headLoss,
+  energyEquation,
+  pumpPower,
+  pumpOperatingPoint,
+  npsh,
+  bernoulli,
+  unitConversion
+];
+
+// Busca a definição de uma calculadora pelo id.
+export function getCalculator(id) {
+  return calculators.find(calculator => calculator.id === id) || null;
+}
+
+// Entradas numéricas da calculadora (sem os campos com componente próprio).
+export function numericInputs(calculator) {
+  return calculator.inputs.filter(input => !input.kind);
+}
+
+// Entradas numéricas que podem ser escolhidas como incógnita (apenas calculadoras com 'output').
+export function solvableInputs(calculator) {
+  return calculator.output ? numericInputs(calculator) : [];
+}
+
+// Campo escolhido como incógnita em 'inputs.solveFor', ou null no sentido direto da fórmula.
+export function getUnknown(calculator, inputs) {
+  return solvableInputs(calculator).find(input => input.field === inputs.solveFor) || null;
+}
+
+// Campos exibidos no formulário: ao resolver para uma entrada, ela dá lugar ao resultado desejado.
+export function getInputFields(calculator, inputs) {
+  const unknown = getUnknown(calculator, inputs);
+  return unknown ? calculator.inputs.map(input => (input === unknown ? calculator.output : input)) : calculator.inputs;
+}
+
+// Unidade (SI) em que a incógnita é apresentada.
+const unknownUnit = (input) => siUnitOf(input.unitType) || input.defaultUnit || '(adimensional)';
+
+// Retorna a unidade do resultado de uma calculadora para as entradas atuais.
+export function getResultUnit(calculator, inputs) {
+  const unknown = getUnknown(calculator, inputs);
+  if (unknown) return unknownUnit(unknown);
+  const { resultUnit } = calculator;
+  return typeof resultUnit === 'function' ? resultUnit(inputs) : resultUnit || '';
+}
+
+// Casas decimais do resultado; a configuração da calculadora vale apenas no sentido direto.
+export function getResultDecimals(calculator, inputs) {
+  return getUnknown(calculator, inputs) ? undefined : calculator.resultDecimals;
+}
+
+// Tipo de medida do resultado (da incógnita, do campo 'output' ou de 'resultType'), ou null.
+export function getResultType(calculator, inputs) {
+  const unknown = getUnknown(calculator, inputs);
+  return (unknown || calculator.output)?.unitType || calculator.resultType || null;
+}
+
+// Unidades em que o resultado pode ser exibido; vazio se o tipo de medida não tiver alternativas.
+export function getResultUnitOptions(calculator, inputs) {
+  const options = unitOptions[getResultType(calculator, inputs)] || [];
+  return options.length > 1 ? options : [];
+}
+
+/**
+ * Resultado na unidade preferida para o seu tipo de medida ('resultUnits': { [tipo]: unidade },
+ * salvo nas configurações). Retorna { value, unit, decimals, reference }; sem preferência válida,
+ * o valor fica na unidade do cálculo. 'reference' é a referência da pressão resolvida como
+ * incógnita ('gauge' ou 'absolute'), ou undefined.
+ */
+export function getResultDisplay(calculator, inputs, value, resultUnits = {}) {
+  const unit = getResultUnit(calculator, inputs);
+  const type = getResultType(calculator, inputs);
+  const unknown = getUnknown(calculator, inputs);
+  const reference = unknown?.reference ? getPressureReference(unknown, inputs) : undefined;
+  const preferred = resultUnits[type];
+  if (!preferred || preferred === unit || !getResultUnitOptions(calculator, inputs).includes(preferred)) {
+    return { value, unit, decimals: getResultDecimals(calculator, inputs), reference };
+  }
+  return { value: value === null ? null : fromSI(value, preferred, type), unit: preferred, decimals: undefined, reference };
+}
+
+// Retorna o título, a fórmula e a descrição de uma calculadora para as entradas atuais.
+export function getFormula(calculator, inputs) {
+  const { formula } = calculator;
+  return typeof formula === 'function' ? formula(inputs) : formula;
+}
+
+// Referência escolhida para um campo de pressão ('gauge' ou 'absolute'), ou a padrão do campo.
+export function getPressureReference(input, inputs) {
+  return inputs.pressureReference?.[input.field] || input.reference;
+}
+
+// Unidade de uma pressão com a referência indicada (ex.: "kPa (man.)"); sem referência, a própria unidade.
+export const referencedUnit = (unit, reference, t = createTranslator()) => (
+  reference ? `${unit} (${t(reference === 'gauge' ? 'man.' : 'abs.')})` : unit
+);
+
+/**
+ * Entradas preenchidas, uma linha por campo: { label, symbol, value, unit }, com o valor já em texto.
+ * Campos com componente próprio (acessórios, curva da bomba) são resumidos pela quantidade de itens.
+ * Os números seguem a convenção decimal 'locale' (ver src/lib/format.js), e os rótulos são
+ * traduzidos com a função 't' (ver src/lib/i18n).
+ */
+export function listInputs(calculator, inputs, units, { locale, t = createTranslator() } = {}) {
+  return getInputFields(calculator, inputs)
+    .map(input => {
+      const value = inputs[input.field] ?? input.defaultValue;
+      if (value === undefined || value === '' || value === null) return null;
+      // Símbolo entre parênteses no fim do rótulo, quando houver (ex.: "Velocidade (v)" → "v").
+      const label = t(input.label);
+      const row = { label, symbol: label.match(/\(([^)]+)\)$/)?.[1] || label, unit: '' };
+      if (input.kind === 'select') {
+        const option = input.options?.find(option => option.value === value);
+        return { ...row, value: option ? t(option.label) : String(value) };
+      }
+      if (input.kind === 'fittings') return value.length ? { ...row, value: t('{count} item(ns)', { count: value.length }) } : null;
+      if (input.kind === 'pump-curve') {
+        return { ...row, value: value.mode === 'quadratic' ? 'H = a - b·Q²' : t('{count} ponto(s)', { count: value.points?.length || 0 }) };
+      }
+      const unit = units[input.field] || input.defaultUnit || '';
+      const text = formatInputNumber(value, locale);
+      // Pressões com referência indicam se o valor é manométrico ou absoluto (ex.: "kPa (man.)").
+      if (input.reference) return { ...row, value: text, unit: referencedUnit(unit, getPressureReference(input, inputs), t) };
+      return { ...row, value: text, unit };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Resumo das entradas preenchidas em texto curto (ex.: "v = 2 m/s"), usado no histórico e nos projetos.
+ */
+export function describeInputs(calculator, inputs, units, options) {
+  return listInputs(calculator, inputs, units, options).map(({ symbol, value, unit }) => (
+    unit || /^[\d.,eE+-]+$/.test(value) ? `${symbol} = ${value}${unit ? ` ${unit}` : ''}` : `${symbol}: ${value}`
+  ));
+}
+
+// Campo vazio: sem valor ou apenas espaços.
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Indica se um valor (no SI) está fora da faixa física do campo.
+function outsideLimits({ min, max, exclusiveMin, exclusiveMax }, value) {
+  return (min !== undefined && (exclusiveMin ? value <= min : value < min))
+    || (max !== undefined && (exclusiveMax ? value >= max : value > max));
+}
+
+// Mensagem da faixa física violada (ex.: "Deve ser maior que zero.", "Deve ser > 0 % e ≤ 100 %.").
+function limitsMessage({ min, max, exclusiveMin, exclusiveMax }, unit) {
+  if (min === 0 && max === undefined) return exclusiveMin ? 'Deve ser maior que zero.' : 'Não pode ser negativo.';
+  const suffix = unit ? ` ${unit}` : '';
+  const bounds = [
+    min !== undefined && `${exclusiveMin ? '>' : '≥'} ${min}${suffix}`,
+    max !== undefined && `${exclusiveMax ? '<' : '≤'} ${max}${suffix}`
+  ].filter(Boolean);
+  return `Deve ser ${bounds.join(' e ')}.`;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Valor aceito por tipo de campo; valores de outro formato são descartados.
+function acceptsValue(input, value) {
+  if (input.kind === 'select') {
+    return input.options ? input.options.some(option => option.value === value) : typeof value === 'string';
+  }
+  if (input.kind === 'fittings') return Array.isArray(value);
+  if (input.kind === 'pump-curve') {
+    return isPlainObject(value) && ['points', 'quadratic'].includes(value.mode) && (value.points === undefined || Array.isArray(value.points));
+  }
+  return typeof value === 'number' || typeof value === 'string';
+}
+
+// Acessório com tipo conhecido e quantidade numérica (ver src/lib/engine/fittings.js).
+const validFitting = (item) => isPlainObject(item) && Boolean(fittings[item.id]) && !isNaN(item.quantity);
+
+/**
+ * Filtra entradas e unidades vindas de fora da interface (links compartilhados): cada campo
+ * mantém apenas valores no formato do seu tipo, seleções entre as opções do campo, acessórios
+ * válidos e unidades oferecidas pelo campo. Retorna { inputs, units }.
+ */
+export function sanitizeInputs(calculator, inputs, units) {
+  const fields = [...calculator.inputs, ...(calculator.output ? [calculator.output] : [])];
+  const sanitized = {};
+  fields.forEach(input => {
+    const value = inputs[input.field];
+    if (value === undefined || !acceptsValue(input, value)) return;
+    sanitized[input.field] = input.kind === 'fittings'
+      ? value.filter(validFitting)
+      : input.kind === 'pump-curve'
+        ? { ...value, points: (value.points || []).filter(isPlainObject) }
+        : value;
+  });
+
+  if (solvableInputs(calculator).some(input => input.field === inputs.solveFor)) sanitized.solveFor = inputs.solveFor;
+  if (isPlainObject(inputs.pressureReference)) {
+    sanitized.pressureReference = Object.fromEntries(fields
+      .filter(input => input.reference && pressureReferences[inputs.pressureReference[input.field]])
+      .map(input => [input.field, inputs.pressureReference[input.field]]));
+  }
+  if (calculator.fluidFields && isPlainObject(inputs.fluid) && fluids[inputs.fluid.id] && Number.isFinite(inputs.fluid.temperature)) {
+    sanitized.fluid = inputs.fluid;
+  }
+  ['catalog', 'geometry'].forEach(key => {
+    if (!isPlainObject(inputs[key])) return;
+    sanitized[key] = Object.fromEntries(Object.entries(inputs[key]).filter(([field, selection]) => (
+      fields.some(input => input.field === field) && isPlainObject(selection) && Number.isFinite(selection.value)
+    )));
+  });
+
+  const allowedUnits = Object.fromEntries(
+    fields.filter(input => !input.kind && typeof units[input.field] === 'string' && input.units?.includes(units[input.field]))
+      .map(input => [input.field, units[input.field]])
+  );
+  return { inputs: sanitized, units: allowedUnits };
+}
+
+/**
+ * Confere as entradas campo a campo: obrigatórios preenchidos, valores numéricos finitos,
+ * unidades válidas e a faixa física de cada campo ('rules'). Zero é aceito sempre que a faixa
+ * o permite. Retorna { [campo]: mensagem } apenas com os campos inválidos.
+ */
+export function validateInputs(calculator, inputs, units) {
+  const errors = {};
+  getInputFields(calculator, inputs).forEach(input => {
+    const value = inputs[input.field];
+    if (input.kind) {
+      if (!input.optional && isEmpty(value) && input.defaultValue === undefined) errors[input.field] = 'Campo obrigatório.';
+      return;
+    }
+    if (isEmpty(value)) {
+      if (!input.optional) errors[input.field] = 'Campo obrigatório.';
+      return;
+    }
+    const number = Number(value);
+    if (typeof value === 'boolean' || !Number.isFinite(number)) {
+      errors[input.field] = 'Informe um número válido.';
+      return;
+    }
+    let si;
+    try {
+      si = toSI(number, units[input.field] || input.defaultUnit, input.unitType);
+    } catch (error) {
+      if (!(error instanceof DimensionError)) throw error;
+      errors[input.field] = error.message;
+      return;
+    }
+    if (input.rules && outsideLimits(input.rules, si)) {
+      errors[input.field] = limitsMessage(input.rules, siUnitOf(input.unitType) || input.defaultUnit);
+    }
+  });
+  return errors;
+}
+
+// Resumo dos campos inválidos em uma frase (ex.: "Diâmetro (D): deve ser maior que zero.").
+function errorsMessage(calculator, inputs, errors, t) {
+  return getInputFields(calculator, inputs)
+    .filter(input => errors[input.field])
+    .map(input => `${t(input.label)}: ${errors[input.field].charAt(0).toLowerCase()}${errors[input.field].slice(1)}`)
+    .join(' ');
+}
+
+/**
+ * Monta as entradas do motor de cálculo a partir dos valores e unidades da interface.
+ * Campos numéricos viram { value, unit } (e 'reference', nas pressões com referência); campos especiais
+ * (seleção, acessórios) são repassados como estão.
+ */
+export function buildEngineInputs(calculator, inputs, units) {
+  return Object.fromEntries(
+    getInputFields(calculator, inputs).map(input => {
+      const value = inputs[input.field];
+      if (input.kind) return [input.field, value || input.defaultValue];
+      const numeric = value !== '' && value !== undefined && !isNaN(value);
+      if (!numeric) return [input.field, value];
+      const entry = { value: Number(value), unit: units[input.field] || input.defaultUnit };
+      return [input.field, input.reference ? { ...entry, reference: getPressureReference(input, inputs) } : entry];
+    })
+  );
+}
+
+/**
+ * Passos que documentam a origem das constantes das configurações usadas pela calculadora.
+ * O fluido manométrico só aparece quando a densidade não foi informada no formulário.
+ */
+function constantsSection(calculator, inputs, engineInputs, constants) {
+  const used = calculator.constants || [];
+  const densityEmpty = !scalar(engineInputs.density) && getUnknown(calculator, inputs)?.field !== 'density';
+  const steps = [
+    ...(used.includes('gravity') ? constants.gravity.steps : []),
+    ...(used.includes('columnFluid') && densityEmpty ? constants.columnFluid.steps : [])
+  ];
+  return steps.length ? [step.heading`Constantes (configurações):`, ...steps, step.blank()] : [];
+}
+
+/**
+ * Passos que documentam o fluido escolhido na biblioteca (se houver),
+ * avisando quando algum campo preenchido foi depois alterado manualmente.
+ */
+function fluidSection(calculator, inputs, engineInputs) {
+  const selection = inputs.fluid;
+  if (!calculator.fluidFields || !selection) return [];
+  const props = fluidProperties(selection.id, selection.temperature);
+  if (!props) return [];
+
+  const overridden = Object.entries(calculator.fluidFields)
+    .map(([property, field]) => ({ property, input: calculator.inputs.find(input => input.field === field) }))
+    .filter(({ property, input }) => {
+      const entered = engineInputs[input.field];
+      if (props[property] === null || !scalar(entered)) return false;
+      const si = toSI(scalar(entered), entered.unit, input.unitType);
+      return Math.abs(si - props[property]) > 1e-4 * Math.abs(props[property]);
+    });
+
+  return [
+    ...fluidSteps(props),
+    ...overridden.map(({ input }) => step.note`Atenção: ${input.label} foi informado manualmente e difere do valor da biblioteca.`),
+    step.blank()
+  ];
+}
+
+/**
+ * Passos que documentam os valores escolhidos no catálogo de tubos, apenas para
+ * os campos que ainda contêm o valor do catálogo (em mm).
+ */
+function catalogSection(calculator, inputs, engineInputs) {
+  const selections = inputs.catalog || {};
+  const notes = calculator.inputs
+    .filter(input => selections[input.field])
+    .filter(input => {
+      const entered = engineInputs[input.field];
+      return scalar(entered) !== undefined && toSI(scalar(entered), entered.unit, 'length') === toSI(selections[input.field].value, 'mm', 'length');
+    })
+    .map(input => step.note`${input.label}: ${selections[input.field].description}`);
+
+  return notes.length ? [step.heading`Catálogo de tubos:`, ...notes, step.blank()] : [];
+}
+
+/**
+ * Passos com o cálculo das áreas obtidas pela geometria da seção, apenas para
+ * os campos que ainda contêm a área calculada (em m²).
+ */
+function geometrySection(calculator, inputs, engineInputs) {
+  const selections = inputs.geometry || {};
+  return calculator.inputs
+    .filter(input => selections[input.field])
+    .filter(input => {
+      const entered = engineInputs[input.field];
+      return scalar(entered) !== undefined && toSI(scalar(entered), entered.unit, 'area') === selections[input.field].value;
+    })
+    .flatMap(input => {
+      const area = sectionArea(selections[input.field].section, selections[input.field].dimensions);
+      return area ? [...area.steps, step.blank()] : [];
+    });
+}
+
+// Token numérico com seis algarismos significativos, formatado na convenção decimal configurada.
+const significant = (value) => fixed(value, Math.max(0, 5 - Math.floor(Math.log10(Math.abs(value) || 1))));
+
+/**
+ * Resolve a calculadora para uma de suas entradas: procura numericamente o valor
+ * da incógnita que reproduz o resultado desejado e refaz o cálculo direto como verificação.
+ */
+function solveCalculator(calculator, unknown, inputs, engineInputs) {
+  const { result: target, ...knowns } = engineInputs;
+  const { output } = calculator;
+  const targetSI = toSI(scalar(target), target.unit, output.unitType);
+  const unit = unknownUnit(unknown);
+  // Pressões com referência recebem a incógnita em Pa na referência escolhida para o campo,
+  // e não como número (que o motor trataria como pressão absoluta).
+  const reference = unknown.reference ? getPressureReference(unknown, inputs) : undefined;
+  const compute = reference
+    ? (values) => calculator.compute({ ...values, [unknown.field]: { value: values[unknown.field], unit, reference } })
+    : calculator.compute;
+  const solution = solveForInput(compute, knowns, unknown.field, targetSI);
+
+  const header = [
+    step.formula`Resolvendo para: ${unknown.label}`,
+    target.unit
+      ? step.value`${output.label} desejado = ${significant(scalar(target))} ${target.unit} = ${significant(targetSI)} ${siUnitOf(output.unitType) || output.defaultUnit}`
+      : step.value`${output.label} desejado = ${significant(scalar(target))}`,
+    step.blank()
+  ];
+  if (!solution) {
+    return {
+      value: null,
+      unit,
+      solvedFor: unknown.field,
+      steps: [...header, step.note`Nenhum valor de ${unknown.label} reproduz o resultado desejado com as demais entradas.`]
+    };
+  }
+
+  // Arredonda o ruído da bisseção além da 10ª casa significativa.
+  const value = Number(solution.value.toPrecision(10));
+  const check = compute({ ...knowns, [unknown.field]: value });
+  // Demais raízes da varredura (ex.: ramos laminar e turbulento do fator de atrito).
+  const others = solution.roots.slice(1).map(root => Number(root.toPrecision(6)));
+  return {
+    value,
+    unit,
+    ...(reference && { reference }),
+    solvedFor: unknown.field,
+    iterations: solution.iterations,
+    roots: solution.roots,
+    warnings: [
+      ...(others.length ? [`Há mais de uma solução para ${unknown.label}; foi apresentada a de menor módulo (ver memória de cálculo).`] : []),
+      ...(check.warnings || [])
+    ],
+    steps: [
+      ...header,
+      step.heading`Solução numérica (varredura logarítmica e bisseção, ${solution.iterations} iterações):`,
+      reference
+        ? step.result`${unknown.label} = ${Number(value.toPrecision(6))} ${unit} (${pressureReferences[reference]})`
+        : step.result`${unknown.label} = ${Number(value.toPrecision(6))} ${unit}`,
+      ...(others.length ? [step.note`Outras soluções encontradas na varredura: ${others.join('; ')} ${unit}. Foi apresentada a de menor módulo.`] : []),
+      step.blank(),
+      step.heading`Verificação pelo cálculo direto:`,
+      ...check.steps
+    ]
+  };
+}
+
+/**
+ * Executa uma calculadora com os valores e unidades da interface e as configurações
+ * (gravidade, fluido manométrico, formatação dos números e idioma, ver src/lib/settings.js).
+ * Entradas inválidas (ver validateInputs) retornam { value: null, message, errors } sem executar
+ * o motor de cálculo; um resultado NaN ou infinito também vira mensagem. Caso contrário, retorna
+ * o resultado do motor com a explicação já formatada em texto e os avisos em 'warnings'.
+ * Mensagens, avisos e explicação saem no idioma das configurações; os passos continuam em
+ * português, para serem formatados de novo (ver src/lib/report.js).
+ */
+export function runCalculator(calculator, inputs, units, settings) {
+  const t = createTranslator(settings?.language);
+  const unit = getResultUnit(calculator, inputs);
+  const validation = validateInputs(calculator, inputs, units);
+  if (Object.keys(validation).length) {
+    const errors = Object.fromEntries(Object.entries(validation).map(([field, message]) => [field, t(message)]));
+    return { value: null, unit, message: errorsMessage(calculator, inputs, errors, t), errors, warnings: [], steps: [], explanation: '' };
+  }
+
+  const constants = physicalConstants(settings);
+  const engineInputs = {
+    ...buildEngineInputs(calculator, inputs, units),
+    gravity: constants.gravity.value,
+    columnFluid: constants.columnFluid
+  };
+  try {
+    const unknown = getUnknown(calculator, inputs);
+    const result = unknown ? solveCalculator(calculator, unknown, inputs, engineInputs) : calculator.compute(engineInputs);
+    const steps = [
+      ...constantsSection(calculator, inputs, engineInputs, constants),
+      ...fluidSection(calculator, inputs, engineInputs),
+      ...catalogSection(calculator, inputs, engineInputs),
+      ...geometrySection(calculator, inputs, engineInputs),
+      ...result.steps
+    ];
+    const calculated = {
+      ...result,
+      ...(result.message && { message: t(result.message) }),
+      warnings: (result.warnings || []).map(warning => t(warning)),
+      steps,
+      explanation: formatSteps(steps, stepFormat(numberFormat(settings), t))
+    };
+    if (typeof result.value === 'number' && !Number.isFinite(result.value)) {
+      return {
+        ...calculated,
+        value: null,
+        message: t('O resultado não é um número finito (NaN ou infinito). Verifique divisões por zero e valores fora da faixa física.')
+      };
+    }
+    return calculated;
+  } catch (error) {
+    // Unidade desconhecida ou incompatível com o campo: exibida como mensagem, sem resultado.
+    if (error instanceof DimensionError) {
+      return { value: null, unit, message: t(error.message), warnings: [], steps: [], explanation: '' };
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_SETTINGS } from '../lib/settings';
+import { getCalculator, runCalculator, sanitizeInputs } from './index';
+
+describe('sanitizeInputs', () => {
+  it('descarta seleções fora das opções e mantém as válidas', () => {
+    const calculator = getCalculator('friction-factor');
+    expect(sanitizeInputs(calculator, { correlation: 'bogus', reynolds: 1e5 }, {}).inputs).toEqual({ reynolds: 1e5 });
+    expect(sanitizeInputs(calculator, { correlation: 'haaland' }, {}).inputs).toEqual({ correlation: 'haaland' });
+  });
+
+  it('aceita apenas listas de acessórios válidos', () => {
+    const calculator = getCalculator('head-loss');
+    expect(sanitizeInputs(calculator, { fittings: 'abc' }, {}).inputs.fittings).toBeUndefined();
+    expect(sanitizeInputs(calculator, { fittings: [null, { id: 'elbow-90', quantity: 2 }, { id: 'x', quantity: 1 }] }, {}).inputs.fittings)
+      .toEqual([{ id: 'elbow-90', quantity: 2 }]);
+  });
+
+  it('mantém apenas unidades permitidas para o campo', () => {
+    const calculator = getCalculator('flow-rate');
+    const [first, second] = calculator.inputs;
+    const { units } = sanitizeInputs(calculator, {}, { [first.field]: first.units[1], [second.field]: 'parsec' });
+    expect(units).toEqual({ [first.field]: first.units[1] });
+  });
+
+  it('entradas de links malformados não quebram o cálculo', () => {
+    [
+      ['friction-factor', { correlation: 'bogus', reynolds: 1e5, relativeRoughness: 1e-4 }],
+      ['head-loss', { fittings: 'abc' }],
+      ['head-loss', { fittings: [null] }],
+    ].forEach(([id, inputs]) => {
+      const calculator = getCalculator(id);
+      const sanitized = sanitizeInputs(calculator, inputs, {});
+      expect(() => runCalculator(calculator, sanitized.inputs, sanitized.units)).not.toThrow();
+    });
+  });
+});
+
+describe('resolver para uma entrada', () => {
+  it('mantém a referência da pressão resolvida como incógnita', () => {
+    const calculator = getCalculator('energy-equation');
+    const inputs = { z1: 0, z2: 5, p1: 50, p2: 60, v1: 1, v2: 2, headLoss: 0.5, density: 1000, altitude: 0 };
+    const units = { p1: 'kPa', p2: 'kPa' };
+    const direct = runCalculator(calculator, inputs, units);
+
+    const solved = runCalculator(calculator, { ...inputs, p1: undefined, result: direct.value, solveFor: 'p1' }, { ...units, result: 'm' });
+    expect(solved.value).toBeCloseTo(50000, 2);
+    expect(solved.reference).toBe('gauge');
+
+    const absolute = runCalculator(calculator, { ...inputs, p1: undefined, result: direct.value, solveFor: 'p1', pressureReference: { p1: 'absolute' } }, { ...units, result: 'm' });
+    expect(absolute.value).toBeCloseTo(50000 + 101325, 0);
+    expect(absolute.reference).toBe('absolute');
+  });
+
+  it('resolve a densidade da coluna de fluido sem cair no salto da densidade nula', () => {
+    const calculator = getCalculator('water-column');
+    const solved = runCalculator(calculator, { pressure: 100000, result: 20, solveFor: 'density' }, { pressure: 'Pa', result: 'm' }, DEFAULT_SETTINGS);
+    expect(solved.value).toBeCloseTo(509.68, 1);
+  });
+
+  it('avisa quando há mais de uma solução', () => {
+    const calculator = getCalculator('friction-factor');
+    const solved = runCalculator(calculator, { relativeRoughness: 0.001, result: 0.03, solveFor: 'reynolds' }, {}, DEFAULT_SETTINGS);
+    expect(solved.value).toBeCloseTo(2133.33, 1);
+    expect(solved.roots).toHaveLength(2);
+    expect(solved.warnings[0]).toContain('mais de uma solução');
+    expect(solved.explanation).toContain('Outras soluções encontradas na varredura');
+  });
+
+  it('formata o resultado desejado no cabeçalho', () => {
+    const calculator = getCalculator('energy-equation');
+    const inputs = { z1: 0, z2: 0, p2: 0, v1: 0, v2: 0, headLoss: 0, density: 1000, altitude: 0, result: 6.903160040774719, solveFor: 'p1' };
+    const { explanation } = runCalculator(calculator, inputs, { p1: 'kPa', p2: 'kPa', result: 'm' }, { ...DEFAULT_SETTINGS, numbers: { ...DEFAULT_SETTINGS.numbers, locale: 'pt-BR' } });
+    expect(explanation).toContain('= 6,90316 m');
+    expect(explanation).not.toContain('6,903160040774719');
+  });
+});
@@ -0,0 +1,32 @@
+import { Gauge } from 'lucide-react';
+import { npshAvailable } from '../lib/engine';
+import { altitudeField, nonNegative, optional, positive, quantityField, withReference } from './fields';
+
+export default {
+  id: 'npsh',
+  name: 'NPSH Disponível',
+  icon: Gauge,
+  color: 'from-cyan-500 to-blue-600',
+  description: 'Calcular NPSH disponível',
+  inputs: [
+    optional(withReference(quantityField('atmosphericPressure', 'Pressão Atmosférica (Pₐₜₘ)', 'pressure'), 'absolute'), 'Vazio = atmosfera local (altitude)'),
+    withReference(quantityField('vaporPressure', 'Pressão de Vapor (Pᵥ)', 'pressure'), 'absolute'),
+    quantityField('suctionHeight', 'Altura de Sucção (hₛ)', 'length'),
+    nonNegative(quantityField('headLoss', 'Perda de Carga na Sucção (hₗ)', 'length')),
+    positive(quantityField('density', 'Densidade do Fluido (ρ)', 'density')),
+    altitudeField()
+  ],
+  // Campos preenchidos pela biblioteca de fluidos (propriedade → campo).
+  fluidFields: { density: 'density', vaporPressure: 'vaporPressure' },
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: quantityField('result', 'NPSH Disponível', 'length'),
+  formula: {
+    title: 'NPSH Disponível',
+    formula: 'NPSH = (Pₐₜₘ - Pᵥ)/(ρg) - hₛ - hₗ',
+    description: 'O NPSH disponível é calculado pela diferença entre a pressão atmosférica (Pₐₜₘ) e a pressão de vapor do fluido (Pᵥ), dividida pelo produto da densidade (ρ) e aceleração da gravidade (g), menos a altura de sucção (hₛ) e a perda de carga na linha de sucção (hₗ). As pressões entram como absolutas: valores manométricos são somados à pressão atmosférica local, calculada pela altitude do local.'
+  },
+  resultUnit: 'm',
+  // Constantes das configurações usadas no cálculo.
+  constants: ['gravity'],
+  compute: npshAvailable
+};
@@ -0,0 +1,24 @@
+import { Gauge } from 'lucide-react';
+import { pressure } from '../lib/engine';
+import { fromGeometry, positive, quantityField } from './fields';
+
+export default {
+  id: 'pressure',
+  name: 'Pressão',
+  icon: Gauge,
+  color: 'from-violet-500 to-purple-600',
+  description: 'Calcular pressão em diversos cenários',
+  inputs: [
+    quantityField('force', 'Força (F)', 'force'),
+    fromGeometry(positive(quantityField('area', 'Área (A)', 'area')))
+  ],
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: quantityField('result', 'Pressão (P)', 'pressure'),
+  formula: {
+    title: 'Pressão (P)',
+    formula: 'P = F / A',
+    description: 'A pressão (P) é a força (F) aplicada perpendicularmente a uma superfície, dividida pela área (A) dessa superfície.'
+  },
+  resultUnit: 'Pa',
+  compute: pressure
+};
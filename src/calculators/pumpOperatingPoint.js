@@ -0,0 +1,50 @@
+import { Crosshair } from 'lucide-react';
+import { pumpOperatingPoint } from '../lib/engine';
+import PumpCurveChart from '../components/PumpCurveChart';
+import { fromCatalog, limits, nonNegative, optional, positive, quantityField, scalarField } from './fields';
+
+export default {
+  id: 'pump-operating-point',
+  name: 'Ponto de Operação da Bomba',
+  icon: Crosshair,
+  color: 'from-pink-500 to-rose-600',
+  description: 'Cruzar curva da bomba com curva do sistema',
+  inputs: [
+    { field: 'pumpCurve', label: 'Curva da Bomba', kind: 'pump-curve', optional: true },
+    optional(limits(scalarField('efficiency', 'Rendimento da Bomba (η)', 'percentage', '%'), { min: 0, max: 100, exclusiveMin: true }), 'Opcional se η estiver nos pontos'),
+    optional(quantityField('staticHead', 'Altura Estática (Hₑ = Δz + ΔP/ρg)', 'length'), 'Vazio = 0'),
+    positive(quantityField('length', 'Comprimento da Tubulação (L)', 'length')),
+    fromCatalog(positive(quantityField('diameter', 'Diâmetro Interno (D)', 'length')), 'diameter'),
+    fromCatalog(optional(nonNegative(quantityField('roughness', 'Rugosidade Absoluta (ε)', 'length', 'mm')), 'Vazio = tubo liso'), 'roughness'),
+    positive(quantityField('density', 'Densidade do Fluido (ρ)', 'density')),
+    positive(quantityField('viscosity', 'Viscosidade Dinâmica (μ)', 'viscosity')),
+    optional(nonNegative(scalarField('kSum', 'Outros Coeficientes de Perda Localizada (Σk)')), 'Opcional: somado aos acessórios'),
+    { field: 'fittings', label: 'Acessórios e Válvulas', kind: 'fittings', optional: true }
+  ],
+  initialInputs: {
+    pumpCurve: {
+      mode: 'points',
+      flowUnit: 'm³/h',
+      points: [
+        { flow: '', head: '', efficiency: '' },
+        { flow: '', head: '', efficiency: '' },
+        { flow: '', head: '', efficiency: '' }
+      ],
+      a: '',
+      b: ''
+    }
+  },
+  // Campos preenchidos pela biblioteca de fluidos (propriedade → campo).
+  fluidFields: { density: 'density', viscosity: 'viscosity' },
+  formula: {
+    title: 'Ponto de Operação (Q, H)',
+    formula: 'H_bomba(Q) = Hₑ + (f·L/D + Σk) × (Q/A)² / 2g',
+    description: 'O ponto de operação é a vazão em que a altura fornecida pela bomba iguala a altura exigida pelo sistema. A curva da bomba vem dos pontos informados (ajuste quadrático) ou de H = a - bQ²; a do sistema soma a altura estática às perdas distribuídas (f por Colebrook-White, recalculado a cada vazão) e localizadas (Σk). A interseção é obtida por bisseção, e a potência no eixo é P = ρ·g·Q·H/η.'
+  },
+  resultUnit: 'm³/s',
+  resultType: 'flow',
+  panels: [PumpCurveChart],
+  // Constantes das configurações usadas no cálculo.
+  constants: ['gravity'],
+  compute: pumpOperatingPoint
+};
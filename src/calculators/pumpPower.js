@@ -0,0 +1,30 @@
+import { Zap } from 'lucide-react';
+import { pumpPower } from '../lib/engine';
+import { limits, nonNegative, positive, quantityField, scalarField } from './fields';
+
+export default {
+  id: 'pump-power',
+  name: 'Potência da Bomba',
+  icon: Zap,
+  color: 'from-yellow-500 to-orange-600',
+  description: 'Calcular potência da bomba',
+  inputs: [
+    nonNegative(quantityField('flow', 'Vazão (Q)', 'flow')),
+    nonNegative(quantityField('head', 'Altura Manométrica (H)', 'length')),
+    positive(quantityField('density', 'Densidade do Fluido (ρ)', 'density')),
+    limits(scalarField('efficiency', 'Eficiência da Bomba (η)', 'percentage', '%'), { min: 0, max: 100, exclusiveMin: true })
+  ],
+  // Campos preenchidos pela biblioteca de fluidos (propriedade → campo).
+  fluidFields: { density: 'density' },
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: nonNegative(quantityField('result', 'Potência da Bomba (P)', 'power')),
+  formula: {
+    title: 'Potência da Bomba (P)',
+    formula: 'P = ρ × g × Q × H / η',
+    description: 'A potência da bomba é calculada pelo produto da densidade do fluido (ρ), aceleração da gravidade (g), vazão (Q) e altura manométrica (H), dividido pela eficiência da bomba (η).'
+  },
+  resultUnit: 'W',
+  // Constantes das configurações usadas no cálculo.
+  constants: ['gravity'],
+  compute: pumpPower
+};
@@ -0,0 +1,24 @@
+import { Waves } from 'lucide-react';
+import { relativeRoughness } from '../lib/engine';
+import { fromCatalog, nonNegative, positive, quantityField, scalarField } from './fields';
+
+export default {
+  id: 'relative-roughness',
+  name: 'Rugosidade Relativa',
+  icon: Waves,
+  color: 'from-green-500 to-blue-600',
+  description: 'Calcular rugosidade relativa da tubulação',
+  inputs: [
+    fromCatalog(nonNegative(quantityField('roughness', 'Rugosidade Absoluta (ε)', 'length', 'mm')), 'roughness'),
+    fromCatalog(positive(quantityField('diameter', 'Diâmetro da Tubulação (D)', 'length')), 'diameter')
+  ],
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: nonNegative(scalarField('result', 'Rugosidade Relativa (ε/D)')),
+  formula: {
+    title: 'Rugosidade Relativa (ε/D)',
+    formula: 'ε/D',
+    description: 'A rugosidade relativa é a razão entre a rugosidade absoluta da superfície interna do tubo (ε) e o diâmetro do tubo (D).'
+  },
+  resultUnit: '(adimensional)',
+  compute: relativeRoughness
+};
@@ -0,0 +1,31 @@
+import { TrendingUp } from 'lucide-react';
+import { reynolds } from '../lib/engine';
+import MoodyDiagram from '../components/MoodyDiagram';
+import { fromCatalog, nonNegative, positive, quantityField, scalarField } from './fields';
+
+export default {
+  id: 'reynolds',
+  name: 'Número de Reynolds',
+  icon: TrendingUp,
+  color: 'from-fuchsia-500 to-purple-600',
+  description: 'Determinar regime de escoamento',
+  inputs: [
+    positive(quantityField('density', 'Densidade do Fluido (ρ)', 'density')),
+    nonNegative(quantityField('velocity', 'Velocidade do Escoamento (v)', 'velocity')),
+    fromCatalog(positive(quantityField('diameter', 'Comprimento Característico (D)', 'length')), 'diameter'),
+    positive(quantityField('viscosity', 'Viscosidade Dinâmica (μ)', 'viscosity'))
+  ],
+  // Campos preenchidos pela biblioteca de fluidos (propriedade → campo).
+  fluidFields: { density: 'density', viscosity: 'viscosity' },
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: positive(scalarField('result', 'Número de Reynolds (Re)')),
+  formula: {
+    title: 'Número de Reynolds (Re)',
+    formula: 'Re = (ρ × v × D) / μ',
+    description: 'O Número de Reynolds é um número adimensional que ajuda a prever padrões de escoamento. Compara as forças de inércia com as forças de viscosidade. (ρ: densidade, v: velocidade, D: comprimento característico, μ: viscosidade dinâmica).'
+  },
+  resultUnit: '(adimensional)',
+  resultDecimals: 0,
+  panels: [MoodyDiagram],
+  compute: reynolds
+};
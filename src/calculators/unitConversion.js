@@ -0,0 +1,29 @@
+import { RefreshCw } from 'lucide-react';
+import { convertUnit } from '../lib/engine';
+import UnitConversionInputs from '../components/UnitConversionInputs';
+import { scalarField } from './fields';
+
+export default {
+  id: 'unit-conversion',
+  name: 'Conversor de Unidades',
+  icon: RefreshCw,
+  color: 'from-violet-500 to-fuchsia-500',
+  description: 'Converta unidades de medida comuns',
+  inputs: [
+    scalarField('value', 'Valor para converter'),
+    { field: 'measurementType', label: 'Tipo de Medida', kind: 'select' },
+    { field: 'fromUnit', label: 'De', kind: 'select' },
+    { field: 'toUnit', label: 'Para', kind: 'select' }
+  ],
+  // O conversor tem campos dependentes entre si e usa um componente próprio.
+  InputsComponent: UnitConversionInputs,
+  initialInputs: { measurementType: 'pressure', value: '', fromUnit: 'Pa', toUnit: 'kPa' },
+  formula: {
+    title: 'Conversão de Unidades',
+    formula: 'Valor₂ = (Valor₁ × Fator₁ + Desl.₁ - Desl.₂) / Fator₂',
+    description: 'A conversão é feita transformando o valor inicial para a unidade base do SI (Sistema Internacional) e depois convertendo da unidade base para a unidade final desejada. Unidades com zero deslocado (°C, °F, pressões manométricas) somam um deslocamento além do fator.'
+  },
+  hideFormula: true,
+  resultUnit: (inputs) => inputs.toUnit || '',
+  compute: convertUnit
+};
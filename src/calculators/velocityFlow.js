@@ -0,0 +1,24 @@
+import { TrendingUp } from 'lucide-react';
+import { velocityFromFlow } from '../lib/engine';
+import { fromGeometry, nonNegative, positive, quantityField } from './fields';
+
+export default {
+  id: 'velocity-flow',
+  name: 'Velocidade/Vazão',
+  icon: TrendingUp,
+  color: 'from-blue-500 to-violet-600',
+  description: 'Calcular velocidade a partir da vazão',
+  inputs: [
+    nonNegative(quantityField('flow', 'Vazão (Q)', 'flow')),
+    fromGeometry(positive(quantityField('area', 'Área da Seção Transversal (A)', 'area')))
+  ],
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: nonNegative(quantityField('result', 'Velocidade (v)', 'velocity')),
+  formula: {
+    title: 'Velocidade (v)',
+    formula: 'v = Q / A',
+    description: 'A velocidade do fluido (v) é a vazão (Q) dividida pela área da seção transversal (A) do duto.'
+  },
+  resultUnit: 'm/s',
+  compute: velocityFromFlow
+};
@@ -0,0 +1,28 @@
+import { Waves } from 'lucide-react';
+import { waterColumn } from '../lib/engine';
+import { optional, positive, quantityField } from './fields';
+
+export default {
+  id: 'water-column',
+  name: 'Coluna de Água',
+  icon: Waves,
+  color: 'from-violet-400 to-purple-600',
+  description: 'Converter pressão em altura de coluna de água',
+  inputs: [
+    quantityField('pressure', 'Pressão (P)', 'pressure'),
+    optional(positive(quantityField('density', 'Densidade do Fluido (ρ)', 'density')), 'Padrão: fluido manométrico das configurações')
+  ],
+  // Campos preenchidos pela biblioteca de fluidos (propriedade → campo).
+  fluidFields: { density: 'density' },
+  // Resultado da fórmula, informado como alvo quando se resolve para uma das entradas.
+  output: quantityField('result', 'Altura da Coluna (h)', 'length'),
+  formula: {
+    title: 'Pressão Hidrostática (P)',
+    formula: 'P = ρ × g × h',
+    description: 'A pressão exercida por uma coluna de fluido (P) é igual à densidade do fluido (ρ) multiplicada pela aceleração da gravidade (g) e pela altura da coluna (h). A calculadora resolve para h.'
+  },
+  resultUnit: 'm',
+  // Constantes das configurações usadas no cálculo.
+  constants: ['gravity', 'columnFluid'],
+  compute: waterColumn
+};
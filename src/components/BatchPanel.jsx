@@ -0,0 +1,197 @@
+/**
+ * Modo em lote: cola ou carrega um CSV, associa as colunas aos campos da calculadora
+ * (com a unidade de cada coluna), calcula todas as linhas, sinaliza as inválidas
+ * e permite baixar a tabela com a coluna de resultado.
+ */
+import { useRef, useState } from 'react';
+import { Download, Play, Table, Upload } from 'lucide-react';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { parseCsv, toCsv } from '../lib/csv';
+import { batchTable, guessMapping, runBatch } from '../lib/batch';
+import { numericInputs } from '../calculators';
+import { downloadFile } from '../lib/download';
+import { useTranslation } from '../lib/i18n/context';
+
+// Valor do seletor de coluna para "usar o valor do formulário".
+const FROM_FORM = 'form';
+
+const triggerClass = 'bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-9';
+const itemClass = 'text-purple-100 focus:bg-purple-500/20 focus:text-purple-100';
+const ghostClass = 'text-purple-300 hover:text-purple-200 hover:bg-purple-500/10';
+
+export default function BatchPanel({ calculator, inputs, units, settings }) {
+  const t = useTranslation();
+  const fileInput = useRef(null);
+  const [text, setText] = useState('');
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [results, setResults] = useState(null);
+  const fields = numericInputs(calculator);
+
+  const readTable = (csv) => {
+    const parsed = parseCsv(csv);
+    setTable(parsed.headers.length ? parsed : null);
+    setMapping(parsed.headers.length ? guessMapping(calculator, parsed.headers) : {});
+    setResults(null);
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const content = await file.text();
+    setText(content);
+    readTable(content);
+  };
+
+  const setColumn = (field, value) => {
+    setResults(null);
+    setMapping(prev => {
+      if (value === FROM_FORM) {
+        const { [field]: _removed, ...rest } = prev;
+        return rest;
+      }
+      const input = fields.find(item => item.field === field);
+      return { ...prev, [field]: { column: Number(value), unit: prev[field]?.unit || units[field] || input.defaultUnit } };
+    });
+  };
+
+  const setUnit = (field, unit) => {
+    setResults(null);
+    setMapping(prev => ({ ...prev, [field]: { ...prev[field], unit } }));
+  };
+
+  const decimalComma = table?.delimiter === ';';
+  const output = results && batchTable(calculator, table.headers, results, inputs, { decimalComma, t });
+  const invalidCount = results?.filter(item => item.error).length || 0;
+
+  const handleDownload = () => {
+    const csv = toCsv(output.headers, output.rows, table.delimiter);
+    // BOM para o Excel reconhecer o arquivo como UTF-8 (acentos e unidades como m³).
+    downloadFile(`${calculator.id}-${t('lote')}.csv`, `\uFEFF${csv}`, 'text/csv;charset=utf-8');
+  };
+
+  return (
+    <div className="mt-6 p-4 rounded-xl bg-slate-800/50 border border-purple-400/20 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-purple-300 flex items-center gap-2">
+          <Table className="w-5 h-5" />
+          {t('Cálculo em lote (CSV)')}
+        </h3>
+        <p className="text-purple-100/60 text-sm">
+          {t('A primeira linha deve conter os nomes das colunas (ex.:')} <span className="font-mono">v (m/s); D (mm)</span>).
+          {' '}{t('Campos sem coluna associada usam os valores do formulário.')}
+        </p>
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={'v (m/s);D (mm)\n1,5;50\n2,0;75'}
+        rows={5}
+        className="w-full rounded-md bg-slate-900/60 border border-purple-500/30 text-purple-100 font-mono text-sm p-2 focus:outline-none focus:border-purple-400 placeholder:text-purple-100/30"
+      />
+      <div className="flex flex-wrap gap-2">
+        <Button variant="ghost" size="sm" onClick={() => fileInput.current.click()} className={ghostClass}>
+          <Upload className="w-4 h-4 mr-1" />
+          {t('Carregar arquivo')}
+        </Button>
+        <input ref={fileInput} type="file" accept=".csv,.txt,text/csv" onChange={handleFile} className="hidden" />
+        <Button variant="ghost" size="sm" onClick={() => readTable(text)} disabled={!text.trim()} className={ghostClass}>
+          <Table className="w-4 h-4 mr-1" />
+          {t('Ler tabela')}
+        </Button>
+      </div>
+
+      {table && (
+        <>
+          <p className="text-purple-100/60 text-sm">
+            {t('{rows} linha(s), {columns} coluna(s). Associe as colunas aos campos:', { rows: table.rows.length, columns: table.headers.length })}
+          </p>
+          <div className="space-y-2">
+            {fields.map(input => {
+              const mapped = mapping[input.field];
+              return (
+                <div key={input.field} className="grid grid-cols-1 md:grid-cols-[1fr_12rem_8rem] items-center gap-2">
+                  <Label className="text-purple-100 text-sm">{t(input.label)}</Label>
+                  <Select value={mapped ? String(mapped.column) : FROM_FORM} onValueChange={(value) => setColumn(input.field, value)}>
+                    <SelectTrigger className={triggerClass}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-slate-800 border-purple-500/30">
+                      <SelectItem value={FROM_FORM} className={itemClass}>{t('Valor do formulário')}</SelectItem>
+                      {table.headers.map((header, column) => (
+                        <SelectItem key={column} value={String(column)} className={itemClass}>{header || t('Coluna {number}', { number: column + 1 })}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  {mapped && input.units.length > 1 ? (
+                    <Select value={mapped.unit} onValueChange={(unit) => setUnit(input.field, unit)}>
+                      <SelectTrigger className={triggerClass}>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-slate-800 border-purple-500/30">
+                        {input.units.map(unit => (
+                          <SelectItem key={unit} value={unit} className={itemClass}>{unit}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  ) : (
+                    <span className="text-purple-100/50 text-sm">
+                      {mapped ? input.defaultUnit : inputs[input.field] !== undefined && inputs[input.field] !== '' ? `${inputs[input.field]} ${units[input.field] || input.defaultUnit}` : '—'}
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <Button
+            onClick={() => setResults(runBatch(calculator, table.rows, mapping, inputs, units, settings))}
+            disabled={!Object.keys(mapping).length || !table.rows.length}
+            className="bg-purple-500/80 hover:bg-purple-500 text-white"
+          >
+            <Play className="w-4 h-4 mr-1" />
+            {t('Calcular lote')}
+          </Button>
+        </>
+      )}
+
+      {output && (
+        <>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-sm text-purple-100/80">
+              {t('{count} linha(s) calculada(s)', { count: results.length - invalidCount })}
+              {invalidCount > 0 && <span className="text-amber-300"> · {t('{count} inválida(s)', { count: invalidCount })}</span>}
+            </p>
+            <Button variant="ghost" size="sm" onClick={handleDownload} className={ghostClass}>
+              <Download className="w-4 h-4 mr-1" />
+              {t('Baixar CSV')}
+            </Button>
+          </div>
+          <div className="overflow-x-auto max-h-96 rounded-lg border border-purple-500/20">
+            <table className="w-full text-sm font-mono">
+              <thead className="bg-slate-900/80 text-purple-300 sticky top-0">
+                <tr>
+                  {output.headers.map((header, index) => (
+                    <th key={index} className="px-3 py-2 text-left whitespace-nowrap">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {output.rows.map((row, index) => (
+                  <tr key={index} className={results[index].error ? 'bg-amber-500/10 text-amber-200' : 'text-purple-100'}>
+                    {row.map((cell, column) => (
+                      <td key={column} className="px-3 py-1 border-t border-purple-500/10 whitespace-nowrap">{cell}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
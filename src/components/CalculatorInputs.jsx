@@ -0,0 +1,235 @@
+/**
+ * Renderiza os campos de entrada de uma calculadora a partir da sua definição no registro.
+ */
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import FittingsBuilder from './FittingsBuilder';
+import FluidPicker from './FluidPicker';
+import GeometryPicker from './GeometryPicker';
+import NumberInput from './NumberInput';
+import PipeCatalogPicker from './PipeCatalogPicker';
+import PumpCurveInput from './PumpCurveInput';
+import { getInputFields, getPressureReference, solvableInputs } from '../calculators';
+import { pressureReferences } from '../lib/engine';
+import { useTranslation } from '../lib/i18n/context';
+
+// Seletor de unidade de um campo. Campos sem unidades alternativas mostram apenas o símbolo.
+function UnitSelect({ input, value, onChange }) {
+  const options = input.units.filter(Boolean);
+  if (options.length <= 1) {
+    return options.length === 1 ? (
+      <div className="w-16 flex items-center justify-center text-purple-300 text-lg">{options[0]}</div>
+    ) : null;
+  }
+
+  return (
+    <Select value={value || input.defaultUnit} onValueChange={onChange}>
+      <SelectTrigger className="w-40 bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-12">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent className="bg-slate-800 border-purple-500/30">
+        {options.map((unit) => (
+          <SelectItem
+            key={unit}
+            value={unit}
+            className="text-purple-100 focus:bg-purple-500/20 focus:text-purple-100"
+          >
+            {unit}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+// Referência de um campo de pressão: manométrica ou absoluta.
+function PressureReferenceToggle({ value, onChange }) {
+  const t = useTranslation();
+  return (
+    <div className="flex gap-1 text-xs" role="radiogroup" aria-label={t('Referência da pressão')}>
+      {Object.entries(pressureReferences).map(([reference, label]) => (
+        <button
+          key={reference}
+          type="button"
+          role="radio"
+          aria-checked={value === reference}
+          onClick={() => onChange(reference)}
+          className={`px-2 py-1 rounded-md border transition-colors ${value === reference
+            ? 'bg-purple-500/30 border-purple-400/60 text-purple-100'
+            : 'border-purple-500/20 text-purple-300/70 hover:bg-purple-500/10'}`}
+        >
+          {t(label)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Mensagem de validação exibida abaixo de um campo.
+function FieldError({ message }) {
+  return message ? <p className="text-red-300 text-sm">{message}</p> : null;
+}
+
+// Campo de seleção entre opções fixas definidas no registro.
+function OptionSelect({ input, value, error, onChange }) {
+  const t = useTranslation();
+  return (
+    <div className="space-y-2">
+      <Label className="text-purple-100 text-base">{t(input.label)}</Label>
+      <Select value={value || input.defaultValue} onValueChange={onChange}>
+        <SelectTrigger className="w-full bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-12 text-lg">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent className="bg-slate-800 border-purple-500/30">
+          {input.options.map((option) => (
+            <SelectItem
+              key={option.value}
+              value={option.value}
+              className="text-purple-100 focus:bg-purple-500/20 focus:text-purple-100"
+            >
+              {t(option.label)}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <FieldError message={error} />
+    </div>
+  );
+}
+
+// Campo numérico com seletor de unidade e, se houver, atalhos para o catálogo de tubos ou a geometria da seção.
+function NumericField({ input, inputs, units, error, locale, onInputChange, onUnitChange }) {
+  const t = useTranslation();
+  return (
+    <div className="space-y-2">
+      <Label htmlFor={input.field} className="text-purple-100 text-base">
+        {t(input.label)}
+      </Label>
+      <div className="flex gap-3">
+        <div className="flex-1">
+          <NumberInput
+            id={input.field}
+            locale={locale}
+            value={inputs[input.field]}
+            onChange={(value) => onInputChange(input.field, value)}
+            aria-invalid={Boolean(error)}
+            className={`bg-slate-800/50 text-white h-12 text-lg ${error ? 'border-red-400/70 focus:border-red-400' : 'border-purple-500/30 focus:border-purple-400'}`}
+            placeholder={t(input.placeholder || 'Insira o valor')}
+          />
+        </div>
+        <UnitSelect
+          input={input}
+          value={units[input.field]}
+          onChange={(unit) => onUnitChange(input.field, unit)}
+        />
+      </div>
+      {input.reference && (
+        <PressureReferenceToggle
+          value={getPressureReference(input, inputs)}
+          onChange={(reference) => onInputChange('pressureReference', { ...inputs.pressureReference, [input.field]: reference })}
+        />
+      )}
+      <FieldError message={error} />
+      {input.catalog && (
+        <PipeCatalogPicker
+          input={input}
+          inputs={inputs}
+          onInputChange={onInputChange}
+          onUnitChange={onUnitChange}
+        />
+      )}
+      {input.geometry && (
+        <GeometryPicker
+          input={input}
+          inputs={inputs}
+          locale={locale}
+          onInputChange={onInputChange}
+          onUnitChange={onUnitChange}
+        />
+      )}
+    </div>
+  );
+}
+
+// Seletor da incógnita: o resultado da fórmula (sentido direto) ou uma das entradas numéricas.
+function solveForInput(calculator) {
+  const options = [
+    { value: 'result', label: calculator.output.label },
+    ...solvableInputs(calculator).map(input => ({ value: input.field, label: input.label }))
+  ];
+  return { field: 'solveFor', label: 'Resolver para', options, defaultValue: 'result' };
+}
+
+export default function CalculatorInputs({ calculator, inputs, units, errors = {}, gravity, locale, onInputChange, onUnitChange }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {calculator.output && (
+        <div className="md:col-span-2">
+          <OptionSelect
+            input={solveForInput(calculator)}
+            value={inputs.solveFor}
+            onChange={(value) => onInputChange('solveFor', value)}
+          />
+        </div>
+      )}
+      {calculator.fluidFields && (
+        <FluidPicker
+          calculator={calculator}
+          inputs={inputs}
+          locale={locale}
+          onInputChange={onInputChange}
+          onUnitChange={onUnitChange}
+        />
+      )}
+      {getInputFields(calculator, inputs).map((input) => {
+        if (input.kind === 'select') {
+          return (
+            <OptionSelect
+              key={input.field}
+              input={input}
+              value={inputs[input.field]}
+              error={errors[input.field]}
+              onChange={(value) => onInputChange(input.field, value)}
+            />
+          );
+        }
+        if (input.kind === 'fittings') {
+          return (
+            <FittingsBuilder
+              key={input.field}
+              input={input}
+              inputs={inputs}
+              units={units}
+              gravity={gravity}
+              locale={locale}
+              onInputChange={onInputChange}
+            />
+          );
+        }
+        if (input.kind === 'pump-curve') {
+          return (
+            <PumpCurveInput
+              key={input.field}
+              input={input}
+              inputs={inputs}
+              locale={locale}
+              onInputChange={onInputChange}
+            />
+          );
+        }
+        return (
+          <NumericField
+            key={input.field}
+            input={input}
+            inputs={inputs}
+            units={units}
+            error={errors[input.field]}
+            locale={locale}
+            onInputChange={onInputChange}
+            onUnitChange={onUnitChange}
+          />
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+/**
+ * Montagem da lista de acessórios e válvulas da calculadora de perda de carga.
+ * Mostra o K de cada item e, quando a velocidade já foi informada, a perda localizada por item.
+ */
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import NumberInput from './NumberInput';
+import { diameterRatioMessage, fittings, fittingK, needsDiameterRatio, sumFittings, toSI, G } from '../lib/engine';
+import { useTranslation } from '../lib/i18n/context';
+
+const fieldClass = 'bg-slate-800/50 border-purple-500/30 text-white focus:border-purple-400 h-10';
+const itemClass = 'text-purple-100 focus:bg-purple-500/20 focus:text-purple-100';
+
+export default function FittingsBuilder({ input, inputs, units, gravity = G, locale, onInputChange }) {
+  const t = useTranslation();
+  const items = inputs[input.field] || [];
+  const { kSum } = sumFittings(items);
+
+  // Carga cinética v²/2g, se a velocidade já foi informada.
+  const velocity = Number(inputs.velocity);
+  const velocityHead = velocity ? Math.pow(toSI(velocity, units.velocity || 'm/s', 'velocity'), 2) / (2 * gravity) : null;
+
+  const update = (index, changes) => {
+    onInputChange(input.field, items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+  const remove = (index) => onInputChange(input.field, items.filter((_, i) => i !== index));
+  const add = () => onInputChange(input.field, [...items, { id: 'elbow-90', quantity: 1, ratio: 0.5 }]);
+
+  return (
+    <div className="md:col-span-2 space-y-3">
+      <Label className="text-purple-100 text-base">{t(input.label)}</Label>
+
+      {items.map((item, index) => {
+        const k = fittingK(item.id, Number(item.ratio));
+        const kTotal = k * (Number(item.quantity) || 0);
+        return (
+          <div key={index} className="space-y-1">
+            <div className="flex flex-wrap items-center gap-2">
+              <div className="flex-1 min-w-[14rem]">
+                <Select value={item.id} onValueChange={(id) => update(index, { id })}>
+                  <SelectTrigger className="w-full bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-10">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-purple-500/30">
+                    {Object.entries(fittings).map(([id, fitting]) => (
+                      <SelectItem key={id} value={id} className={itemClass}>{t(fitting.label)}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <Input
+                type="number"
+                min="1"
+                step="1"
+                value={item.quantity}
+                onChange={(e) => update(index, { quantity: e.target.value })}
+                className={`${fieldClass} w-20`}
+                aria-label={t('Quantidade')}
+              />
+              {needsDiameterRatio(item.id) && (
+                <NumberInput
+                  locale={locale}
+                  value={item.ratio}
+                  onChange={(ratio) => update(index, { ratio })}
+                  className={`${fieldClass} w-24`}
+                  aria-label={t('Razão de diâmetros d/D')}
+                  title={t('Razão de diâmetros d/D (menor/maior)')}
+                />
+              )}
+              <span className="w-48 font-mono text-xs text-purple-100/70">
+                {k === null ? 'K = —' : `K = ${k.toFixed(2)} · Σ = ${kTotal.toFixed(2)}`}
+                {k !== null && velocityHead !== null && ` · ${(kTotal * velocityHead).toFixed(3)} m`}
+              </span>
+              <Button type="button" variant="ghost" size="sm" onClick={() => remove(index)} className="text-purple-300 hover:text-red-300 hover:bg-red-500/10">
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+            {/* Razão d/D ausente ou fora de 0 < d/D ≤ 1. */}
+            {k === null && <p className="text-red-300 text-sm">{t(diameterRatioMessage(item.id))}</p>}
+          </div>
+        );
+      })}
+
+      <div className="flex items-center justify-between">
+        <Button type="button" variant="ghost" size="sm" onClick={add} className="text-purple-300 hover:text-purple-200 hover:bg-purple-500/10">
+          <Plus className="w-4 h-4 mr-1" />
+          {t('Adicionar acessório')}
+        </Button>
+        {items.length > 0 && Number.isFinite(kSum) && (
+          <span className="font-mono text-sm text-purple-200">
+            Σk ({t('acessórios')}) = {kSum.toFixed(2)}
+            {velocityHead !== null && ` · hₘ = ${(kSum * velocityHead).toFixed(4)} m`}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
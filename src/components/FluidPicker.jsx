@@ -0,0 +1,127 @@
+/**
+ * Seletor de fluido da biblioteca de propriedades.
+ * Preenche os campos de densidade, viscosidade e pressão de vapor da calculadora
+ * com os valores interpolados para a temperatura escolhida.
+ */
+import { useState } from 'react';
+import { Droplet } from 'lucide-react';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import NumberInput from './NumberInput';
+import { fluids, fluidProperties, fluidTemperatureRange, fromSI, siUnitOf, toSI } from '../lib/engine';
+import { unitOptions } from '../calculators/fields';
+import { useTranslation } from '../lib/i18n/context';
+
+// Símbolo e unidade (SI) das propriedades exibidas na leitura rápida.
+const propertyLabels = {
+  density: { symbol: 'ρ', unit: 'kg/m³' },
+  viscosity: { symbol: 'μ', unit: 'Pa·s' },
+  vaporPressure: { symbol: 'Pᵥ', unit: 'Pa' }
+};
+
+// Converte temperaturas entre a unidade escolhida e °C, a unidade das tabelas de fluidos.
+const toCelsius = (value, unit) => fromSI(toSI(value, unit, 'temperature'), '°C', 'temperature');
+const fromCelsius = (value, unit) => Number(fromSI(toSI(value, '°C', 'temperature'), unit, 'temperature').toPrecision(10));
+
+export default function FluidPicker({ calculator, inputs, locale, onInputChange, onUnitChange }) {
+  const t = useTranslation();
+  const [fluidId, setFluidId] = useState(inputs.fluid?.id || 'water');
+  const [temperatureUnit, setTemperatureUnit] = useState(inputs.fluid?.temperatureUnit || '°C');
+  const [temperature, setTemperature] = useState(
+    inputs.fluid ? fromCelsius(inputs.fluid.temperature, inputs.fluid.temperatureUnit || '°C') : 20
+  );
+
+  const range = fluidTemperatureRange(fluidId);
+  // Temperatura digitada é um número (vazia ou inválida, não há propriedades a aplicar).
+  const validTemperature = temperature !== '' && Number.isFinite(Number(temperature));
+  const props = validTemperature ? fluidProperties(fluidId, toCelsius(Number(temperature), temperatureUnit)) : null;
+
+  // Troca a unidade mantendo a mesma temperatura.
+  const handleUnitChange = (unit) => {
+    if (validTemperature) setTemperature(fromCelsius(toCelsius(Number(temperature), temperatureUnit), unit));
+    setTemperatureUnit(unit);
+  };
+
+  // Copia as propriedades para os campos mapeados em 'fluidFields', já em unidades do SI.
+  const handleApply = () => {
+    if (!props) return;
+    Object.entries(calculator.fluidFields).forEach(([property, field]) => {
+      if (props[property] === null) return;
+      const input = calculator.inputs.find(item => item.field === field);
+      onInputChange(field, Number(props[property].toPrecision(6)));
+      onUnitChange(field, siUnitOf(input.unitType));
+    });
+    onInputChange('fluid', { id: fluidId, temperature: props.temperature, temperatureUnit });
+  };
+
+  return (
+    <div className="md:col-span-2 p-4 rounded-xl bg-slate-800/40 border border-purple-500/20 space-y-3">
+      <div className="flex items-center gap-2 text-purple-300 font-semibold">
+        <Droplet className="w-4 h-4" />
+        {t('Biblioteca de fluidos')}
+      </div>
+      <div className="flex flex-col md:flex-row md:items-end gap-3">
+        <div className="flex-1 space-y-1">
+          <Label className="text-purple-100 text-sm">{t('Fluido')}</Label>
+          <Select value={fluidId} onValueChange={setFluidId}>
+            <SelectTrigger className="w-full bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-10">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bg-slate-800 border-purple-500/30">
+              {Object.entries(fluids).map(([id, fluid]) => (
+                <SelectItem key={id} value={id} className="text-purple-100 focus:bg-purple-500/20 focus:text-purple-100">
+                  {t(fluid.label)}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="md:w-56 space-y-1">
+          <Label htmlFor="fluid-temperature" className="text-purple-100 text-sm">
+            {t('Temperatura')}
+          </Label>
+          <div className="flex gap-2">
+            <NumberInput
+              id="fluid-temperature"
+              locale={locale}
+              value={temperature}
+              onChange={setTemperature}
+              className="bg-slate-800/50 border-purple-500/30 text-white focus:border-purple-400 h-10"
+            />
+            <Select value={temperatureUnit} onValueChange={handleUnitChange}>
+              <SelectTrigger className="w-20 bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-10">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-slate-800 border-purple-500/30">
+                {unitOptions.temperature.map(unit => (
+                  <SelectItem key={unit} value={unit} className="text-purple-100 focus:bg-purple-500/20 focus:text-purple-100">
+                    {unit}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+        <Button
+          type="button"
+          onClick={handleApply}
+          disabled={!props}
+          className="bg-purple-500/80 hover:bg-purple-500 text-white h-10"
+        >
+          {t('Aplicar aos campos')}
+        </Button>
+      </div>
+      {props && (
+        <p className="font-mono text-xs text-purple-100/70">
+          {Object.keys(calculator.fluidFields)
+            .filter(property => props[property] !== null)
+            .map(property => `${propertyLabels[property].symbol} = ${props[property].toPrecision(4)} ${propertyLabels[property].unit}`)
+            .join(' · ')}
+          {' · '}ν = {props.kinematicViscosity.toExponential(3)} m²/s
+          {' '}({t('faixa tabelada: {min} a {max} {unit}', { min: fromCelsius(range.min, temperatureUnit), max: fromCelsius(range.max, temperatureUnit), unit: temperatureUnit })}{props.clamped ? `, ${t('valor limitado')}` : ''})
+        </p>
+      )}
+    </div>
+  );
+}
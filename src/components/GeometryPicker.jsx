@@ -0,0 +1,113 @@
+/**
+ * Cálculo de um campo de área a partir da geometria da seção transversal.
+ * A área é aplicada ao campo em m², e a seção escolhida fica registrada para a memória de cálculo.
+ */
+import { useState } from 'react';
+import { Shapes } from 'lucide-react';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import NumberInput from './NumberInput';
+import { sections, sectionArea, sectionError } from '../lib/engine';
+import { unitOptions } from '../calculators/fields';
+import { useTranslation } from '../lib/i18n/context';
+
+const triggerClass = 'w-full bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-10';
+const itemClass = 'text-purple-100 focus:bg-purple-500/20 focus:text-purple-100';
+
+export default function GeometryPicker({ input, inputs, locale, onInputChange, onUnitChange }) {
+  const t = useTranslation();
+  const saved = inputs.geometry?.[input.field];
+  const [open, setOpen] = useState(false);
+  const [sectionId, setSectionId] = useState(saved?.section || 'circle');
+  const [unit, setUnit] = useState(saved?.unit || 'mm');
+  const [values, setValues] = useState(saved?.values || {});
+
+  const section = sections[sectionId];
+  // Dimensões preenchidas, no formato { value, unit } aceito pelo motor de cálculo.
+  const dimensions = Object.fromEntries(
+    section.dimensions
+      .filter(({ key }) => values[key] !== undefined && values[key] !== '' && Number.isFinite(Number(values[key])))
+      .map(({ key }) => [key, { value: Number(values[key]), unit }])
+  );
+  const area = sectionArea(sectionId, dimensions);
+  const error = sectionError(sectionId, dimensions);
+
+  const handleApply = () => {
+    if (!area) return;
+    const value = Number(area.value.toPrecision(6));
+    onInputChange(input.field, value);
+    onUnitChange(input.field, 'm²');
+    onInputChange('geometry', { ...inputs.geometry, [input.field]: { section: sectionId, unit, values, dimensions, value } });
+    setOpen(false);
+  };
+
+  return (
+    <div className="space-y-2">
+      <Button
+        type="button"
+        variant="ghost"
+        size="sm"
+        onClick={() => setOpen(!open)}
+        className="h-7 px-2 text-purple-300 hover:text-purple-200 hover:bg-purple-500/10"
+      >
+        <Shapes className="w-3.5 h-3.5 mr-1" />
+        {t('Calcular pela geometria')}
+      </Button>
+      {open && (
+        <div className="p-3 rounded-lg bg-slate-800/40 border border-purple-500/20 space-y-2">
+          <div className="grid grid-cols-[1fr_auto] gap-2">
+            <Select value={sectionId} onValueChange={setSectionId}>
+              <SelectTrigger className={triggerClass}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-slate-800 border-purple-500/30">
+                {Object.entries(sections).map(([id, item]) => (
+                  <SelectItem key={id} value={id} className={itemClass}>{t(item.label)}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={unit} onValueChange={setUnit}>
+              <SelectTrigger className={`${triggerClass} w-24`}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-slate-800 border-purple-500/30">
+                {unitOptions.length.map(option => (
+                  <SelectItem key={option} value={option} className={itemClass}>{option}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {section.dimensions.map(dimension => (
+            <div key={dimension.key} className="grid grid-cols-[1fr_8rem] items-center gap-2">
+              <Label htmlFor={`${input.field}-${dimension.key}`} className="text-purple-100 text-sm">{t(dimension.label)}</Label>
+              <NumberInput
+                id={`${input.field}-${dimension.key}`}
+                locale={locale}
+                value={values[dimension.key]}
+                onChange={(value) => setValues({ ...values, [dimension.key]: value })}
+                className="bg-slate-800/50 border-purple-500/30 text-white focus:border-purple-400 h-9"
+              />
+            </div>
+          ))}
+          {error && <p className="text-red-300 text-sm">{t(error)}</p>}
+          <div className="flex items-center justify-between gap-2">
+            <span className="font-mono text-xs text-purple-100/70">
+              {section.formula}
+              {area && ` → A = ${area.value.toPrecision(4)} m²`}
+            </span>
+            <Button
+              type="button"
+              size="sm"
+              onClick={handleApply}
+              disabled={!area}
+              className="bg-purple-500/80 hover:bg-purple-500 text-white"
+            >
+              {t('Aplicar')}
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
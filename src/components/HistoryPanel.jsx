@@ -0,0 +1,78 @@
+/**
+ * Painel do histórico de cálculos: lista os cálculos salvos (fixados primeiro)
+ * e permite reabrir um registro na sua calculadora, fixá-lo, excluí-lo ou limpar tudo.
+ */
+import { History, Pin, PinOff, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { sortHistory } from '../lib/history';
+import { useTranslation } from '../lib/i18n/context';
+
+const iconButtonClass = 'h-8 w-8 p-0 text-purple-300 hover:text-purple-200 hover:bg-purple-500/10';
+
+export default function HistoryPanel({ entries, onReopen, onTogglePin, onDelete, onClear }) {
+  const t = useTranslation();
+  if (!entries.length) return null;
+
+  return (
+    <Card className="mt-10 bg-slate-900/50 border-purple-500/20 backdrop-blur-sm">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="text-white text-xl flex items-center gap-2">
+          <History className="w-5 h-5 text-purple-400" />
+          {t('Histórico de cálculos')}
+        </CardTitle>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onClear}
+          className="text-purple-300 hover:text-purple-200 hover:bg-purple-500/10"
+        >
+          <Trash2 className="w-4 h-4 mr-1" />
+          {t('Limpar histórico')}
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {sortHistory(entries).map(entry => (
+          <div
+            key={entry.id}
+            className={`flex items-start gap-3 p-3 rounded-lg border ${entry.pinned ? 'bg-purple-500/10 border-purple-400/40' : 'bg-slate-800/40 border-purple-500/20'}`}
+          >
+            <button
+              type="button"
+              onClick={() => onReopen(entry)}
+              className="flex-1 min-w-0 text-left group"
+              title={t('Reabrir na calculadora')}
+            >
+              <div className="flex flex-wrap items-baseline justify-between gap-x-3">
+                <span className="text-white font-medium group-hover:text-purple-300 transition-colors">{t(entry.calculatorName)}</span>
+                <span className="text-purple-100/50 text-xs">{new Date(entry.timestamp).toLocaleString(t.language)}</span>
+              </div>
+              <p className="text-purple-100/60 text-sm truncate">{entry.summary.join(' · ')}</p>
+              <p className="font-mono text-purple-300 text-sm">
+                = {entry.result.text} {entry.result.unit}
+              </p>
+            </button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => onTogglePin(entry.id)}
+              className={iconButtonClass}
+              title={entry.pinned ? t('Desafixar') : t('Fixar')}
+            >
+              {entry.pinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => onDelete(entry.id)}
+              className={iconButtonClass}
+              title={t('Excluir')}
+            >
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
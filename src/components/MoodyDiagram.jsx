@@ -0,0 +1,248 @@
+/**
+ * Diagrama de Moody interativo (f × Re em escala log-log).
+ * Mostra as curvas de Colebrook-White para vários valores de ε/D, a reta laminar
+ * e a zona de transição, marca o ponto de operação da calculadora atual e,
+ * na calculadora de fator de atrito, permite preencher Re e ε/D clicando no gráfico.
+ */
+import { useMemo, useRef, useState } from 'react';
+import {
+  colebrookWhite,
+  laminarFriction,
+  relativeRoughnessFromColebrook,
+  LAMINAR_LIMIT,
+  TURBULENT_LIMIT
+} from '../lib/engine';
+import { useTranslation } from '../lib/i18n/context';
+
+// Dimensões do gráfico (unidades do viewBox do SVG).
+const WIDTH = 720;
+const HEIGHT = 440;
+const MARGIN = { top: 16, right: 72, bottom: 44, left: 60 };
+
+// Limites dos eixos.
+const RE_MIN = 600;
+const RE_MAX = 1e8;
+const F_MIN = 0.008;
+const F_MAX = 0.1;
+
+// Rugosidades relativas desenhadas no diagrama (0 = tubo liso).
+const ROUGHNESS_CURVES = [0.05, 0.03, 0.02, 0.01, 0.005, 0.002, 0.001, 0.0005, 0.0002, 0.0001, 0.00005, 0.00001, 0.000001, 0];
+
+const RE_TICKS = [1e3, 1e4, 1e5, 1e6, 1e7, 1e8];
+const F_TICKS = [0.008, 0.01, 0.015, 0.02, 0.025, 0.03, 0.04, 0.05, 0.06, 0.08, 0.1];
+
+const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+// Conversões entre valores físicos e coordenadas do SVG.
+const xOf = (re) => MARGIN.left + (Math.log10(re / RE_MIN) / Math.log10(RE_MAX / RE_MIN)) * plotWidth;
+const yOf = (f) => MARGIN.top + (1 - Math.log10(f / F_MIN) / Math.log10(F_MAX / F_MIN)) * plotHeight;
+const reOf = (x) => RE_MIN * Math.pow(RE_MAX / RE_MIN, (x - MARGIN.left) / plotWidth);
+const fOf = (y) => F_MIN * Math.pow(F_MAX / F_MIN, 1 - (y - MARGIN.top) / plotHeight);
+
+// Gera os pontos de uma curva em escala logarítmica de Re.
+function logSpace(from, to, count) {
+  const step = Math.log10(to / from) / (count - 1);
+  return Array.from({ length: count }, (_, i) => from * Math.pow(10, i * step));
+}
+
+// Converte uma lista de pontos (Re, f) em um atributo 'points' de polyline.
+const toPoints = (points) => points.map(([re, f]) => `${xOf(re).toFixed(1)},${yOf(f).toFixed(1)}`).join(' ');
+
+// Expoente em sobrescrito para os rótulos do eixo de Re.
+const SUPERSCRIPTS = { 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+const powerOfTen = (value) => `10${String(Math.round(Math.log10(value))).split('').map(d => SUPERSCRIPTS[d]).join('')}`;
+
+// Rótulo compacto de uma rugosidade relativa.
+const roughnessLabel = (e) => (e === 0 ? 'liso' : String(e));
+
+// Curvas de Colebrook-White, calculadas uma única vez.
+function buildRoughnessCurves() {
+  return ROUGHNESS_CURVES.map(relRoughness => ({
+    relRoughness,
+    points: logSpace(TURBULENT_LIMIT, RE_MAX, 80)
+      .map(re => [re, colebrookWhite(re, relRoughness).f])
+      .filter(([, f]) => f >= F_MIN && f <= F_MAX)
+  }));
+}
+
+/**
+ * Determina o ponto de operação a partir da calculadora atual.
+ * - Fator de atrito: (Re, f) calculado.
+ * - Número de Reynolds: apenas Re (linha vertical), pois ε/D não é conhecido.
+ */
+function operatingPoint(calculator, inputs, result) {
+  if (!result || result.value === null || isNaN(result.value)) return null;
+  // Resolvendo para uma entrada, o valor desejado de f (ou Re) está em 'inputs.result'.
+  if (result.solvedFor) {
+    if (calculator.id === 'friction-factor') {
+      return { re: result.solvedFor === 'reynolds' ? result.value : Number(inputs.reynolds), f: Number(inputs.result) };
+    }
+    return calculator.id === 'reynolds' ? { re: Number(inputs.result), f: null } : null;
+  }
+  if (calculator.id === 'friction-factor') {
+    return { re: Number(inputs.reynolds), f: result.value };
+  }
+  if (calculator.id === 'reynolds') {
+    return { re: result.value, f: null };
+  }
+  return null;
+}
+
+export default function MoodyDiagram({ calculator, inputs, result, onInputChange }) {
+  const t = useTranslation();
+  const svgRef = useRef(null);
+  const [hover, setHover] = useState(null);
+  const curves = useMemo(buildRoughnessCurves, []);
+  const laminarPoints = useMemo(
+    () => logSpace(RE_MIN, LAMINAR_LIMIT, 20).map(re => [re, laminarFriction(re)]).filter(([, f]) => f <= F_MAX),
+    []
+  );
+
+  // Somente a calculadora de fator de atrito tem Re e ε/D como entradas.
+  const interactive = calculator.id === 'friction-factor';
+  const point = operatingPoint(calculator, inputs, result);
+
+  // Converte a posição do mouse em coordenadas do viewBox e, daí, em (Re, f).
+  const readPosition = (event) => {
+    const svg = svgRef.current;
+    const matrix = svg?.getScreenCTM();
+    if (!matrix) return null;
+    const cursor = svg.createSVGPoint();
+    cursor.x = event.clientX;
+    cursor.y = event.clientY;
+    const { x, y } = cursor.matrixTransform(matrix.inverse());
+    if (x < MARGIN.left || x > WIDTH - MARGIN.right || y < MARGIN.top || y > HEIGHT - MARGIN.bottom) return null;
+
+    const re = reOf(x);
+    const f = fOf(y);
+    const relRoughness = re >= TURBULENT_LIMIT ? relativeRoughnessFromColebrook(re, f) : null;
+    return { re, f, relRoughness };
+  };
+
+  const handleClick = (event) => {
+    if (!interactive) return;
+    const position = readPosition(event);
+    if (!position) return;
+    onInputChange('reynolds', Math.round(position.re));
+    // Na zona laminar/transição a rugosidade não influencia f, então apenas Re é preenchido.
+    if (position.relRoughness !== null) {
+      onInputChange('relativeRoughness', Number(position.relRoughness.toPrecision(3)));
+    }
+  };
+
+  return (
+    <div className="mt-6 p-4 rounded-xl bg-slate-800/50 border border-purple-400/20">
+      <h3 className="text-lg font-semibold text-purple-300 mb-1">{t('Diagrama de Moody')}</h3>
+      <p className="text-purple-100/60 text-sm mb-3">
+        {interactive
+          ? t('Clique no gráfico para preencher Re e ε/D a partir do ponto escolhido.')
+          : t('A linha vertical indica o número de Reynolds calculado.')}
+      </p>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className={`w-full h-auto select-none ${interactive ? 'cursor-crosshair' : ''}`}
+        onClick={handleClick}
+        onMouseMove={(event) => setHover(readPosition(event))}
+        onMouseLeave={() => setHover(null)}
+      >
+        {/* Zona de transição */}
+        <rect
+          x={xOf(LAMINAR_LIMIT)}
+          y={MARGIN.top}
+          width={xOf(TURBULENT_LIMIT) - xOf(LAMINAR_LIMIT)}
+          height={plotHeight}
+          className="fill-purple-500/10"
+        />
+        <text x={(xOf(LAMINAR_LIMIT) + xOf(TURBULENT_LIMIT)) / 2} y={MARGIN.top + 14} textAnchor="middle" className="fill-purple-300/70 text-[10px]">
+          {t('Transição')}
+        </text>
+        <text x={MARGIN.left + 8} y={MARGIN.top + 14} className="fill-purple-300/70 text-[10px]">
+          Laminar
+        </text>
+
+        {/* Grade e eixos */}
+        {RE_TICKS.map(re => (
+          <g key={`re-${re}`}>
+            <line x1={xOf(re)} x2={xOf(re)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} className="stroke-purple-500/15" />
+            <text x={xOf(re)} y={HEIGHT - MARGIN.bottom + 16} textAnchor="middle" className="fill-purple-200/70 text-[11px]">
+              {powerOfTen(re)}
+            </text>
+          </g>
+        ))}
+        {F_TICKS.map(f => (
+          <g key={`f-${f}`}>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={yOf(f)} y2={yOf(f)} className="stroke-purple-500/15" />
+            <text x={MARGIN.left - 6} y={yOf(f) + 4} textAnchor="end" className="fill-purple-200/70 text-[11px]">
+              {f}
+            </text>
+          </g>
+        ))}
+        <rect x={MARGIN.left} y={MARGIN.top} width={plotWidth} height={plotHeight} className="fill-none stroke-purple-500/40" />
+        <text x={MARGIN.left + plotWidth / 2} y={HEIGHT - 8} textAnchor="middle" className="fill-purple-200 text-[12px]">
+          {t('Número de Reynolds (Re)')}
+        </text>
+        <text x={14} y={MARGIN.top + plotHeight / 2} textAnchor="middle" transform={`rotate(-90 14 ${MARGIN.top + plotHeight / 2})`} className="fill-purple-200 text-[12px]">
+          {t('Fator de atrito (f)')}
+        </text>
+
+        {/* Reta laminar f = 64/Re */}
+        <polyline points={toPoints(laminarPoints)} className="fill-none stroke-violet-400" strokeWidth={2} />
+
+        {/* Curvas de Colebrook-White por rugosidade relativa */}
+        {curves.map(curve => {
+          const last = curve.points[curve.points.length - 1];
+          return (
+            <g key={curve.relRoughness}>
+              <polyline points={toPoints(curve.points)} className="fill-none stroke-purple-300/70" strokeWidth={1.2} />
+              {last && (
+                <text x={xOf(last[0]) + 4} y={yOf(last[1]) + 3} className="fill-purple-200/70 text-[9px]">
+                  {t(roughnessLabel(curve.relRoughness))}
+                </text>
+              )}
+            </g>
+          );
+        })}
+        <text x={WIDTH - MARGIN.right + 4} y={MARGIN.top - 4} className="fill-purple-200/70 text-[10px]">ε/D</text>
+
+        {/* Ponto de operação */}
+        {point && point.re >= RE_MIN && point.re <= RE_MAX && (
+          point.f !== null && point.f >= F_MIN && point.f <= F_MAX ? (
+            <g>
+              <circle cx={xOf(point.re)} cy={yOf(point.f)} r={6} className="fill-fuchsia-400 stroke-white" strokeWidth={1.5} />
+              <text x={xOf(point.re) + 9} y={yOf(point.f) - 8} className="fill-white text-[11px] font-semibold">
+                Re = {point.re.toExponential(2)}, f = {point.f.toFixed(4)}
+              </text>
+            </g>
+          ) : (
+            <g>
+              <line x1={xOf(point.re)} x2={xOf(point.re)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} className="stroke-fuchsia-400" strokeWidth={2} strokeDasharray="6 4" />
+              <text x={xOf(point.re) + 6} y={HEIGHT - MARGIN.bottom - 8} className="fill-white text-[11px] font-semibold">
+                Re = {point.re.toExponential(2)}
+              </text>
+            </g>
+          )
+        )}
+
+        {/* Leitura do cursor */}
+        {hover && (
+          <g pointerEvents="none">
+            <line x1={xOf(hover.re)} x2={xOf(hover.re)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} className="stroke-white/30" />
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={yOf(hover.f)} y2={yOf(hover.f)} className="stroke-white/30" />
+          </g>
+        )}
+      </svg>
+
+      <div className="mt-2 h-5 font-mono text-xs text-purple-100/70 text-center">
+        {hover && (
+          <>
+            Re = {hover.re.toExponential(2)} · f = {hover.f.toFixed(4)}
+            {hover.relRoughness !== null && ` · ε/D ≈ ${hover.relRoughness.toPrecision(3)}`}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
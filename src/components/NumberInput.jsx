@@ -0,0 +1,36 @@
+/**
+ * Campo numérico que aceita a convenção decimal das configurações (ex.: "2,5" ou "1.234,5").
+ * Durante a edição, o texto digitado é mantido como está; o valor repassado é o número lido,
+ * ou o próprio texto quando ele não é um número, para a validação indicar o erro.
+ */
+import { useState } from 'react';
+import { Input } from './ui/input';
+import { formatInputNumber, parseNumber } from '../lib/format';
+
+export default function NumberInput({ value, locale, onChange, onBlur, ...props }) {
+  const [draft, setDraft] = useState(null);
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    const number = parseNumber(text, locale);
+    setDraft(text);
+    onChange(text.trim() === '' ? '' : Number.isFinite(number) ? number : text);
+  };
+
+  const handleBlur = (e) => {
+    setDraft(null);
+    onBlur?.(e);
+  };
+
+  return (
+    <Input
+      type="text"
+      inputMode="decimal"
+      autoComplete="off"
+      {...props}
+      value={draft ?? formatInputNumber(value, locale)}
+      onChange={handleChange}
+      onBlur={handleBlur}
+    />
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * Preenchimento de campos a partir do catálogo de tubos: rugosidade por material
+ * ou diâmetro interno por tamanho nominal comercial. Os valores são aplicados em mm.
+ */
+import { useState } from 'react';
+import { BookOpen } from 'lucide-react';
+import { Button } from './ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { pipeMaterials, pipeSizeTables, pipeSizes } from '../lib/engine';
+import { useTranslation } from '../lib/i18n/context';
+
+const triggerClass = 'w-full bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-10';
+const itemClass = 'text-purple-100 focus:bg-purple-500/20 focus:text-purple-100';
+
+// Lista de opções de rugosidade por material. As descrições guardadas ficam em português
+// e são traduzidas na memória de cálculo.
+function RoughnessOptions({ onSelect }) {
+  const t = useTranslation();
+  return (
+    <Select onValueChange={(id) => {
+      const material = pipeMaterials[id];
+      onSelect(material.roughness, `${material.label} (ε típico = ${material.roughness} mm, faixa ${material.range[0]} a ${material.range[1]} mm)`);
+    }}>
+      <SelectTrigger className={triggerClass}>
+        <SelectValue placeholder={t('Escolha o material')} />
+      </SelectTrigger>
+      <SelectContent className="bg-slate-800 border-purple-500/30">
+        {Object.entries(pipeMaterials).map(([id, material]) => (
+          <SelectItem key={id} value={id} className={itemClass}>
+            {t(material.label)} — {material.roughness} mm
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+// Tabela de tamanhos nominais e lista de diâmetros da tabela escolhida.
+function DiameterOptions({ onSelect }) {
+  const t = useTranslation();
+  const [tableId, setTableId] = useState('sch40');
+  const table = pipeSizeTables[tableId];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+      <Select value={tableId} onValueChange={setTableId}>
+        <SelectTrigger className={triggerClass}>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent className="bg-slate-800 border-purple-500/30">
+          {Object.entries(pipeSizeTables).map(([id, item]) => (
+            <SelectItem key={id} value={id} className={itemClass}>{t(item.label)}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Select key={tableId} onValueChange={(nominal) => {
+        const size = pipeSizes(tableId).find(item => item.nominal === nominal);
+        onSelect(size.innerDiameter, `${table.label} — ${size.nominal}: DE = ${size.outerDiameter} mm, e = ${size.wall} mm, DI = ${size.innerDiameter} mm (${table.source})`);
+      }}>
+        <SelectTrigger className={triggerClass}>
+          <SelectValue placeholder={t('Tamanho nominal')} />
+        </SelectTrigger>
+        <SelectContent className="bg-slate-800 border-purple-500/30">
+          {pipeSizes(tableId).map(size => (
+            <SelectItem key={size.nominal} value={size.nominal} className={itemClass}>
+              {size.nominal} — {t('DI')} {size.innerDiameter} mm
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+export default function PipeCatalogPicker({ input, inputs, onInputChange, onUnitChange }) {
+  const t = useTranslation();
+  const [open, setOpen] = useState(false);
+
+  // Aplica o valor (mm) ao campo e guarda a descrição para a memória de cálculo.
+  const handleSelect = (valueMm, description) => {
+    onInputChange(input.field, valueMm);
+    onUnitChange(input.field, 'mm');
+    onInputChange('catalog', { ...inputs.catalog, [input.field]: { value: valueMm, description } });
+    setOpen(false);
+  };
+
+  return (
+    <div className="space-y-2">
+      <Button
+        type="button"
+        variant="ghost"
+        size="sm"
+        onClick={() => setOpen(!open)}
+        className="h-7 px-2 text-purple-300 hover:text-purple-200 hover:bg-purple-500/10"
+      >
+        <BookOpen className="w-3.5 h-3.5 mr-1" />
+        {input.catalog === 'roughness' ? t('Rugosidade por material') : t('Diâmetro comercial')}
+      </Button>
+      {open && (input.catalog === 'roughness'
+        ? <RoughnessOptions onSelect={handleSelect} />
+        : <DiameterOptions onSelect={handleSelect} />)}
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+/**
+ * Painel de projetos: cálculos de uma mesma instalação agrupados em um projeto nomeado.
+ * Permite criar, renomear e excluir projetos, reordenar e anotar os cálculos,
+ * reabri-los na calculadora e exportar/importar o projeto em JSON.
+ */
+import { useRef, useState } from 'react';
+import { ArrowDown, ArrowUp, Download, FolderOpen, Pencil, Plus, Trash2, Upload } from 'lucide-react';
+import { Button } from './ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Input } from './ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import ReportButtons from './ReportButtons';
+import { createProject, exportProject, importProject, moveItem, projectFileName, removeItem, updateItem } from '../lib/projects';
+import { downloadFile } from '../lib/download';
+import { buildReport } from '../lib/report';
+import { useTranslation } from '../lib/i18n/context';
+
+const ghostClass = 'text-purple-300 hover:text-purple-200 hover:bg-purple-500/10';
+const iconButtonClass = `h-8 w-8 p-0 ${ghostClass}`;
+
+export default function ProjectPanel({ workspace, settings, onChange, onReopen }) {
+  const t = useTranslation();
+  const { projects, activeId } = workspace;
+  const project = projects.find(item => item.id === activeId) || null;
+  const fileInput = useRef(null);
+  const [importError, setImportError] = useState(null);
+
+  // Substitui o projeto ativo pela versão alterada.
+  const updateProject = (changed) => onChange({
+    ...workspace,
+    projects: projects.map(item => (item.id === changed.id ? changed : item))
+  });
+
+  const handleCreate = () => {
+    const name = window.prompt(t('Nome do projeto:'), t('Projeto {number}', { number: projects.length + 1 }));
+    if (!name?.trim()) return;
+    const created = createProject(name.trim());
+    onChange({ projects: [...projects, created], activeId: created.id });
+  };
+
+  const handleRename = () => {
+    const name = window.prompt(t('Novo nome do projeto:'), project.name);
+    if (!name?.trim()) return;
+    updateProject({ ...project, name: name.trim(), updatedAt: Date.now() });
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(t('Excluir o projeto "{name}" e seus {count} cálculo(s)?', { name: project.name, count: project.items.length }))) return;
+    const remaining = projects.filter(item => item.id !== project.id);
+    onChange({ projects: remaining, activeId: remaining[0]?.id || null });
+  };
+
+  const handleExport = () => {
+    downloadFile(projectFileName(project), exportProject(project), 'application/json');
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const { project: imported, skipped, error } = importProject(await file.text());
+    // Itens inválidos ignorados aparecem no mesmo aviso dos erros de importação.
+    setImportError(error || (skipped ? `${skipped} item(ns) inválido(s) ignorado(s) na importação.` : null));
+    if (imported) onChange({ projects: [...projects, imported], activeId: imported.id });
+  };
+
+  return (
+    <Card className="mt-10 bg-slate-900/50 border-purple-500/20 backdrop-blur-sm">
+      <CardHeader className="space-y-3">
+        <CardTitle className="text-white text-xl flex items-center gap-2">
+          <FolderOpen className="w-5 h-5 text-purple-400" />
+          {t('Projetos')}
+        </CardTitle>
+        <div className="flex flex-wrap items-center gap-2">
+          {projects.length > 0 && (
+            <Select value={activeId || ''} onValueChange={(id) => onChange({ ...workspace, activeId: id })}>
+              <SelectTrigger className="w-64 bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-9">
+                <SelectValue placeholder={t('Escolha um projeto')} />
+              </SelectTrigger>
+              <SelectContent className="bg-slate-800 border-purple-500/30">
+                {projects.map(item => (
+                  <SelectItem key={item.id} value={item.id} className="text-purple-100 focus:bg-purple-500/20 focus:text-purple-100">
+                    {item.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <Button variant="ghost" size="sm" onClick={handleCreate} className={ghostClass}>
+            <Plus className="w-4 h-4 mr-1" />
+            {t('Novo')}
+          </Button>
+          {project && (
+            <>
+              <Button variant="ghost" size="sm" onClick={handleRename} className={ghostClass}>
+                <Pencil className="w-4 h-4 mr-1" />
+                {t('Renomear')}
+              </Button>
+              <Button variant="ghost" size="sm" onClick={handleExport} className={ghostClass}>
+                <Download className="w-4 h-4 mr-1" />
+                {t('Exportar')}
+              </Button>
+              <Button variant="ghost" size="sm" onClick={handleDelete} className={ghostClass}>
+                <Trash2 className="w-4 h-4 mr-1" />
+                {t('Excluir')}
+              </Button>
+              <ReportButtons
+                getReport={() => buildReport({ title: project.name, subtitle: t('Projeto'), calculations: project.items, settings })}
+                disabled={!project.items.length}
+              />
+            </>
+          )}
+          <Button variant="ghost" size="sm" onClick={() => fileInput.current.click()} className={ghostClass}>
+            <Upload className="w-4 h-4 mr-1" />
+            {t('Importar')}
+          </Button>
+          <input ref={fileInput} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </div>
+        {importError && <p className="text-amber-200 text-sm">{t(importError)}</p>}
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {!project && (
+          <p className="text-purple-100/60 text-sm">
+            {t('Crie ou importe um projeto para reunir os cálculos de uma mesma instalação.')}
+          </p>
+        )}
+        {project && !project.items.length && (
+          <p className="text-purple-100/60 text-sm">
+            {t('Nenhum cálculo neste projeto. Use "Salvar no projeto" após calcular.')}
+          </p>
+        )}
+        {project?.items.map((item, index) => (
+          <div key={item.id} className="p-3 rounded-lg bg-slate-800/40 border border-purple-500/20 space-y-2">
+            <div className="flex items-center gap-2">
+              <span className="text-purple-400 font-mono text-sm w-6">{index + 1}.</span>
+              <Input
+                value={item.name}
+                onChange={(e) => updateProject(updateItem(project, item.id, { name: e.target.value }))}
+                className="flex-1 bg-slate-800/50 border-purple-500/30 text-white focus:border-purple-400 h-8"
+                aria-label={t('Nome do cálculo')}
+              />
+              <Button variant="ghost" size="sm" onClick={() => updateProject(moveItem(project, item.id, -1))} disabled={index === 0} className={iconButtonClass} title={t('Mover para cima')}>
+                <ArrowUp className="w-4 h-4" />
+              </Button>
+              <Button variant="ghost" size="sm" onClick={() => updateProject(moveItem(project, item.id, 1))} disabled={index === project.items.length - 1} className={iconButtonClass} title={t('Mover para baixo')}>
+                <ArrowDown className="w-4 h-4" />
+              </Button>
+              <Button variant="ghost" size="sm" onClick={() => updateProject(removeItem(project, item.id))} className={iconButtonClass} title={t('Remover do projeto')}>
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+            <button type="button" onClick={() => onReopen(item)} className="block w-full text-left group" title={t('Reabrir na calculadora')}>
+              <span className="text-purple-100/80 text-sm group-hover:text-purple-300 transition-colors">{t(item.calculatorName)}</span>
+              <p className="text-purple-100/60 text-sm truncate">{item.summary.join(' · ')}</p>
+              {item.result && (
+                <p className="font-mono text-purple-300 text-sm">= {item.result.text} {item.result.unit}</p>
+              )}
+            </button>
+            <textarea
+              value={item.note}
+              onChange={(e) => updateProject(updateItem(project, item.id, { note: e.target.value }))}
+              placeholder={t('Anotações (premissas, trecho da instalação, referências...)')}
+              rows={2}
+              className="w-full rounded-md bg-slate-800/50 border border-purple-500/30 text-purple-100 text-sm p-2 focus:outline-none focus:border-purple-400 placeholder:text-purple-100/30"
+            />
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
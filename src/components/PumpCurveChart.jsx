@@ -0,0 +1,127 @@
+/**
+ * Gráfico das curvas da bomba e do sistema (H × Q em escala linear), com os pontos
+ * informados, a curva de rendimento (eixo à direita, se ajustada) e o ponto de operação.
+ */
+import { fromSI } from '../lib/engine';
+import { useTranslation } from '../lib/i18n/context';
+
+// Dimensões do gráfico (unidades do viewBox do SVG).
+const WIDTH = 720;
+const HEIGHT = 400;
+const MARGIN = { top: 16, right: 56, bottom: 44, left: 56 };
+const TICKS = 5;
+
+const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+// Arredonda o limite de um eixo para um valor "redondo" (1, 2 ou 5 × 10ⁿ por divisão).
+function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const raw = value / TICKS;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= raw) * magnitude;
+  return step * TICKS;
+}
+
+// Rótulo compacto de um valor de eixo.
+const tickLabel = (value) => String(Number(value.toPrecision(4)));
+
+export default function PumpCurveChart({ result }) {
+  const t = useTranslation();
+  if (!result?.curves) return null;
+
+  const { curves, pump } = result;
+  const flowUnit = pump.flowUnit;
+  const toFlow = (flow) => fromSI(flow, flowUnit, 'flow');
+
+  const qMax = niceMax(toFlow(curves[curves.length - 1].flow));
+  const hMax = niceMax(Math.max(...curves.map(point => Math.max(point.pumpHead, 0)), ...pump.points.map(point => point.head)));
+  const showEfficiency = curves.some(point => point.efficiency !== null);
+
+  const xOf = (flow) => MARGIN.left + (toFlow(flow) / qMax) * plotWidth;
+  const yOf = (head) => MARGIN.top + (1 - head / hMax) * plotHeight;
+  const etaOf = (eta) => MARGIN.top + (1 - eta / 100) * plotHeight;
+
+  // Pontos visíveis de cada curva, como atributo 'points' de polyline.
+  const toPoints = (key, scale) => curves
+    .filter(point => point[key] !== null && point[key] >= 0 && (key === 'efficiency' ? point[key] <= 100 : point[key] <= hMax))
+    .map(point => `${xOf(point.flow).toFixed(1)},${scale(point[key]).toFixed(1)}`)
+    .join(' ');
+
+  const ticks = Array.from({ length: TICKS + 1 }, (_, i) => i / TICKS);
+  const operating = result.value !== null && !isNaN(result.value);
+
+  return (
+    <div className="mt-6 p-4 rounded-xl bg-slate-800/50 border border-purple-400/20">
+      <h3 className="text-lg font-semibold text-purple-300 mb-1">{t('Curvas da bomba e do sistema')}</h3>
+      {operating && (
+        <p className="text-purple-100/60 text-sm mb-3">
+          Q = {toFlow(result.value).toFixed(3)} {flowUnit} · H = {result.head.toFixed(2)} m
+          {result.efficiency ? ` · η = ${result.efficiency.toFixed(1)}% · P = ${(result.power / 1000).toFixed(3)} kW` : ` · ${t('Potência hidráulica')} = ${(result.hydraulicPower / 1000).toFixed(3)} kW`}
+        </p>
+      )}
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto select-none">
+        {/* Grade e eixos */}
+        {ticks.map(tick => (
+          <g key={tick}>
+            <line x1={MARGIN.left + tick * plotWidth} x2={MARGIN.left + tick * plotWidth} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} className="stroke-purple-500/15" />
+            <text x={MARGIN.left + tick * plotWidth} y={HEIGHT - MARGIN.bottom + 16} textAnchor="middle" className="fill-purple-200/70 text-[11px]">
+              {tickLabel(tick * qMax)}
+            </text>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={MARGIN.top + (1 - tick) * plotHeight} y2={MARGIN.top + (1 - tick) * plotHeight} className="stroke-purple-500/15" />
+            <text x={MARGIN.left - 6} y={MARGIN.top + (1 - tick) * plotHeight + 4} textAnchor="end" className="fill-purple-200/70 text-[11px]">
+              {tickLabel(tick * hMax)}
+            </text>
+            {showEfficiency && (
+              <text x={WIDTH - MARGIN.right + 6} y={MARGIN.top + (1 - tick) * plotHeight + 4} className="fill-emerald-300/70 text-[11px]">
+                {tickLabel(tick * 100)}
+              </text>
+            )}
+          </g>
+        ))}
+        <rect x={MARGIN.left} y={MARGIN.top} width={plotWidth} height={plotHeight} className="fill-none stroke-purple-500/40" />
+        <text x={MARGIN.left + plotWidth / 2} y={HEIGHT - 8} textAnchor="middle" className="fill-purple-200 text-[12px]">
+          {t('Vazão')} Q ({flowUnit})
+        </text>
+        <text x={14} y={MARGIN.top + plotHeight / 2} textAnchor="middle" transform={`rotate(-90 14 ${MARGIN.top + plotHeight / 2})`} className="fill-purple-200 text-[12px]">
+          {t('Altura')} H (m)
+        </text>
+        {showEfficiency && (
+          <text x={WIDTH - 10} y={MARGIN.top + plotHeight / 2} textAnchor="middle" transform={`rotate(90 ${WIDTH - 10} ${MARGIN.top + plotHeight / 2})`} className="fill-emerald-300 text-[12px]">
+            {t('Rendimento')} η (%)
+          </text>
+        )}
+
+        {/* Curvas */}
+        <polyline points={toPoints('pumpHead', yOf)} className="fill-none stroke-fuchsia-400" strokeWidth={2} />
+        <polyline points={toPoints('systemHead', yOf)} className="fill-none stroke-sky-400" strokeWidth={2} />
+        {showEfficiency && (
+          <polyline points={toPoints('efficiency', etaOf)} className="fill-none stroke-emerald-400" strokeWidth={1.5} strokeDasharray="6 4" />
+        )}
+
+        {/* Pontos informados da curva da bomba */}
+        {pump.points.map((point, index) => (
+          <circle key={index} cx={xOf(point.flow)} cy={yOf(point.head)} r={3.5} className="fill-fuchsia-200 stroke-fuchsia-500" />
+        ))}
+
+        {/* Ponto de operação */}
+        {operating && (
+          <g>
+            <line x1={xOf(result.value)} x2={xOf(result.value)} y1={yOf(result.head)} y2={HEIGHT - MARGIN.bottom} className="stroke-white/40" strokeDasharray="4 4" />
+            <circle cx={xOf(result.value)} cy={yOf(result.head)} r={6} className="fill-white stroke-fuchsia-400" strokeWidth={2} />
+            <text x={xOf(result.value) + 9} y={yOf(result.head) - 8} className="fill-white text-[11px] font-semibold">
+              Q = {toFlow(result.value).toFixed(2)} {flowUnit}, H = {result.head.toFixed(2)} m
+            </text>
+          </g>
+        )}
+      </svg>
+
+      <div className="mt-2 flex flex-wrap justify-center gap-4 text-xs text-purple-100/70">
+        <span className="flex items-center gap-1"><span className="w-4 h-0.5 bg-fuchsia-400" /> {t('Bomba')}</span>
+        <span className="flex items-center gap-1"><span className="w-4 h-0.5 bg-sky-400" /> {t('Sistema')}</span>
+        {showEfficiency && <span className="flex items-center gap-1"><span className="w-4 h-0.5 bg-emerald-400" /> {t('Rendimento')}</span>}
+      </div>
+    </div>
+  );
+}
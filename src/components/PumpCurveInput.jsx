@@ -0,0 +1,98 @@
+/**
+ * Entrada da curva da bomba: tabela de pontos (Q, H, η) ou coeficientes da forma H = a - bQ².
+ * O valor do campo é { mode, flowUnit, points, a, b }, interpretado por pumpCurveFromInput.
+ */
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import NumberInput from './NumberInput';
+import { unitOptions } from '../calculators/fields';
+import { useTranslation } from '../lib/i18n/context';
+
+const fieldClass = 'bg-slate-800/50 border-purple-500/30 text-white focus:border-purple-400 h-10';
+const triggerClass = 'bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-10';
+const itemClass = 'text-purple-100 focus:bg-purple-500/20 focus:text-purple-100';
+
+const MODES = [
+  { value: 'points', label: 'Pontos da curva (Q, H, η)' },
+  { value: 'quadratic', label: 'Equação H = a - bQ²' }
+];
+
+export default function PumpCurveInput({ input, inputs, locale, onInputChange }) {
+  const t = useTranslation();
+  const curve = inputs[input.field] || { mode: 'points', flowUnit: 'm³/h', points: [] };
+  const points = curve.points || [];
+
+  const update = (changes) => onInputChange(input.field, { ...curve, ...changes });
+  const updatePoint = (index, changes) => {
+    update({ points: points.map((point, i) => (i === index ? { ...point, ...changes } : point)) });
+  };
+
+  return (
+    <div className="md:col-span-2 p-4 rounded-xl bg-slate-800/40 border border-purple-500/20 space-y-3">
+      <Label className="text-purple-100 text-base">{t(input.label)}</Label>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Select value={curve.mode} onValueChange={(mode) => update({ mode })}>
+          <SelectTrigger className={triggerClass}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className="bg-slate-800 border-purple-500/30">
+            {MODES.map(mode => (
+              <SelectItem key={mode.value} value={mode.value} className={itemClass}>{t(mode.label)}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={curve.flowUnit} onValueChange={(flowUnit) => update({ flowUnit })}>
+          <SelectTrigger className={triggerClass}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className="bg-slate-800 border-purple-500/30">
+            {unitOptions.flow.map(unit => (
+              <SelectItem key={unit} value={unit} className={itemClass}>{t('Vazão em {unit}', { unit })}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {curve.mode === 'quadratic' ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div className="space-y-1">
+            <Label htmlFor="pump-a" className="text-purple-100 text-sm">a — {t('altura de shutoff (m)')}</Label>
+            <NumberInput id="pump-a" locale={locale} value={curve.a} onChange={(a) => update({ a })} className={fieldClass} />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="pump-b" className="text-purple-100 text-sm">b — m/({curve.flowUnit})²</Label>
+            <NumberInput id="pump-b" locale={locale} value={curve.b} onChange={(b) => update({ b })} className={fieldClass} />
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <div className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 text-xs text-purple-300">
+            <span>Q ({curve.flowUnit})</span>
+            <span>H (m)</span>
+            <span>η (%) — {t('opcional')}</span>
+            <span className="w-9" />
+          </div>
+          {points.map((point, index) => (
+            <div key={index} className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2">
+              <NumberInput locale={locale} value={point.flow} onChange={(flow) => updatePoint(index, { flow })} className={fieldClass} aria-label={t('Vazão')} />
+              <NumberInput locale={locale} value={point.head} onChange={(head) => updatePoint(index, { head })} className={fieldClass} aria-label={t('Altura')} />
+              <NumberInput locale={locale} value={point.efficiency} onChange={(efficiency) => updatePoint(index, { efficiency })} className={fieldClass} aria-label={t('Rendimento')} />
+              <Button type="button" variant="ghost" size="sm" onClick={() => update({ points: points.filter((_, i) => i !== index) })} className="w-9 text-purple-300 hover:text-red-300 hover:bg-red-500/10">
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          ))}
+          <Button type="button" variant="ghost" size="sm" onClick={() => update({ points: [...points, { flow: '', head: '', efficiency: '' }] })} className="text-purple-300 hover:text-purple-200 hover:bg-purple-500/10">
+            <Plus className="w-4 h-4 mr-1" />
+            {t('Adicionar ponto')}
+          </Button>
+          <p className="text-xs text-purple-100/60">
+            {t('A curva H(Q) é ajustada por mínimos quadrados (polinômio de 2º grau). Com η em três ou mais pontos, a curva de rendimento também é ajustada.')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+/**
+ * Botões de exportação do memorial de cálculo: impressão (HTML) e download em PDF.
+ * 'getReport' monta o relatório no momento do clique (ver buildReport em lib/report).
+ */
+import { FileDown, Printer } from 'lucide-react';
+import { Button } from './ui/button';
+import { printReport, reportFileName, reportPdf } from '../lib/report';
+import { downloadFile } from '../lib/download';
+import { useTranslation } from '../lib/i18n/context';
+
+const ghostClass = 'text-purple-300 hover:text-purple-200 hover:bg-purple-500/10';
+
+export default function ReportButtons({ getReport, disabled = false }) {
+  const t = useTranslation();
+  const handlePrint = () => {
+    if (!printReport(getReport())) {
+      window.alert(t('Não foi possível abrir a janela de impressão. Verifique se o navegador bloqueou pop-ups.'));
+    }
+  };
+
+  const handlePdf = () => {
+    const report = getReport();
+    downloadFile(reportFileName(report, 'pdf'), reportPdf(report), 'application/pdf');
+  };
+
+  return (
+    <>
+      <Button variant="ghost" size="sm" onClick={handlePrint} disabled={disabled} className={ghostClass}>
+        <Printer className="w-4 h-4 mr-1" />
+        {t('Imprimir memorial')}
+      </Button>
+      <Button variant="ghost" size="sm" onClick={handlePdf} disabled={disabled} className={ghostClass}>
+        <FileDown className="w-4 h-4 mr-1" />
+        {t('Memorial em PDF')}
+      </Button>
+    </>
+  );
+}
@@ -0,0 +1,29 @@
+/**
+ * Seletor da unidade em que o resultado é exibido, ao lado do valor.
+ * Calculadoras cujo resultado não tem unidades alternativas mostram apenas o símbolo.
+ */
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { useTranslation } from '../lib/i18n/context';
+
+export default function ResultUnitSelect({ unit, options, onChange }) {
+  const t = useTranslation();
+  if (!options.length) return <span className="text-xl text-purple-400">{t(unit)}</span>;
+
+  return (
+    <Select value={unit} onValueChange={onChange}>
+      <SelectTrigger
+        className="w-auto min-w-24 bg-slate-800/50 border-purple-500/30 text-purple-300 text-xl focus:border-purple-400 h-10"
+        aria-label={t('Unidade do resultado')}
+      >
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent className="bg-slate-800 border-purple-500/30">
+        {options.map((option) => (
+          <SelectItem key={option} value={option} className="text-purple-100 focus:bg-purple-500/20 focus:text-purple-100">
+            {option}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
@@ -0,0 +1,183 @@
+/**
+ * Painel das configurações dos cálculos: aceleração da gravidade, fluido manométrico e
+ * formatação dos números. Mostra o valor resultante de cada constante, um exemplo da
+ * formatação escolhida e as mensagens dos campos inválidos.
+ */
+import { Settings } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import NumberInput from './NumberInput';
+import { gravityModes, manometerFluids, numberFormat, physicalConstants, settingsErrors } from '../lib/settings';
+import { digitsRange, formatNumber, numberLocales, numberNotations } from '../lib/format';
+import { useTranslation } from '../lib/i18n/context';
+
+const fieldClass = 'bg-slate-800/50 border-purple-500/30 text-white focus:border-purple-400 h-10';
+const itemClass = 'text-purple-100 focus:bg-purple-500/20 focus:text-purple-100';
+
+// Seletor entre as opções de uma configuração ({ [valor]: rótulo ou { label } }).
+function OptionSelect({ label, value, options, onChange }) {
+  const t = useTranslation();
+  return (
+    <div className="space-y-2">
+      <Label className="text-purple-100">{label}</Label>
+      <Select value={value} onValueChange={onChange}>
+        <SelectTrigger className="w-full bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-10">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent className="bg-slate-800 border-purple-500/30">
+          {Object.entries(options).map(([id, option]) => (
+            <SelectItem key={id} value={id} className={itemClass}>{t(option.label || option)}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+// Campo numérico de uma configuração, com unidade e mensagem de validação.
+function NumberSetting({ label, unit, value, error, placeholder, locale, onChange }) {
+  const t = useTranslation();
+  return (
+    <div className="space-y-1">
+      <Label className="text-purple-100/80 text-sm">{label}</Label>
+      <div className="flex items-center gap-2">
+        <NumberInput
+          locale={locale}
+          value={value}
+          placeholder={placeholder}
+          onChange={onChange}
+          className={`${fieldClass} ${error ? 'border-red-400/70' : ''}`}
+        />
+        <span className="w-12 text-purple-300 text-sm">{unit}</span>
+      </div>
+      {error && <p className="text-red-300 text-sm">{t(error)}</p>}
+    </div>
+  );
+}
+
+export default function SettingsPanel({ settings, onChange }) {
+  const t = useTranslation();
+  const errors = settingsErrors(settings);
+  const { gravity, columnFluid } = physicalConstants(settings);
+  const format = numberFormat(settings);
+  const { locale } = settings.numbers;
+  const range = digitsRange[settings.numbers.notation];
+  // Constantes com seis algarismos, independentemente da precisão escolhida para os resultados.
+  const constant = (value) => formatNumber(value, { locale, notation: 'significant', digits: 6 });
+
+  const update = (group, changes) => onChange({ ...settings, [group]: { ...settings[group], ...changes } });
+  const fluid = manometerFluids[settings.manometer.fluid];
+
+  return (
+    <Card className="mb-8 bg-slate-900/50 border-purple-500/20 backdrop-blur-sm">
+      <CardHeader>
+        <CardTitle className="text-white text-xl flex items-center gap-2">
+          <Settings className="w-5 h-5 text-purple-400" />
+          {t('Configurações dos cálculos')}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-3">
+          <OptionSelect
+            label={t('Aceleração da gravidade')}
+            value={settings.gravity.mode}
+            options={gravityModes}
+            onChange={(mode) => update('gravity', { mode })}
+          />
+          {settings.gravity.mode === 'location' && (
+            <div className="grid grid-cols-2 gap-3">
+              <NumberSetting
+                label={t('Latitude')}
+                unit="°"
+                value={settings.gravity.latitude}
+                error={errors.latitude}
+                locale={locale}
+                onChange={(latitude) => update('gravity', { latitude })}
+              />
+              <NumberSetting
+                label={t('Altitude')}
+                unit="m"
+                value={settings.gravity.altitude}
+                error={errors.altitude}
+                locale={locale}
+                placeholder="0"
+                onChange={(altitude) => update('gravity', { altitude })}
+              />
+            </div>
+          )}
+          {settings.gravity.mode === 'custom' && (
+            <NumberSetting
+              label={t('Valor de g')}
+              unit="m/s²"
+              value={settings.gravity.value}
+              error={errors.gravity}
+              locale={locale}
+              onChange={(value) => update('gravity', { value })}
+            />
+          )}
+          <p className="font-mono text-sm text-purple-200">g = {constant(gravity.value)} m/s²</p>
+        </div>
+
+        <div className="space-y-3">
+          <OptionSelect
+            label={t('Fluido manométrico (coluna de líquido)')}
+            value={settings.manometer.fluid}
+            options={manometerFluids}
+            onChange={(value) => update('manometer', { fluid: value })}
+          />
+          {fluid?.library && (
+            <NumberSetting
+              label={t('Temperatura')}
+              unit="°C"
+              value={settings.manometer.temperature}
+              error={errors.temperature}
+              locale={locale}
+              onChange={(temperature) => update('manometer', { temperature })}
+            />
+          )}
+          {settings.manometer.fluid === 'custom' && (
+            <NumberSetting
+              label={t('Densidade')}
+              unit="kg/m³"
+              value={settings.manometer.density}
+              error={errors.density}
+              locale={locale}
+              onChange={(density) => update('manometer', { density })}
+            />
+          )}
+          <p className="font-mono text-sm text-purple-200">ρ = {constant(columnFluid.density)} kg/m³ ({t(columnFluid.label)})</p>
+        </div>
+
+        <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-3 gap-3">
+          <OptionSelect
+            label={t('Números')}
+            value={locale}
+            options={numberLocales}
+            onChange={(value) => update('numbers', { locale: value, localeChosen: true })}
+          />
+          <OptionSelect
+            label={t('Precisão do resultado')}
+            value={settings.numbers.notation}
+            options={numberNotations}
+            onChange={(notation) => update('numbers', { notation })}
+          />
+          <NumberSetting
+            label={t(settings.numbers.notation === 'fixed' ? 'Casas decimais ({min} a {max})' : 'Algarismos ({min} a {max})', range)}
+            value={settings.numbers.digits}
+            error={errors.digits}
+            locale={locale}
+            onChange={(digits) => update('numbers', { digits })}
+          />
+          <p className="md:col-span-3 font-mono text-sm text-purple-200">
+            {t('Exemplo')}: {formatNumber(1234.56789, format)} · {formatNumber(0.000123456, format)}
+          </p>
+        </div>
+
+        <p className="md:col-span-2 text-purple-100/60 text-sm">
+          {t('As configurações valem para todas as calculadoras, ficam salvas neste navegador e aparecem na memória de cálculo.')}
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,137 @@
+/**
+ * Gráfico da varredura paramétrica: resultado × parâmetro variado (eixo x linear ou
+ * logarítmico), com uma curva por valor do segundo parâmetro, quando houver.
+ */
+import { useTranslation } from '../lib/i18n/context';
+
+// Dimensões do gráfico (unidades do viewBox do SVG).
+const WIDTH = 720;
+const HEIGHT = 380;
+const MARGIN = { top: 16, right: 24, bottom: 44, left: 64 };
+const TICKS = 5;
+
+const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+// Cores das curvas da família (traço e legenda).
+const SERIES_COLORS = [
+  { stroke: 'stroke-fuchsia-400', fill: 'fill-fuchsia-400', bg: 'bg-fuchsia-400' },
+  { stroke: 'stroke-sky-400', fill: 'fill-sky-400', bg: 'bg-sky-400' },
+  { stroke: 'stroke-emerald-400', fill: 'fill-emerald-400', bg: 'bg-emerald-400' },
+  { stroke: 'stroke-amber-400', fill: 'fill-amber-400', bg: 'bg-amber-400' },
+  { stroke: 'stroke-rose-400', fill: 'fill-rose-400', bg: 'bg-rose-400' },
+  { stroke: 'stroke-cyan-300', fill: 'fill-cyan-300', bg: 'bg-cyan-300' },
+  { stroke: 'stroke-lime-400', fill: 'fill-lime-400', bg: 'bg-lime-400' },
+  { stroke: 'stroke-violet-300', fill: 'fill-violet-300', bg: 'bg-violet-300' }
+];
+
+// Limites "redondos" de um eixo linear (1, 2 ou 5 × 10ⁿ por divisão).
+function niceRange(min, max) {
+  if (min === max) {
+    const pad = Math.abs(min) * 0.1 || 1;
+    return niceRange(min - pad, max + pad);
+  }
+  const raw = (max - min) / TICKS;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= raw) * magnitude;
+  return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step };
+}
+
+// Rótulo compacto de um valor de eixo.
+const tickLabel = (value) => String(Number(value.toPrecision(4)));
+
+// Divide uma curva em trechos contínuos, interrompendo nos pontos sem resultado.
+function segments(points) {
+  const result = [[]];
+  points.forEach(point => {
+    if (point.y === null) {
+      if (result[result.length - 1].length) result.push([]);
+    } else {
+      result[result.length - 1].push(point);
+    }
+  });
+  return result.filter(segment => segment.length);
+}
+
+export default function SweepChart({ sweep, scale, xLabel, yLabel, familyLabel }) {
+  const t = useTranslation();
+  const xs = sweep.series[0].points.map(point => point.x);
+  const ys = sweep.series.flatMap(series => series.points.map(point => point.y)).filter(y => y !== null);
+  if (!ys.length) return null;
+
+  const log = scale === 'log';
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  const yRange = niceRange(Math.min(...ys), Math.max(...ys));
+
+  // Posição horizontal: fração da faixa em escala linear ou logarítmica.
+  const xFraction = (x) => (log ? Math.log10(x / xMin) / Math.log10(xMax / xMin) : (x - xMin) / (xMax - xMin));
+  const xOf = (x) => MARGIN.left + xFraction(x) * plotWidth;
+  const yOf = (y) => MARGIN.top + (1 - (y - yRange.min) / (yRange.max - yRange.min)) * plotHeight;
+
+  // Marcas do eixo x: décadas na escala logarítmica (ou os extremos, se a faixa
+  // tiver menos de duas décadas), divisões iguais na linear.
+  const decades = log
+    ? Array.from({ length: Math.max(Math.floor(Math.log10(xMax)) - Math.ceil(Math.log10(xMin)) + 1, 0) }, (_, i) => Math.pow(10, Math.ceil(Math.log10(xMin)) + i))
+    : [];
+  const xTicks = log
+    ? (decades.length >= 2 ? decades : [xMin, xMax])
+    : Array.from({ length: TICKS + 1 }, (_, i) => xMin + (i / TICKS) * (xMax - xMin));
+  const yTicks = Array.from({ length: TICKS + 1 }, (_, i) => yRange.min + (i / TICKS) * (yRange.max - yRange.min));
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto select-none">
+        {/* Grade e eixos */}
+        {xTicks.map(x => (
+          <g key={`x${x}`}>
+            <line x1={xOf(x)} x2={xOf(x)} y1={MARGIN.top} y2={HEIGHT - MARGIN.bottom} className="stroke-purple-500/15" />
+            <text x={xOf(x)} y={HEIGHT - MARGIN.bottom + 16} textAnchor="middle" className="fill-purple-200/70 text-[11px]">
+              {tickLabel(x)}
+            </text>
+          </g>
+        ))}
+        {yTicks.map(y => (
+          <g key={`y${y}`}>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={yOf(y)} y2={yOf(y)} className="stroke-purple-500/15" />
+            <text x={MARGIN.left - 6} y={yOf(y) + 4} textAnchor="end" className="fill-purple-200/70 text-[11px]">
+              {tickLabel(y)}
+            </text>
+          </g>
+        ))}
+        <rect x={MARGIN.left} y={MARGIN.top} width={plotWidth} height={plotHeight} className="fill-none stroke-purple-500/40" />
+        <text x={MARGIN.left + plotWidth / 2} y={HEIGHT - 8} textAnchor="middle" className="fill-purple-200 text-[12px]">
+          {xLabel}{log ? ` (${t('escala log')})` : ''}
+        </text>
+        <text x={14} y={MARGIN.top + plotHeight / 2} textAnchor="middle" transform={`rotate(-90 14 ${MARGIN.top + plotHeight / 2})`} className="fill-purple-200 text-[12px]">
+          {yLabel}
+        </text>
+
+        {/* Curvas */}
+        {sweep.series.map((series, index) => {
+          const color = SERIES_COLORS[index % SERIES_COLORS.length];
+          return (
+            <g key={index}>
+              {segments(series.points).map((segment, part) => (
+                segment.length > 1
+                  ? <polyline key={part} points={segment.map(point => `${xOf(point.x).toFixed(1)},${yOf(point.y).toFixed(1)}`).join(' ')} className={`fill-none ${color.stroke}`} strokeWidth={2} />
+                  : <circle key={part} cx={xOf(segment[0].x)} cy={yOf(segment[0].y)} r={2.5} className={color.fill} />
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+
+      {familyLabel && (
+        <div className="mt-2 flex flex-wrap justify-center gap-4 text-xs text-purple-100/70">
+          {sweep.series.map((series, index) => (
+            <span key={index} className="flex items-center gap-1">
+              <span className={`w-4 h-0.5 ${SERIES_COLORS[index % SERIES_COLORS.length].bg}`} />
+              {familyLabel} = {series.value}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,234 @@
+/**
+ * Varredura paramétrica: escolhe uma entrada, a faixa e o tipo de passo (linear ou
+ * logarítmico) e, opcionalmente, um segundo parâmetro para uma família de curvas.
+ * As demais entradas ficam fixas nos valores do formulário.
+ */
+import { useState } from 'react';
+import { Activity, Play } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import SweepChart from './SweepChart';
+import { getResultUnit, numericInputs } from '../calculators';
+import { parseCellNumber } from '../lib/csv';
+import { runSweep, sweepValues } from '../lib/sweep';
+import { formatInputNumber, formatResultValue } from '../lib/format';
+import { numberFormat } from '../lib/settings';
+import { useTranslation } from '../lib/i18n/context';
+
+// Valor do seletor do segundo parâmetro quando não há família de curvas.
+const NO_FAMILY = 'none';
+
+const triggerClass = 'bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-9';
+const itemClass = 'text-purple-100 focus:bg-purple-500/20 focus:text-purple-100';
+const inputClass = 'bg-slate-800/50 border-purple-500/30 text-white focus:border-purple-400 h-9';
+
+// Seletor simples entre opções { value, label }.
+function OptionSelect({ value, options, onChange, className = '' }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className={`${triggerClass} ${className}`}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent className="bg-slate-800 border-purple-500/30">
+        {options.map(option => (
+          <SelectItem key={option.value} value={option.value} className={itemClass}>{option.label}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+// Nome curto de um campo: o símbolo entre parênteses no fim do rótulo (já traduzido), se houver.
+const symbolOf = (label) => label.match(/\(([^)]+)\)$/)?.[1] || label;
+
+export default function SweepPanel({ calculator, inputs, units, settings }) {
+  const t = useTranslation();
+  const fields = numericInputs(calculator);
+  const fieldOptions = fields.map(input => ({ value: input.field, label: t(input.label) }));
+  const findField = (field) => fields.find(input => input.field === field);
+
+  // Faixa inicial em torno do valor atual do formulário (metade ao dobro).
+  const initialRange = (field) => {
+    const current = Number(inputs[field]);
+    return current > 0 ? { from: String(current / 2), to: String(current * 2) } : { from: '', to: '' };
+  };
+
+  const [field, setField] = useState(fields[0]?.field);
+  const [unit, setUnit] = useState(units[fields[0]?.field] || fields[0]?.defaultUnit);
+  const [range, setRange] = useState(() => initialRange(fields[0]?.field));
+  const [count, setCount] = useState('21');
+  const [scale, setScale] = useState('linear');
+  const [familyField, setFamilyField] = useState(NO_FAMILY);
+  const [familyUnit, setFamilyUnit] = useState('');
+  const [familyText, setFamilyText] = useState('');
+  const [sweep, setSweep] = useState(null);
+  const [error, setError] = useState(null);
+
+  const input = findField(field);
+  const familyInput = familyField === NO_FAMILY ? null : findField(familyField);
+
+  const handleFieldChange = (value) => {
+    setField(value);
+    setUnit(units[value] || findField(value).defaultUnit);
+    setRange(initialRange(value));
+    if (value === familyField) setFamilyField(NO_FAMILY);
+    setSweep(null);
+  };
+
+  const handleFamilyChange = (value) => {
+    setFamilyField(value);
+    if (value !== NO_FAMILY) setFamilyUnit(units[value] || findField(value).defaultUnit);
+    setSweep(null);
+  };
+
+  const handleRun = () => {
+    const { locale } = numberFormat(settings);
+    const { values, error: rangeError } = sweepValues(parseCellNumber(range.from, locale), parseCellNumber(range.to, locale), Number(count), scale);
+    if (rangeError) {
+      setError(t(rangeError));
+      setSweep(null);
+      return;
+    }
+    let family = null;
+    if (familyInput) {
+      // Valores da família separados por ponto e vírgula ou espaços (na convenção decimal configurada).
+      const familyValues = familyText.split(/[;\s]+/).filter(Boolean).map(value => parseCellNumber(value, locale));
+      if (!familyValues.length || familyValues.some(value => !Number.isFinite(value))) {
+        setError(t('Informe os valores do segundo parâmetro separados por ponto e vírgula (ex.: 0,05; 0,1; 0,15).'));
+        setSweep(null);
+        return;
+      }
+      family = { field: familyField, unit: familyUnit, values: familyValues };
+    }
+    setError(null);
+    setSweep(runSweep(calculator, inputs, units, { field, unit, values }, family, settings));
+  };
+
+  const resultUnit = getResultUnit(calculator, { ...inputs, solveFor: undefined });
+  const resultLabel = calculator.output ? symbolOf(t(calculator.output.label)) : t('Resultado');
+  const unitOptions = (item) => item.units.filter(Boolean).map(option => ({ value: option, label: option }));
+  const format = numberFormat(settings);
+  const failed = sweep?.series.flatMap(series => series.points).filter(point => point.y === null) || [];
+
+  if (!fields.length) return null;
+
+  return (
+    <div className="mt-6 p-4 rounded-xl bg-slate-800/50 border border-purple-400/20 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-purple-300 flex items-center gap-2">
+          <Activity className="w-5 h-5" />
+          {t('Varredura paramétrica')}
+        </h3>
+        <p className="text-purple-100/60 text-sm">
+          {t('Uma entrada varia na faixa escolhida; as demais ficam fixas nos valores do formulário.')}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-[1fr_8rem] gap-2 items-end">
+        <div className="space-y-1">
+          <Label className="text-purple-100 text-sm">{t('Parâmetro variado')}</Label>
+          <OptionSelect value={field} options={fieldOptions} onChange={handleFieldChange} />
+        </div>
+        {input.units.filter(Boolean).length > 1 && (
+          <OptionSelect value={unit} options={unitOptions(input)} onChange={(value) => { setUnit(value); setSweep(null); }} />
+        )}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <div className="space-y-1">
+          <Label className="text-purple-100 text-sm">{t('De')}</Label>
+          <Input value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} className={inputClass} />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-purple-100 text-sm">{t('Até')}</Label>
+          <Input value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} className={inputClass} />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-purple-100 text-sm">{t('Pontos')}</Label>
+          <Input type="number" min={2} step={1} value={count} onChange={(e) => setCount(e.target.value)} className={inputClass} />
+        </div>
+        <div className="space-y-1">
+          <Label className="text-purple-100 text-sm">{t('Passo')}</Label>
+          <OptionSelect
+            value={scale}
+            options={[{ value: 'linear', label: t('Linear') }, { value: 'log', label: t('Logarítmico') }]}
+            onChange={setScale}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-[1fr_8rem] gap-2 items-end">
+        <div className="space-y-1">
+          <Label className="text-purple-100 text-sm">{t('Segundo parâmetro (família de curvas)')}</Label>
+          <OptionSelect
+            value={familyField}
+            options={[{ value: NO_FAMILY, label: t('Nenhum') }, ...fieldOptions.filter(option => option.value !== field)]}
+            onChange={handleFamilyChange}
+          />
+        </div>
+        {familyInput && familyInput.units.filter(Boolean).length > 1 && (
+          <OptionSelect value={familyUnit} options={unitOptions(familyInput)} onChange={setFamilyUnit} />
+        )}
+      </div>
+      {familyInput && (
+        <Input
+          value={familyText}
+          onChange={(e) => setFamilyText(e.target.value)}
+          placeholder={t('Valores separados por ponto e vírgula, ex.: 0,05; 0,1; 0,15')}
+          className={inputClass}
+        />
+      )}
+
+      <Button onClick={handleRun} className="bg-purple-500/80 hover:bg-purple-500 text-white">
+        <Play className="w-4 h-4 mr-1" />
+        {t('Executar varredura')}
+      </Button>
+
+      {error && <p className="text-amber-200 text-sm">{error}</p>}
+
+      {sweep && (
+        <>
+          <SweepChart
+            sweep={sweep}
+            scale={scale}
+            xLabel={`${t(input.label)}${unit ? ` (${unit})` : ''}`}
+            yLabel={`${resultLabel}${resultUnit && !resultUnit.startsWith('(') ? ` (${resultUnit})` : ''}`}
+            familyLabel={familyInput ? `${symbolOf(t(familyInput.label))}${familyUnit ? ` (${familyUnit})` : ''}` : null}
+          />
+          {failed.length > 0 && (
+            <p className="text-amber-200 text-sm">
+              {t('{count} ponto(s) sem resultado ({reason}).', { count: failed.length, reason: t(failed[0].error) })}
+            </p>
+          )}
+          <div className="overflow-x-auto max-h-80 rounded-lg border border-purple-500/20">
+            <table className="w-full text-sm font-mono">
+              <thead className="bg-slate-900/80 text-purple-300 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left whitespace-nowrap">{symbolOf(t(input.label))}{unit ? ` (${unit})` : ''}</th>
+                  {sweep.series.map((series, index) => (
+                    <th key={index} className="px-3 py-2 text-left whitespace-nowrap">
+                      {resultLabel}{familyInput ? ` [${symbolOf(t(familyInput.label))} = ${series.value}]` : ''}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sweep.series[0].points.map((point, row) => (
+                  <tr key={row} className="text-purple-100">
+                    <td className="px-3 py-1 border-t border-purple-500/10">{formatInputNumber(Number(point.x.toPrecision(6)), format.locale)}</td>
+                    {sweep.series.map((series, index) => (
+                      <td key={index} className={`px-3 py-1 border-t border-purple-500/10 ${series.points[row].y === null ? 'text-amber-300' : ''}`}>
+                        {series.points[row].y === null ? '—' : formatResultValue(series.points[row].y, undefined, format)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+/**
+ * Campos de entrada do conversor de unidades: tipo de medida, valor e unidades de origem e destino.
+ * No modo "Expressão livre", as unidades são digitadas como texto (ex.: gal/min → m³/h).
+ */
+import { ChevronsRight } from 'lucide-react';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import NumberInput from './NumberInput';
+import { unitConversions, measurementTypeLabels } from '../lib/engine';
+import { useTranslation } from '../lib/i18n/context';
+
+// Tipos de medida do conversor: as tabelas de unidades e o modo de expressão livre.
+const measurementOptions = { ...measurementTypeLabels, expression: 'Expressão livre' };
+
+// Campo de texto para uma expressão de unidade.
+function UnitExpressionInput({ id, label, value, placeholder, onChange }) {
+  const t = useTranslation();
+  return (
+    <div className="flex-1">
+      <Label htmlFor={id} className="text-purple-100 text-base">{t(label)}</Label>
+      <Input
+        id={id}
+        type="text"
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        className="bg-slate-800/50 border-purple-500/30 text-white focus:border-purple-400 h-12 font-mono"
+        placeholder={t(placeholder)}
+        autoComplete="off"
+        spellCheck={false}
+      />
+    </div>
+  );
+}
+
+export default function UnitConversionInputs({ inputs, locale, onInputChange }) {
+  const t = useTranslation();
+  const measurementTypes = Object.keys(measurementOptions);
+  const selectedMeasurement = inputs.measurementType || 'pressure';
+  const isExpression = selectedMeasurement === 'expression';
+  const availableUnits = unitConversions[selectedMeasurement] ? Object.keys(unitConversions[selectedMeasurement]) : [];
+
+  // Ao trocar o tipo de medida, reseta as unidades 'de' e 'para' que não valem para o novo tipo.
+  // No modo de expressão livre, as unidades atuais são mantidas como ponto de partida do texto.
+  const handleMeasurementChange = (type) => {
+    onInputChange('measurementType', type);
+    if (!unitConversions[type]) return;
+    const units = Object.keys(unitConversions[type]);
+    if (!units.includes(inputs.fromUnit)) onInputChange('fromUnit', units[0]);
+    if (!units.includes(inputs.toUnit)) onInputChange('toUnit', units[1] || units[0]);
+  };
+
+  return (
+    <div className="space-y-6">
+       <div>
+        <Label className="text-purple-100 text-base">{t('Tipo de Medida')}</Label>
+        <Select value={selectedMeasurement} onValueChange={handleMeasurementChange}>
+            <SelectTrigger className="w-full bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-12 text-lg">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bg-slate-800 border-purple-500/30">
+              {measurementTypes.map(type => (
+                <SelectItem key={type} value={type} className="text-purple-100 focus:bg-purple-500/20 focus:text-purple-100">
+                  {t(measurementOptions[type])}
+                </SelectItem>
+              ))}
+            </SelectContent>
+        </Select>
+       </div>
+
+       <div className="flex items-end gap-3">
+          <div className="flex-1">
+              <Label htmlFor="value" className="text-purple-100 text-base">{t('Valor para converter')}</Label>
+              <NumberInput
+                id="value"
+                locale={locale}
+                value={inputs.value}
+                onChange={(value) => onInputChange('value', value)}
+                className="bg-slate-800/50 border-purple-500/30 text-white focus:border-purple-400 h-12 text-lg"
+                placeholder={t('Insira o valor')}
+              />
+          </div>
+       </div>
+
+       {isExpression ? (
+        <div className="space-y-2">
+          <div className="flex items-center gap-3">
+            <UnitExpressionInput id="fromUnit" label="De" value={inputs.fromUnit} placeholder="ex.: gal/min" onChange={(val) => onInputChange('fromUnit', val)} />
+            <div className="self-end pb-3 text-purple-400">
+              <ChevronsRight size={24}/>
+            </div>
+            <UnitExpressionInput id="toUnit" label="Para" value={inputs.toUnit} placeholder="ex.: m³/h" onChange={(val) => onInputChange('toUnit', val)} />
+          </div>
+          <p className="text-xs text-purple-100/60">
+            {t('Aceita prefixos do SI (k, M, m, c, µ…), produtos (· * .), quocientes (/), potências (² ^2 ^-1) e parênteses, ex.: kgf/cm², lbm/(ft·s), mH2O, cSt, ft³/min.')}
+          </p>
+        </div>
+       ) : (
+         <div className="flex items-center gap-3">
+            <div className="flex-1">
+              <Label className="text-purple-100 text-base">{t('De')}</Label>
+              <Select value={inputs.fromUnit || availableUnits[0]} onValueChange={(val) => onInputChange('fromUnit', val)}>
+                  <SelectTrigger className="w-full bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-12">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-purple-500/30">
+                    {availableUnits.map(unit => (
+                      <SelectItem key={unit} value={unit} className="text-purple-100 focus:bg-purple-500/20 focus:text-purple-100">{unit}</SelectItem>
+                    ))}
+                  </SelectContent>
+              </Select>
+            </div>
+            <div className="self-end pb-3 text-purple-400">
+              <ChevronsRight size={24}/>
+            </div>
+            <div className="flex-1">
+              <Label className="text-purple-100 text-base">{t('Para')}</Label>
+              <Select value={inputs.toUnit || availableUnits[1] || availableUnits[0]} onValueChange={(val) => onInputChange('toUnit', val)}>
+                  <SelectTrigger className="w-full bg-slate-800/50 border-purple-500/30 text-purple-100 focus:border-purple-400 h-12">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-purple-500/30">
+                    {availableUnits.map(unit => (
+                      <SelectItem key={unit} value={unit} className="text-purple-100 focus:bg-purple-500/20 focus:text-purple-100">{unit}</SelectItem>
+                    ))}
+                  </SelectContent>
+              </Select>
+            </div>
+         </div>
+       )}
+    </div>
+  );
+}
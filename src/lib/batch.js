@@ -0,0 +1,92 @@
+/**
+ * Modo em lote: cada linha de uma tabela CSV vira um cálculo da calculadora escolhida.
+ * As colunas são associadas aos campos numéricos (com a unidade de cada coluna); os campos
+ * sem coluna usam os valores do formulário. Linhas inválidas são sinalizadas, não descartadas.
+ */
+import { getResultUnit, numericInputs, runCalculator } from '../calculators';
+import { parseCellNumber } from './csv';
+import { createTranslator } from './i18n';
+import { numberFormat } from './settings';
+
+
+// Texto normalizado para comparação (minúsculas, sem acentos, espaços e pontuação).
+const normalize = (text) => String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Separa o nome e a unidade de um cabeçalho como "v (km/h)" ou "D [mm]".
+function splitHeader(header) {
+  const match = /^(.*?)\s*[([]([^)\]]+)[)\]]\s*$/.exec(header);
+  return match ? { name: match[1], unit: match[2].trim() } : { name: header, unit: '' };
+}
+
+/**
+ * Associação inicial entre colunas e campos, pelo nome do campo, pelo símbolo
+ * ou pelo rótulo. Retorna { [campo]: { column, unit } }, com a unidade lida do
+ * cabeçalho quando ela é uma das unidades do campo.
+ */
+export function guessMapping(calculator, headers) {
+  const columns = headers.map((header, column) => ({ column, ...splitHeader(header) }));
+  return Object.fromEntries(numericInputs(calculator).flatMap(input => {
+    const symbol = input.label.match(/\(([^)]+)\)$/)?.[1] || '';
+    const label = normalize(input.label.replace(/\s*\([^)]*\)$/, ''));
+    const names = [input.field, symbol].filter(Boolean).map(normalize);
+    // Nome exato do campo ou símbolo, ou o início do rótulo (ex.: "Velocidade" para "Velocidade do Escoamento").
+    const found = columns.find(({ name }) => names.includes(normalize(name)))
+      || columns.find(({ name }) => normalize(name).length >= 3 && label.startsWith(normalize(name)));
+    if (!found) return [];
+    const unit = input.units?.includes(found.unit) ? found.unit : input.defaultUnit;
+    return [[input.field, { column: found.column, unit }]];
+  }));
+}
+
+/**
+ * Calcula todas as linhas. 'mapping' vem de guessMapping (editável pelo usuário) e
+ * 'inputs'/'units' são os valores do formulário, usados nos campos sem coluna, e 'settings'
+ * as configurações dos cálculos (gravidade, fluido manométrico, convenção decimal das células
+ * e idioma das mensagens).
+ * Retorna uma lista de { row, value, error } na ordem das linhas.
+ */
+export function runBatch(calculator, rows, mapping, inputs, units, settings) {
+  const t = createTranslator(settings?.language);
+  const { locale } = numberFormat(settings);
+  const entries = Object.entries(mapping).filter(([, { column }]) => column !== null && column !== undefined);
+  return rows.map(row => {
+    const rowInputs = { ...inputs, solveFor: undefined };
+    const rowUnits = { ...units };
+    const invalid = [];
+    entries.forEach(([field, { column, unit }]) => {
+      const value = parseCellNumber(row[column], locale);
+      if (!Number.isFinite(value)) invalid.push(field);
+      rowInputs[field] = value;
+      rowUnits[field] = unit;
+    });
+    if (invalid.length) {
+      const labels = invalid.map(field => t(calculator.inputs.find(input => input.field === field).label));
+      return { row, value: null, error: t('Valor não numérico em: {labels}', { labels: labels.join(', ') }) };
+    }
+
+    const result = runCalculator(calculator, rowInputs, rowUnits, settings);
+    if (result.value === null) return { row, value: null, error: result.message || t('Sem resultado') };
+    return { row, value: result.value, error: null };
+  });
+}
+
+/**
+ * Tabela aumentada para exportação: colunas originais, resultado e situação de cada linha.
+ * Com 'decimalComma', o resultado usa vírgula decimal (CSV separado por ponto e vírgula);
+ * os nomes das colunas acrescentadas são traduzidos com 't' (ver src/lib/i18n).
+ */
+export function batchTable(calculator, headers, results, inputs, { decimalComma = false, t = createTranslator() } = {}) {
+  const unit = getResultUnit(calculator, { ...inputs, solveFor: undefined }).replace(/^\((.*)\)$/, '$1');
+  const formatValue = (value) => {
+    const text = String(Number(value.toPrecision(8)));
+    return decimalComma ? text.replace('.', ',') : text;
+  };
+  return {
+    headers: [...headers, `${t('Resultado')}${unit ? ` (${unit})` : ''}`, t('Situação')],
+    rows: results.map(({ row, value, error }) => [
+      ...headers.map((_, column) => row[column] ?? ''),
+      value === null ? '' : formatValue(value),
+      error || 'OK'
+    ])
+  };
+}
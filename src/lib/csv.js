@@ -0,0 +1,82 @@
+/**
+ * Leitura e escrita de CSV para o modo em lote.
+ * Aceita vírgula, ponto e vírgula (padrão do Excel em português) ou tabulação como separador,
+ * campos entre aspas (com "" para aspas internas) e quebras de linha dentro de aspas.
+ */
+import { parseNumber } from './format';
+
+// Escolhe o separador mais frequente na primeira linha.
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [';', ',', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length - 1]);
+  return counts.reduce((best, current) => (current[1] > best[1] ? current : best))[0];
+}
+
+/**
+ * Interpreta um texto CSV. Retorna { headers, rows, delimiter }, com a primeira
+ * linha como cabeçalho; linhas totalmente vazias são ignoradas.
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headers = [], ...rows] = records.filter(row => row.some(cell => cell.trim() !== ''));
+  return { headers: headers.map(header => header.trim()), rows, delimiter };
+}
+
+/**
+ * Converte um número de uma célula na convenção decimal 'locale' (ver parseNumber em
+ * src/lib/format.js): em pt-BR, "1,5" e "1.234,5"; em en-US, "1.5" e "1,234.5"; e notação
+ * científica. Retorna NaN para células vazias ou não numéricas.
+ */
+export function parseCellNumber(cell, locale) {
+  return parseNumber(cell, locale);
+}
+
+// Coloca um campo entre aspas quando ele contém o separador, aspas ou quebra de linha.
+const quoteField = (value, delimiter) => {
+  const text = String(value ?? '');
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Gera o texto CSV a partir do cabeçalho e das linhas.
+ */
+export function toCsv(headers, rows, delimiter = ',') {
+  return [headers, ...rows]
+    .map(row => row.map(value => quoteField(value, delimiter)).join(delimiter))
+    .join('\r\n');
+}
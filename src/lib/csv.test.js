@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { parseCellNumber, parseCsv } from './csv';
+
+describe('parseCsv', () => {
+  it('detecta o ponto e vírgula e respeita campos entre aspas', () => {
+    const { headers, rows, delimiter } = parseCsv('v (m/s);nota\n"1,5";"a;b"\n');
+    expect(delimiter).toBe(';');
+    expect(headers).toEqual(['v (m/s)', 'nota']);
+    expect(rows).toEqual([['1,5', 'a;b']]);
+  });
+});
+
+describe('parseCellNumber', () => {
+  it('lê números na convenção pt-BR', () => {
+    expect(parseCellNumber('1,5', 'pt-BR')).toBe(1.5);
+    expect(parseCellNumber('1.234,5', 'pt-BR')).toBe(1234.5);
+    expect(parseCellNumber(' 2,5e-3 ', 'pt-BR')).toBe(0.0025);
+  });
+
+  it('lê números na convenção en-US', () => {
+    expect(parseCellNumber('1,234.5', 'en-US')).toBe(1234.5);
+    expect(parseCellNumber('1.5', 'en-US')).toBe(1.5);
+  });
+
+  it('retorna NaN para células vazias ou não numéricas', () => {
+    expect(parseCellNumber('', 'pt-BR')).toBeNaN();
+    expect(parseCellNumber(undefined, 'pt-BR')).toBeNaN();
+    expect(parseCellNumber('abc', 'pt-BR')).toBeNaN();
+  });
+});
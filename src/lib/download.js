@@ -0,0 +1,18 @@
+/**
+ * Download de arquivos gerados no navegador (projetos, relatórios, planilhas).
+ */
+
+/**
+ * Baixa 'content' (texto ou Blob) como um arquivo com o nome e o tipo MIME informados.
+ */
+export function downloadFile(fileName, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
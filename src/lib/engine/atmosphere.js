@@ -0,0 +1,71 @@
+/**
+ * Pressão atmosférica local e referência das pressões (manométrica ou absoluta).
+ * Pressões absolutas são medidas a partir do vácuo e manométricas a partir da
+ * atmosfera local: P_abs = P_man + Pₐₜₘ.
+ */
+import { quantity, resolveUnit } from './units.js';
+import { fixed, step } from './steps.js';
+import { STANDARD_ATMOSPHERE } from './constants.js';
+
+// Atmosfera padrão (ISA) na troposfera: Pₐₜₘ = P₀ (1 - 2,25577×10⁻⁵ z)^5,25588, com z em m.
+const ISA_LAPSE = 2.25577e-5;
+const ISA_EXPONENT = 5.25588;
+
+// Rótulos das referências de pressão, usados na memória de cálculo e na interface.
+export const pressureReferences = {
+  gauge: 'manométrica',
+  absolute: 'absoluta'
+};
+
+/**
+ * Pressão atmosférica (Pa) da atmosfera padrão na altitude informada (m).
+ */
+export function atmosphereAtAltitude(altitude) {
+  return STANDARD_ATMOSPHERE * Math.pow(1 - ISA_LAPSE * altitude, ISA_EXPONENT);
+}
+
+/**
+ * Pressão atmosférica local a partir da altitude do local (opcional: vazia = nível do mar).
+ * Retorna { value (Pa), steps }.
+ */
+export function localAtmosphere(altitudeInput) {
+  if (altitudeInput === undefined || altitudeInput === null || altitudeInput === '') {
+    return {
+      value: STANDARD_ATMOSPHERE,
+      steps: [step.value`Pₐₜₘ local = ${STANDARD_ATMOSPHERE} Pa (atmosfera padrão ao nível do mar)`]
+    };
+  }
+  const z = quantity(altitudeInput, 'length');
+  const value = atmosphereAtAltitude(z.si);
+  return {
+    value,
+    steps: [
+      step.value`Altitude do local = ${z.raw} ${z.unit} = ${fixed(z.si, 1)} m`,
+      step.calc`Pₐₜₘ local = 101325 × (1 - 2.25577×10⁻⁵ × ${fixed(z.si, 1)})^5.25588 = ${fixed(value, 0)} Pa`
+    ]
+  };
+}
+
+/**
+ * Normaliza uma pressão com referência: { value, unit, reference }, com 'reference' igual a
+ * 'gauge' ou 'absolute' (padrão). Unidades manométricas (kPa (man.), psig) são sempre
+ * manométricas. Retorna a quantidade com 'reference' e os valores 'absolute' e 'gauge' (Pa),
+ * convertidos com a pressão atmosférica local 'patm'.
+ */
+export function referencedPressure(input, patm) {
+  const q = quantity(input, 'pressure');
+  const { factor, offset } = resolveUnit(q.unit, 'pressure');
+  const reference = offset !== 0 || input?.reference === 'gauge' ? 'gauge' : 'absolute';
+  const measured = q.raw * factor;
+  const absolute = reference === 'gauge' ? measured + patm : measured;
+  return { ...q, reference, absolute, gauge: absolute - patm };
+}
+
+/**
+ * Passo de uma pressão com referência: valor informado, referência e valor absoluto em Pa.
+ */
+export function referencedPressureStep(label, p, digits = 2) {
+  return p.reference === 'gauge'
+    ? step.value`${label} = ${p.raw} ${p.unit} (manométrica) → absoluta = ${fixed(p.gauge, digits)} + Pₐₜₘ = ${fixed(p.absolute, digits)} Pa`
+    : step.value`${label} = ${p.raw} ${p.unit} (absoluta) = ${fixed(p.absolute, digits)} Pa`;
+}
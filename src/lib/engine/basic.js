@@ -0,0 +1,131 @@
+/**
+ * Cálculos básicos: vazão, velocidade, pressão, densidade e coluna de água.
+ * Todas as funções recebem valores em SI (números) ou objetos { value, unit }
+ * e retornam { value, unit, steps }.
+ */
+import { quantity, scalar } from './units.js';
+import { fixed, inputStep, step } from './steps.js';
+import { WATER_DENSITY } from './constants.js';
+import { gravityOf, gravityStep, gravityText } from './gravity.js';
+
+// Vazão volumétrica: Q = v × A
+export function flowRate({ velocity, area }) {
+  const v = quantity(velocity, 'velocity');
+  const A = quantity(area, 'area');
+  const Q = v.si * A.si;
+
+  return {
+    value: Q,
+    unit: 'm³/s',
+    steps: [
+      step.formula`Vazão (Q) = Velocidade (v) × Área da Seção Transversal (A)`,
+      step.blank(),
+      step.heading`Valores em SI:`,
+      inputStep('v', v, 4),
+      inputStep('A', A, 6),
+      step.blank(),
+      step.calc`Q = ${fixed(v.si, 4)} × ${fixed(A.si, 6)} = ${fixed(Q, 6)} m³/s`,
+      step.result`Q = ${fixed(Q * 3600, 4)} m³/h`,
+      step.result`Q = ${fixed(Q * 1000, 4)} L/s`
+    ]
+  };
+}
+
+// Velocidade média a partir da vazão: v = Q / A
+export function velocityFromFlow({ flow, area }) {
+  const Q = quantity(flow, 'flow');
+  const A = quantity(area, 'area');
+  const v = Q.si / A.si;
+
+  return {
+    value: v,
+    unit: 'm/s',
+    steps: [
+      step.formula`Velocidade (v) = Vazão (Q) / Área da Seção Transversal (A)`,
+      step.blank(),
+      step.heading`Valores em SI:`,
+      inputStep('Q', Q, 6),
+      inputStep('A', A, 6),
+      step.blank(),
+      step.calc`v = ${fixed(Q.si, 6)} / ${fixed(A.si, 6)} = ${fixed(v, 4)} m/s`,
+      step.result`v = ${fixed(v * 3.6, 4)} km/h`
+    ]
+  };
+}
+
+// Pressão exercida por uma força sobre uma área: P = F / A
+export function pressure({ force, area }) {
+  const F = quantity(force, 'force');
+  const A = quantity(area, 'area');
+  const P = F.si / A.si;
+
+  return {
+    value: P,
+    unit: 'Pa',
+    steps: [
+      step.formula`Pressão (P) = Força (F) / Área (A)`,
+      step.blank(),
+      step.heading`Valores em SI:`,
+      inputStep('F', F, 2),
+      inputStep('A', A, 6),
+      step.blank(),
+      step.calc`P = ${fixed(F.si, 2)} / ${fixed(A.si, 6)} = ${fixed(P, 2)} Pa`,
+      step.result`P = ${fixed(P / 1000, 4)} kPa`,
+      step.result`P = ${fixed(P / 100000, 6)} bar`,
+      step.result`P = ${fixed(P / 6894.76, 4)} psi`
+    ]
+  };
+}
+
+// Densidade (massa específica): ρ = m / V
+export function density({ mass, volume }) {
+  const m = quantity(mass, 'mass');
+  const V = quantity(volume, 'volume');
+  const rho = m.si / V.si;
+
+  return {
+    value: rho,
+    unit: 'kg/m³',
+    steps: [
+      step.formula`Densidade (ρ) = Massa (m) / Volume (V)`,
+      step.blank(),
+      step.heading`Valores em SI:`,
+      inputStep('m', m, 4),
+      inputStep('V', V, 6),
+      step.blank(),
+      step.calc`ρ = ${fixed(m.si, 4)} / ${fixed(V.si, 6)} = ${fixed(rho, 2)} kg/m³`,
+      step.result`ρ = ${fixed(rho / 1000, 4)} g/cm³`
+    ]
+  };
+}
+
+// Altura de coluna de fluido equivalente a uma pressão: h = P / (ρ × g).
+// Sem densidade informada, usa-se o fluido manométrico 'columnFluid' ({ label, density });
+// sem ele, a água (ρ = 1000 kg/m³).
+export function waterColumn({ pressure: pressureInput, density: densityInput, gravity, columnFluid }) {
+  const g = gravityOf(gravity);
+  const P = quantity(pressureInput, 'pressure');
+  const hasDensity = scalar(densityInput) > 0;
+  const rho = hasDensity ? quantity(densityInput, 'density') : null;
+  const fluid = columnFluid || { label: 'água', density: WATER_DENSITY };
+  const rhoSI = hasDensity ? rho.si : fluid.density;
+  const h = P.si / (rhoSI * g);
+
+  return {
+    value: h,
+    unit: 'm',
+    steps: [
+      step.formula`Altura (h) = Pressão (P) / (ρ × g)`,
+      step.blank(),
+      step.heading`Valores:`,
+      inputStep('P', P, 2),
+      hasDensity ? inputStep('ρ', rho, 2) : step.value`ρ (${fluid.label}) = ${Number(fluid.density.toPrecision(6))} kg/m³`,
+      gravityStep(g),
+      step.blank(),
+      step.calc`h = ${fixed(P.si, 2)} / (${fixed(rhoSI, 2)} × ${gravityText(g)})`,
+      step.result`h = ${fixed(h, 4)} m`,
+      step.result`h = ${fixed(h * 100, 2)} cm`,
+      step.result`h = ${fixed(h * 1000, 1)} mm`
+    ]
+  };
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { density, flowRate, pressure, velocityFromFlow, waterColumn } from './basic.js';
+
+describe('flowRate', () => {
+  it('multiplica velocidade e área', () => {
+    expect(flowRate({ velocity: 2, area: 0.5 }).value).toBeCloseTo(1, 12);
+  });
+
+  it('converte as entradas com unidade para o SI', () => {
+    expect(flowRate({ velocity: { value: 3.6, unit: 'km/h' }, area: { value: 100, unit: 'cm²' } }).value).toBeCloseTo(0.01, 6);
+  });
+});
+
+describe('velocityFromFlow', () => {
+  it('divide a vazão pela área', () => {
+    expect(velocityFromFlow({ flow: 1, area: 0.5 }).value).toBeCloseTo(2, 12);
+  });
+
+  it('aceita vazão em m³/h', () => {
+    expect(velocityFromFlow({ flow: { value: 36, unit: 'm³/h' }, area: 0.01 }).value).toBeCloseTo(1, 12);
+  });
+});
+
+describe('pressure', () => {
+  it('divide a força pela área', () => {
+    const result = pressure({ force: 100, area: 2 });
+    expect(result.value).toBeCloseTo(50, 12);
+    expect(result.unit).toBe('Pa');
+  });
+});
+
+describe('density', () => {
+  it('divide a massa pelo volume', () => {
+    expect(density({ mass: 10, volume: 0.01 }).value).toBeCloseTo(1000, 9);
+  });
+
+  it('aceita volume em litros', () => {
+    expect(density({ mass: 1, volume: { value: 1, unit: 'L' } }).value).toBeCloseTo(1000, 9);
+  });
+});
+
+describe('waterColumn', () => {
+  it('usa água e g = 9,81 m/s² sem densidade informada', () => {
+    expect(waterColumn({ pressure: 9810 }).value).toBeCloseTo(1, 12);
+  });
+
+  it('usa a densidade informada', () => {
+    expect(waterColumn({ pressure: 13600 * 9.81, density: 13600 }).value).toBeCloseTo(1, 12);
+  });
+
+  it('usa o fluido manométrico e a gravidade recebidos', () => {
+    const result = waterColumn({ pressure: 827 * 9.80665, gravity: 9.80665, columnFluid: { label: 'óleo', density: 827 } });
+    expect(result.value).toBeCloseTo(1, 12);
+  });
+});
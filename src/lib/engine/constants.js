@@ -0,0 +1,15 @@
+/**
+ * Constantes físicas usadas pelo motor de cálculo.
+ */
+
+// Aceleração da gravidade (m/s²).
+export const G = 9.81;
+
+// Densidade de referência da água (kg/m³).
+export const WATER_DENSITY = 1000;
+
+// Pressão da atmosfera padrão ao nível do mar (Pa).
+export const STANDARD_ATMOSPHERE = 101325;
+
+// Gravidade padrão (gₙ), definida pela CGPM (m/s²).
+export const STANDARD_GRAVITY = 9.80665;
@@ -0,0 +1,41 @@
+/**
+ * Conversão entre unidades de um mesmo tipo de medida.
+ */
+import { fromSI, measurementTypeLabels, scalar, siUnitOf, toSI, unitDefinition } from './units.js';
+import { step } from './steps.js';
+import { convertExpression } from './unitExpression.js';
+
+// Linha que mostra a relação de uma unidade com o SI, incluindo o deslocamento das unidades afins.
+function definitionStep(unit, measurementType) {
+  const { factor, offset } = unitDefinition(unit, measurementType);
+  const siUnit = siUnitOf(measurementType);
+  return offset
+    ? step.value`${unit} → ${siUnit}: valor × ${Number(factor.toPrecision(6))} + ${Number(offset.toPrecision(6))}`
+    : step.value`${unit} → ${siUnit}: valor × ${Number(factor.toPrecision(6))}`;
+}
+
+// Converte o valor passando pela unidade base do SI: SI = Valor₁ × Fator₁ + Deslocamento₁; Valor₂ = (SI - Deslocamento₂) / Fator₂
+// No modo 'expression', as unidades são expressões em texto livre (ver unitExpression.js).
+export function convertUnit({ value: valueInput, measurementType, fromUnit, toUnit }) {
+  const value = scalar(valueInput);
+  if (measurementType === 'expression') {
+    return convertExpression({ value, from: fromUnit, to: toUnit });
+  }
+  const valueInSI = toSI(value, fromUnit, measurementType); // Valor convertido para a unidade base do SI
+  const finalValue = fromSI(valueInSI, toUnit, measurementType); // Valor em SI convertido para a unidade final
+  const siUnit = siUnitOf(measurementType);
+
+  return {
+    value: finalValue,
+    unit: toUnit,
+    steps: [
+      step.formula`Conversão de ${measurementTypeLabels[measurementType]}:`,
+      step.blank(),
+      definitionStep(fromUnit, measurementType),
+      definitionStep(toUnit, measurementType),
+      step.value`${value} ${fromUnit} = ${valueInSI.toPrecision(6)} ${siUnit}`,
+      step.blank(),
+      step.result`${value} ${fromUnit}  =  ${finalValue.toPrecision(6)} ${toUnit}`
+    ]
+  };
+}
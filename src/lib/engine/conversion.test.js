@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { convertUnit } from './conversion.js';
+
+describe('convertUnit', () => {
+  it('converte pelas tabelas de unidades', () => {
+    expect(convertUnit({ value: 1, measurementType: 'pressure', fromUnit: 'bar', toUnit: 'psi' }).value).toBeCloseTo(14.5038, 4);
+    expect(convertUnit({ value: 1, measurementType: 'flow', fromUnit: 'm³/s', toUnit: 'L/s' }).value).toBeCloseTo(1000, 9);
+  });
+
+  it('aplica o deslocamento das temperaturas', () => {
+    expect(convertUnit({ value: 100, measurementType: 'temperature', fromUnit: '°C', toUnit: '°F' }).value).toBeCloseTo(212, 9);
+  });
+
+  it('converte expressões de unidade', () => {
+    const result = convertUnit({ value: 1, measurementType: 'expression', fromUnit: 'kgf/cm²', toUnit: 'kPa' });
+    expect(result.value).toBeCloseTo(98.0665, 9);
+  });
+
+  it('rejeita expressões de dimensões diferentes', () => {
+    const result = convertUnit({ value: 1, measurementType: 'expression', fromUnit: 'kgf/cm²', toUnit: 'm' });
+    expect(result.value).toBeNull();
+  });
+});
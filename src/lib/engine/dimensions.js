@@ -0,0 +1,96 @@
+/**
+ * Vetores de dimensão física [M, L, T, Θ] (massa, comprimento, tempo, temperatura).
+ * Ex.: pressão = M·L⁻¹·T⁻² → [1, -1, -2, 0].
+ * Cada grandeza de entrada carrega a dimensão do seu tipo de medida, e a unidade
+ * informada precisa ter essa dimensão (ver resolveUnit em units.js).
+ */
+
+export const DIMENSION_SYMBOLS = ['M', 'L', 'T', 'Θ'];
+
+// Grandeza adimensional.
+export const DIMENSIONLESS = [0, 0, 0, 0];
+
+// Dimensão de cada tipo de medida usado nos campos das calculadoras.
+export const unitTypeDimensions = {
+  dimensionless: DIMENSIONLESS,
+  percentage: DIMENSIONLESS,
+  length: [0, 1, 0, 0],
+  area: [0, 2, 0, 0],
+  volume: [0, 3, 0, 0],
+  mass: [1, 0, 0, 0],
+  velocity: [0, 1, -1, 0],
+  flow: [0, 3, -1, 0],
+  force: [1, 1, -2, 0],
+  pressure: [1, -1, -2, 0],
+  density: [1, -3, 0, 0],
+  viscosity: [1, -1, -1, 0],
+  power: [1, 2, -3, 0],
+  temperature: [0, 0, 0, 1]
+};
+
+// Rótulos dos tipos de medida nas mensagens de erro.
+const unitTypeNames = {
+  dimensionless: 'adimensional',
+  percentage: 'porcentagem',
+  length: 'comprimento',
+  area: 'área',
+  volume: 'volume',
+  mass: 'massa',
+  velocity: 'velocidade',
+  flow: 'vazão',
+  force: 'força',
+  pressure: 'pressão',
+  density: 'densidade',
+  viscosity: 'viscosidade',
+  power: 'potência',
+  temperature: 'temperatura'
+};
+
+/**
+ * Erro de unidade ou de dimensão: unidade desconhecida ou incompatível com o tipo do campo.
+ */
+export class DimensionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DimensionError';
+  }
+}
+
+/**
+ * Dimensão de um tipo de medida. Tipos desconhecidos geram DimensionError.
+ */
+export function dimensionsOf(unitType) {
+  const dimensions = unitTypeDimensions[unitType];
+  if (!dimensions) throw new DimensionError(`Tipo de medida desconhecido: "${unitType}".`);
+  return dimensions;
+}
+
+// Nome legível de um tipo de medida.
+export const unitTypeName = (unitType) => unitTypeNames[unitType] || unitType;
+
+// Produto de duas grandezas: os expoentes se somam.
+export const multiplyDimensions = (a, b) => a.map((exponent, i) => exponent + b[i]);
+
+// Quociente de duas grandezas: os expoentes se subtraem.
+export const divideDimensions = (a, b) => a.map((exponent, i) => exponent - b[i]);
+
+// Potência inteira de uma grandeza.
+export const powerDimensions = (a, power) => a.map(exponent => exponent * power);
+
+// Verifica se duas grandezas têm a mesma dimensão.
+export const sameDimensions = (a, b) => a.every((exponent, i) => exponent === b[i]);
+
+const SUPERSCRIPT_DIGITS = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+
+// Expoente em sobrescrito (1 é omitido).
+export const superscript = (power) => (power === 1 ? '' : String(power).split('').map(char => SUPERSCRIPT_DIGITS[char]).join(''));
+
+/**
+ * Representação legível de uma dimensão, ex.: "M·L⁻¹·T⁻²" ou "adimensional".
+ */
+export function formatDimensions(dimensions) {
+  const parts = dimensions
+    .map((power, i) => (power ? `${DIMENSION_SYMBOLS[i]}${superscript(power)}` : null))
+    .filter(Boolean);
+  return parts.length ? parts.join('·') : 'adimensional';
+}
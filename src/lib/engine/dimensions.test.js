@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { DimensionError, dimensionsOf, formatDimensions } from './dimensions.js';
+import { quantity } from './units.js';
+
+describe('formatDimensions', () => {
+  it('escreve o vetor de dimensões com expoentes', () => {
+    expect(formatDimensions(dimensionsOf('pressure'))).toBe('M·L⁻¹·T⁻²');
+    expect(formatDimensions(dimensionsOf('dimensionless'))).toBe('adimensional');
+  });
+
+  it('lança DimensionError para tipos de medida desconhecidos', () => {
+    expect(() => dimensionsOf('charge')).toThrow(DimensionError);
+  });
+});
+
+describe('quantity', () => {
+  it('carrega a dimensão do tipo de medida', () => {
+    expect(quantity({ value: 2, unit: 'bar' }, 'pressure')).toMatchObject({ si: 200000, dimensions: dimensionsOf('pressure') });
+  });
+
+  it('converte expressões de unidade com a dimensão do campo', () => {
+    expect(quantity({ value: 1, unit: 'kgf/cm²' }, 'pressure').si).toBeCloseTo(98066.5, 6);
+  });
+
+  it('lança DimensionError para unidades desconhecidas ou de outra dimensão', () => {
+    expect(() => quantity({ value: 1, unit: 'parsec' }, 'length')).toThrow(DimensionError);
+    expect(() => quantity({ value: 1, unit: 'm/s' }, 'pressure')).toThrow(DimensionError);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Equação da energia, potência de bombas, NPSH disponível e equação de Bernoulli.
+ * As pressões aceitam referência manométrica ou absoluta (ver atmosphere.js); a altitude
+ * opcional do local define a pressão atmosférica usada na conversão.
+ */
+import { quantity, scalar } from './units.js';
+import { fixed, inputStep, step } from './steps.js';
+import { localAtmosphere, pressureReferences, referencedPressure, referencedPressureStep } from './atmosphere.js';
+import { gravityOf, gravityStep, gravityText } from './gravity.js';
+
+// Resultado sem valor quando uma pressão absoluta fica negativa ou nula (abaixo do vácuo).
+function belowVacuum(label, p, unit, steps) {
+  const message = `A pressão absoluta ${label} (${Number(p.absolute.toPrecision(6))} Pa) é menor ou igual a zero, o que não é fisicamente possível; verifique a referência (manométrica ou absoluta), a altitude e as demais entradas.`;
+  return { value: null, unit, message, steps: [...steps, step.note`${message}`] };
+}
+
+// Carga manométrica da bomba: Hₘ = (P₂-P₁)/(ρg) + (v₂²-v₁²)/(2g) + (z₂-z₁) + hₜ
+// As pressões são convertidas para absolutas; com a mesma referência nos dois pontos, Pₐₜₘ se cancela.
+export function energyEquation({ z1, z2, p1, p2, v1, v2, headLoss, density, altitude, gravity }) {
+  const g = gravityOf(gravity);
+  const atmosphere = localAtmosphere(altitude);
+  const z1q = quantity(z1, 'length');
+  const z2q = quantity(z2, 'length');
+  const p1q = referencedPressure(p1, atmosphere.value);
+  const p2q = referencedPressure(p2, atmosphere.value);
+  const v1q = quantity(v1, 'velocity');
+  const v2q = quantity(v2, 'velocity');
+  const hl = quantity(headLoss, 'length');
+  const rho = quantity(density, 'density');
+
+  const pressureHead = (p2q.absolute - p1q.absolute) / (rho.si * g);
+  const velocityHead = (Math.pow(v2q.si, 2) - Math.pow(v1q.si, 2)) / (2 * g);
+  const elevationHead = z2q.si - z1q.si;
+  const head = pressureHead + velocityHead + elevationHead + hl.si;
+
+  return {
+    value: head,
+    unit: 'm',
+    steps: [
+      step.formula`Equação da Energia para Carga Manométrica da Bomba (Hₘ):`,
+      step.formula`Hₘ = (P₂-P₁)/(ρg) + (v₂²-v₁²)/(2g) + (z₂-z₁) + hₜ`,
+      step.blank(),
+      step.heading`Valores em SI:`,
+      inputStep('Cota 1 (z₁)', z1q, 2),
+      inputStep('Cota 2 (z₂)', z2q, 2),
+      inputStep('Velocidade 1 (v₁)', v1q, 4),
+      inputStep('Velocidade 2 (v₂)', v2q, 4),
+      inputStep('Perda de Carga (hₜ)', hl, 4),
+      inputStep('Densidade (ρ)', rho, 2),
+      gravityStep(g),
+      step.blank(),
+      step.heading`Referência das pressões:`,
+      ...atmosphere.steps,
+      referencedPressureStep('Pressão 1 (P₁)', p1q),
+      referencedPressureStep('Pressão 2 (P₂)', p2q),
+      p1q.reference === p2q.reference
+        ? step.note`P₁ e P₂ na mesma referência (${pressureReferences[p1q.reference]}): Pₐₜₘ se cancela em P₂ - P₁.`
+        : step.note`P₁ e P₂ em referências diferentes: a diferença foi calculada com as pressões absolutas.`,
+      step.blank(),
+      step.blank(),
+      step.calc`Hₘ = ${fixed(pressureHead, 4)} + ${fixed(velocityHead, 4)} + ${fixed(elevationHead, 4)} + ${fixed(hl.si, 4)}`,
+      step.result`Hₘ = ${fixed(head, 4)} m`
+    ]
+  };
+}
+
+// Potência consumida pela bomba: P = ρ × g × Q × H / η (η em porcentagem).
+export function pumpPower({ flow, head, density, efficiency: efficiencyInput, gravity }) {
+  const g = gravityOf(gravity);
+  const efficiency = scalar(efficiencyInput);
+  const Q = quantity(flow, 'flow');
+  const H = quantity(head, 'length');
+  const rho = quantity(density, 'density');
+  const eta = efficiency / 100;
+  const power = (rho.si * g * Q.si * H.si) / eta;
+
+  return {
+    value: power,
+    unit: 'W',
+    steps: [
+      step.formula`Potência da Bomba (P) = (ρ × g × Q × H) / η`,
+      step.blank(),
+      step.heading`Valores em SI:`,
+      inputStep('Densidade (ρ)', rho, 2),
+      gravityStep(g),
+      inputStep('Vazão (Q)', Q, 6),
+      inputStep('Altura Manométrica (H)', H, 2),
+      step.value`Eficiência (η) = ${efficiency}% = ${fixed(eta, 2)}`,
+      step.blank(),
+      step.calc`P = (${fixed(rho.si, 2)} × ${gravityText(g)} × ${fixed(Q.si, 6)} × ${fixed(H.si, 2)}) / ${fixed(eta, 2)}`,
+      step.result`P = ${fixed(power, 2)} W`,
+      step.result`P = ${fixed(power / 1000, 4)} kW`,
+      step.result`P = ${fixed(power / 745.7, 4)} hp`
+    ]
+  };
+}
+
+// NPSH disponível: (Pₛ - Pᵥ)/(ρg) - hₛ - hₗ, com as pressões absolutas. Sem a pressão na
+// superfície do reservatório (Pₐₜₘ), usa-se a atmosfera local calculada pela altitude.
+export function npshAvailable({ atmosphericPressure, vaporPressure, suctionHeight, headLoss, density, altitude, gravity }) {
+  const g = gravityOf(gravity);
+  const atmosphere = localAtmosphere(altitude);
+  const surface = atmosphericPressure === undefined || atmosphericPressure === null || atmosphericPressure === ''
+    ? null
+    : referencedPressure(atmosphericPressure, atmosphere.value);
+  const patm = surface ? surface.absolute : atmosphere.value;
+  const pv = referencedPressure(vaporPressure, atmosphere.value);
+  const hs = quantity(suctionHeight, 'length');
+  const hl = quantity(headLoss, 'length');
+  const rho = quantity(density, 'density');
+
+  const header = [
+    step.formula`NPSH Disponível = (Pₐₜₘ - Pᵥ) / (ρg) - hₛ - hₗ`,
+    step.blank(),
+    step.heading`Pressões absolutas (exigidas pelo NPSH):`,
+    ...atmosphere.steps,
+    surface
+      ? referencedPressureStep('Pressão Atmosférica (Pₐₜₘ)', surface)
+      : step.value`Pressão Atmosférica (Pₐₜₘ) = Pₐₜₘ local = ${fixed(patm, 2)} Pa`,
+    referencedPressureStep('Pressão de Vapor (Pᵥ)', pv)
+  ];
+  if (surface && surface.absolute <= 0) return belowVacuum('Pₐₜₘ', surface, 'm', header);
+  if (pv.absolute < 0) return belowVacuum('Pᵥ', pv, 'm', header);
+
+  const pressureHead = (patm - pv.absolute) / (rho.si * g);
+  const npsh = pressureHead - hs.si - hl.si;
+
+  return {
+    value: npsh,
+    unit: 'm',
+    steps: [
+      ...header,
+      step.blank(),
+      step.heading`Valores em SI:`,
+      inputStep('Altura de Sucção (hₛ)', hs, 2),
+      inputStep('Perda de Carga na Sucção (hₗ)', hl, 4),
+      inputStep('Densidade (ρ)', rho, 2),
+      gravityStep(g),
+      step.blank(),
+      step.calc`NPSH = ${fixed(pressureHead, 4)} - ${fixed(hs.si, 2)} - ${fixed(hl.si, 4)}`,
+      step.result`NPSH = ${fixed(npsh, 4)} m`
+    ]
+  };
+}
+
+// Equação de Bernoulli resolvida para a pressão no ponto 2, na mesma referência de P₁.
+export function bernoulli({ pressure1, velocity1, height1, velocity2, height2, density, altitude, gravity }) {
+  const g = gravityOf(gravity);
+  const atmosphere = localAtmosphere(altitude);
+  const p1 = referencedPressure(pressure1, atmosphere.value);
+  const v1 = quantity(velocity1, 'velocity');
+  const h1 = quantity(height1, 'length');
+  const v2 = quantity(velocity2, 'velocity');
+  const h2 = quantity(height2, 'length');
+  const rho = quantity(density, 'density');
+
+  const totalEnergy = p1.absolute + 0.5 * rho.si * Math.pow(v1.si, 2) + rho.si * g * h1.si;
+  const p2Absolute = totalEnergy - 0.5 * rho.si * Math.pow(v2.si, 2) - rho.si * g * h2.si;
+  const gauge = p1.reference === 'gauge';
+  const p2 = gauge ? p2Absolute - atmosphere.value : p2Absolute;
+  const referenceLabel = pressureReferences[p1.reference];
+
+  const steps = [
+    step.formula`Equação de Bernoulli:`,
+    step.formula`P₁ + ½ρv₁² + ρgh₁ = P₂ + ½ρv₂² + ρgh₂`,
+    step.blank(),
+    step.heading`Referência das pressões:`,
+    ...atmosphere.steps,
+    step.note`P₂ é apresentada na mesma referência de P₁ (${referenceLabel}).`,
+    step.blank(),
+    step.heading`Valores no Ponto 1:`,
+    referencedPressureStep('P₁', p1),
+    inputStep('v₁', v1, 4),
+    inputStep('h₁', h1, 4),
+    step.blank(),
+    step.heading`Valores no Ponto 2:`,
+    inputStep('v₂', v2, 4),
+    inputStep('h₂', h2, 4),
+    step.blank(),
+    inputStep('Densidade: ρ', rho, 2),
+    gravityStep(g),
+    step.blank(),
+    step.heading`Resolvendo para P₂:`,
+    step.calc`P₂ (absoluta) = ${fixed(p2Absolute, 2)} Pa`
+  ];
+  if (p2Absolute <= 0) return belowVacuum('P₂', { absolute: p2Absolute }, 'Pa', steps);
+
+  return {
+    value: p2,
+    unit: 'Pa',
+    reference: p1.reference,
+    steps: [
+      ...steps,
+      ...(gauge ? [step.calc`P₂ (manométrica) = ${fixed(p2Absolute, 2)} - ${fixed(atmosphere.value, 2)} = ${fixed(p2, 2)} Pa`] : []),
+      step.result`P₂ = ${fixed(p2, 2)} Pa (${referenceLabel})`,
+      step.result`P₂ = ${fixed(p2 / 1000, 4)} kPa (${referenceLabel})`,
+      step.blank(),
+      step.note`Esta equação representa a conservação de energia ao longo de uma linha de corrente.`
+    ]
+  };
+}
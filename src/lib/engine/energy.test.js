@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { bernoulli, energyEquation, npshAvailable, pumpPower } from './energy.js';
+
+const g = 9.81;
+
+describe('energyEquation', () => {
+  it('soma as cargas de pressão, velocidade, cota e perdas', () => {
+    const result = energyEquation({ z1: 0, z2: 10, p1: 100000, p2: 200000, v1: 1, v2: 3, headLoss: 2, density: 1000 });
+    expect(result.value).toBeCloseTo(100000 / (1000 * g) + 8 / (2 * g) + 10 + 2, 9);
+  });
+
+  it('cancela a atmosfera com as duas pressões manométricas', () => {
+    const result = energyEquation({
+      z1: 0, z2: 0, v1: 0, v2: 0, headLoss: 0, density: 1000,
+      p1: { value: 50, unit: 'kPa', reference: 'gauge' },
+      p2: { value: 100, unit: 'kPa', reference: 'gauge' },
+      altitude: 800
+    });
+    expect(result.value).toBeCloseTo(50000 / (1000 * g), 9);
+  });
+});
+
+describe('pumpPower', () => {
+  it('calcula P = ρgQH/η', () => {
+    expect(pumpPower({ flow: 0.01, head: 20, density: 1000, efficiency: 80 }).value).toBeCloseTo(2452.5, 9);
+  });
+});
+
+describe('npshAvailable', () => {
+  it('usa a atmosfera padrão sem pressão informada', () => {
+    const result = npshAvailable({ vaporPressure: 2339, suctionHeight: 2, headLoss: 1, density: 1000 });
+    expect(result.value).toBeCloseTo((101325 - 2339) / (1000 * g) - 3, 9);
+  });
+
+  it('não calcula com pressão de vapor absoluta negativa', () => {
+    const result = npshAvailable({ vaporPressure: -1, suctionHeight: 2, headLoss: 1, density: 1000 });
+    expect(result.value).toBeNull();
+  });
+});
+
+describe('bernoulli', () => {
+  it('resolve P₂ na referência de P₁', () => {
+    const args = { velocity1: 1, height1: 0, velocity2: 3, height2: 2, density: 1000 };
+    const expected = 200000 + 500 - 4500 - 1000 * g * 2;
+    expect(bernoulli({ ...args, pressure1: 200000 }).value).toBeCloseTo(expected, 6);
+    const gauge = bernoulli({ ...args, pressure1: { value: 200000, unit: 'Pa', reference: 'gauge' } });
+    expect(gauge.value).toBeCloseTo(expected, 6);
+    expect(gauge.reference).toBe('gauge');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Biblioteca de acessórios e válvulas para perdas de carga localizadas.
+ * Os coeficientes K são valores típicos de literatura (Crane TP-410; White,
+ * Mecânica dos Fluidos) referidos à velocidade média na tubulação.
+ */
+import { fixed, step } from './steps.js';
+
+// Acessórios com K constante ou dependente da razão de diâmetros d/D (menor/maior).
+export const fittings = {
+  'elbow-90': { label: 'Cotovelo 90° padrão', k: 0.9 },
+  'elbow-90-long': { label: 'Cotovelo 90° raio longo', k: 0.6 },
+  'elbow-45': { label: 'Cotovelo 45°', k: 0.4 },
+  'return-bend': { label: 'Curva de retorno 180°', k: 1.5 },
+  'tee-line': { label: 'Tê passagem direta', k: 0.6 },
+  'tee-branch': { label: 'Tê saída lateral', k: 1.8 },
+  'gate-valve-open': { label: 'Válvula gaveta aberta', k: 0.2 },
+  'gate-valve-half': { label: 'Válvula gaveta 1/2 aberta', k: 5.6 },
+  'globe-valve-open': { label: 'Válvula globo aberta', k: 10 },
+  'angle-valve-open': { label: 'Válvula angular aberta', k: 5 },
+  'ball-valve-open': { label: 'Válvula esfera aberta', k: 0.05 },
+  'check-valve-swing': { label: 'Válvula de retenção (portinhola)', k: 2.0 },
+  'foot-valve': { label: 'Válvula de pé com crivo', k: 10 },
+  'entrance-sharp': { label: 'Entrada de borda viva', k: 0.5 },
+  'entrance-rounded': { label: 'Entrada arredondada', k: 0.04 },
+  'entrance-reentrant': { label: 'Entrada reentrante', k: 0.8 },
+  'exit': { label: 'Saída para reservatório', k: 1.0 },
+  'sudden-expansion': {
+    label: 'Expansão brusca',
+    formula: 'K = (1 - (d/D)²)²',
+    k: (ratio) => Math.pow(1 - ratio * ratio, 2)
+  },
+  'sudden-contraction': {
+    label: 'Contração brusca',
+    formula: 'K = 0,42 (1 - (d/D)²)',
+    k: (ratio) => 0.42 * (1 - ratio * ratio)
+  }
+};
+
+// Indica se o coeficiente do acessório depende da razão de diâmetros d/D.
+export const needsDiameterRatio = (fittingId) => typeof fittings[fittingId]?.k === 'function';
+
+// Razão de diâmetros aceita pelos acessórios que dependem de d/D (menor/maior): 0 < d/D ≤ 1.
+export const validDiameterRatio = (ratio) => Number.isFinite(ratio) && ratio > 0 && ratio <= 1;
+
+// Mensagem de razão d/D ausente ou fora da faixa, com o nome do acessório.
+export const diameterRatioMessage = (fittingId) => (
+  `Razão de diâmetros d/D inválida em ${fittings[fittingId].label}: informe um valor maior que 0 e no máximo 1.`
+);
+
+/**
+ * Coeficiente K de um único acessório. Para expansão e contração, 'ratio' é d/D;
+ * retorna null se a razão estiver ausente ou fora de 0 < d/D ≤ 1.
+ */
+export function fittingK(fittingId, ratio) {
+  const fitting = fittings[fittingId];
+  if (!fitting) return 0;
+  if (typeof fitting.k !== 'function') return fitting.k;
+  return validDiameterRatio(ratio) ? fitting.k(ratio) : null;
+}
+
+/**
+ * Soma os coeficientes de uma lista de acessórios [{ id, quantity, ratio }].
+ * Retorna cada item com seu K unitário e total, e Σk. Uma lista que não é um array, itens
+ * vazios ou uma razão d/D inválida retornam { items: [], kSum: NaN, error } com a mensagem.
+ */
+export function sumFittings(items = []) {
+  if (!Array.isArray(items) || items.some(item => item === null || typeof item !== 'object')) {
+    return { items: [], kSum: NaN, error: 'Lista de acessórios inválida: cada item deve indicar o acessório e a quantidade.' };
+  }
+  const selected = items.filter(item => fittings[item.id] && Number(item.quantity) > 0);
+  const invalid = selected.find(item => fittingK(item.id, Number(item.ratio)) === null);
+  if (invalid) return { items: [], kSum: NaN, error: diameterRatioMessage(invalid.id) };
+
+  const breakdown = selected.map(item => {
+    const k = fittingK(item.id, Number(item.ratio));
+    const quantity = Number(item.quantity);
+    return { ...item, quantity, label: fittings[item.id].label, k, kTotal: k * quantity };
+  });
+  return { items: breakdown, kSum: breakdown.reduce((sum, item) => sum + item.kTotal, 0) };
+}
+
+/**
+ * Passos com a composição de Σk e a perda localizada de cada acessório.
+ */
+export function fittingsSteps(breakdown, extraK, velocityHead) {
+  return [
+    step.heading`Acessórios e válvulas (hₘ = n × K × v²/2g):`,
+    ...breakdown.items.map(item => step.value`${item.quantity} × ${item.label}${needsDiameterRatio(item.id) ? ` (d/D = ${item.ratio})` : ''}: K = ${fixed(item.k, 2)} → ${fixed(item.kTotal, 2)} → hₘ = ${fixed(item.kTotal * velocityHead, 4)} m`),
+    ...(extraK ? [step.value`Outros coeficientes informados: K = ${fixed(extraK, 2)} → hₘ = ${fixed(extraK * velocityHead, 4)} m`] : [])
+  ];
+}
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { fittingK, sumFittings } from './fittings.js';
+
+describe('fittingK', () => {
+  it('calcula K pela razão de diâmetros', () => {
+    expect(fittingK('sudden-expansion', 0.5)).toBeCloseTo(0.5625, 12);
+    expect(fittingK('sudden-contraction', 1)).toBe(0);
+  });
+
+  it('recusa razão ausente ou fora de 0 < d/D ≤ 1', () => {
+    [undefined, NaN, 0, -0.5, 1.2].forEach(ratio => expect(fittingK('sudden-expansion', ratio)).toBeNull());
+  });
+});
+
+describe('sumFittings', () => {
+  it('soma os coeficientes dos acessórios', () => {
+    const { kSum, error } = sumFittings([{ id: 'elbow-90', quantity: 2 }, { id: 'sudden-expansion', quantity: 1, ratio: 0.5 }]);
+    expect(error).toBeUndefined();
+    expect(kSum).toBeCloseTo(2.3625, 12);
+  });
+
+  it('indica o acessório com razão d/D inválida', () => {
+    const { error } = sumFittings([{ id: 'sudden-contraction', quantity: 1 }]);
+    expect(error).toContain('Contração brusca');
+  });
+
+  it('recusa listas que não são arrays e itens vazios', () => {
+    expect(sumFittings('abc').error).toBeDefined();
+    expect(sumFittings([null]).error).toBeDefined();
+  });
+});
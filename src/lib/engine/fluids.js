@@ -0,0 +1,186 @@
+/**
+ * Biblioteca de propriedades de fluidos.
+ * Cada fluido tem uma tabela em função da temperatura (°C) com densidade (kg/m³),
+ * viscosidade dinâmica (Pa·s) e pressão de vapor (Pa). Valores intermediários são
+ * obtidos por interpolação entre as linhas vizinhas da tabela.
+ */
+import { fixed, step } from './steps.js';
+
+// Linhas da tabela: [T (°C), ρ (kg/m³), μ (Pa·s), Pᵥ (Pa) ou null quando não se aplica].
+export const fluids = {
+  'water': {
+    label: 'Água',
+    source: 'Çengel & Cimbala, Mecânica dos Fluidos — propriedades da água saturada',
+    table: [
+      [0, 999.8, 1.792e-3, 611],
+      [5, 1000.0, 1.519e-3, 872],
+      [10, 999.7, 1.307e-3, 1228],
+      [15, 999.1, 1.138e-3, 1705],
+      [20, 998.2, 1.002e-3, 2339],
+      [25, 997.0, 0.890e-3, 3169],
+      [30, 995.7, 0.798e-3, 4246],
+      [40, 992.2, 0.653e-3, 7384],
+      [50, 988.0, 0.547e-3, 12350],
+      [60, 983.2, 0.467e-3, 19940],
+      [70, 977.8, 0.404e-3, 31190],
+      [80, 971.8, 0.355e-3, 47390],
+      [90, 965.3, 0.315e-3, 70140],
+      [100, 958.4, 0.282e-3, 101325]
+    ]
+  },
+  'seawater': {
+    label: 'Água do mar (S = 35 g/kg)',
+    source: 'Sharqawy, Lienhard & Zubair (2010) — propriedades da água do mar',
+    table: [
+      [0, 1028.1, 1.88e-3, 599],
+      [10, 1026.9, 1.39e-3, 1205],
+      [20, 1024.8, 1.08e-3, 2293],
+      [30, 1021.7, 0.87e-3, 4163],
+      [40, 1018.0, 0.72e-3, 7237]
+    ]
+  },
+  'engine-oil': {
+    label: 'Óleo lubrificante (SAE 30)',
+    source: 'Çengel & Cimbala, Mecânica dos Fluidos — óleo de motor (não usado)',
+    table: [
+      [0, 899.0, 3.814, null],
+      [20, 888.1, 0.8374, null],
+      [40, 876.0, 0.2177, null],
+      [60, 863.9, 0.07399, null],
+      [80, 852.0, 0.03232, null],
+      [100, 840.0, 0.01718, null]
+    ]
+  },
+  'diesel': {
+    label: 'Óleo diesel',
+    source: 'Valores típicos de óleo diesel comercial (ν ≈ 2 a 7 cSt)',
+    table: [
+      [0, 850.0, 6.0e-3, null],
+      [20, 835.0, 3.3e-3, null],
+      [40, 821.0, 2.0e-3, null],
+      [60, 807.0, 1.35e-3, null]
+    ]
+  },
+  'glycerin': {
+    label: 'Glicerina',
+    source: 'Çengel & Cimbala, Mecânica dos Fluidos — propriedades da glicerina',
+    table: [
+      [0, 1276, 10.49, null],
+      [5, 1273, 6.730, null],
+      [10, 1270, 3.900, null],
+      [15, 1267, 2.332, null],
+      [20, 1264, 1.519, null],
+      [25, 1261, 0.934, null],
+      [30, 1258, 0.6582, null],
+      [35, 1255, 0.4347, null],
+      [40, 1252, 0.3073, null]
+    ]
+  },
+  'air': {
+    label: 'Ar (1 atm)',
+    source: 'Çengel & Cimbala, Mecânica dos Fluidos — propriedades do ar a 1 atm',
+    table: [
+      [0, 1.292, 1.729e-5, null],
+      [10, 1.246, 1.778e-5, null],
+      [20, 1.204, 1.825e-5, null],
+      [30, 1.164, 1.872e-5, null],
+      [40, 1.127, 1.918e-5, null],
+      [60, 1.059, 2.008e-5, null],
+      [80, 0.9994, 2.096e-5, null],
+      [100, 0.9458, 2.181e-5, null]
+    ]
+  },
+  'mercury': {
+    label: 'Mercúrio',
+    source: 'Çengel & Cimbala, Mecânica dos Fluidos — propriedades do mercúrio',
+    table: [
+      [0, 13595, 1.685e-3, 0.0247],
+      [25, 13534, 1.534e-3, 0.261],
+      [50, 13473, 1.407e-3, 1.69],
+      [75, 13412, 1.298e-3, 8.37],
+      [100, 13351, 1.240e-3, 36.4]
+    ]
+  }
+};
+
+// Interpolação linear simples.
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Interpolação linear no logaritmo, adequada a grandezas que variam exponencialmente com T.
+const logLerp = (a, b, t) => Math.exp(lerp(Math.log(a), Math.log(b), t));
+
+/**
+ * Faixa de temperaturas tabeladas de um fluido, em °C.
+ */
+export function fluidTemperatureRange(fluidId) {
+  const { table } = fluids[fluidId];
+  return { min: table[0][0], max: table[table.length - 1][0] };
+}
+
+/**
+ * Propriedades de um fluido na temperatura informada (°C).
+ * A densidade é interpolada linearmente; viscosidade e pressão de vapor, no logaritmo.
+ * Temperaturas fora da faixa tabelada são limitadas ao extremo mais próximo
+ * ('clamped' indica que isso ocorreu).
+ */
+export function fluidProperties(fluidId, temperature) {
+  const fluid = fluids[fluidId];
+  if (!fluid) return null;
+
+  const { min, max } = fluidTemperatureRange(fluidId);
+  const t = Math.min(Math.max(temperature, min), max);
+  const { table } = fluid;
+  const upperIndex = Math.max(1, table.findIndex(row => row[0] >= t));
+  const lower = table[upperIndex - 1];
+  const upper = table[upperIndex];
+  const ratio = (t - lower[0]) / (upper[0] - lower[0]);
+
+  const density = lerp(lower[1], upper[1], ratio);
+  const viscosity = logLerp(lower[2], upper[2], ratio);
+  const vaporPressure = lower[3] === null ? null : logLerp(lower[3], upper[3], ratio);
+
+  return {
+    fluid: fluidId,
+    label: fluid.label,
+    source: fluid.source,
+    temperature: t,
+    clamped: t !== temperature,
+    density,
+    viscosity,
+    kinematicViscosity: viscosity / density,
+    vaporPressure,
+    lower,
+    upper
+  };
+}
+
+// Formata um valor em notação científica para a memória de cálculo.
+const sci = (value) => value.toExponential(3);
+
+// Linha da tabela usada na interpolação.
+const tableRowStep = ([t, rho, mu, pv]) =>
+  step.value`Tabela (T = ${t} °C): ρ = ${rho} kg/m³, μ = ${sci(mu)} Pa·s${pv === null ? '' : `, Pᵥ = ${pv} Pa`}`;
+
+/**
+ * Passos da memória de cálculo que documentam as propriedades obtidas da biblioteca,
+ * com as linhas da tabela usadas na interpolação.
+ */
+export function fluidSteps(props) {
+  const { lower, upper } = props;
+  const steps = [
+    step.heading`Propriedades do fluido: ${props.label} a ${fixed(props.temperature, 1)} °C`,
+    step.note`Fonte: ${props.source}`,
+    tableRowStep(lower),
+    tableRowStep(upper),
+    step.result`ρ = ${fixed(props.density, 2)} kg/m³ (interpolação linear)`,
+    step.result`μ = ${sci(props.viscosity)} Pa·s (interpolação logarítmica)`,
+    step.result`ν = μ/ρ = ${sci(props.kinematicViscosity)} m²/s`
+  ];
+  if (props.vaporPressure !== null) {
+    steps.push(step.result`Pᵥ = ${fixed(props.vaporPressure, 1)} Pa (interpolação logarítmica)`);
+  }
+  if (props.clamped) {
+    steps.push(step.note`Atenção: temperatura fora da faixa tabelada; foi usado o extremo mais próximo.`);
+  }
+  return steps;
+}
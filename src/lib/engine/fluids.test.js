@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { fluidProperties, fluidSteps, fluidTemperatureRange, fluids } from './fluids.js';
+
+describe('tabelas de fluidos', () => {
+  it('têm temperaturas crescentes e propriedades positivas', () => {
+    Object.values(fluids).forEach(({ table }) => {
+      table.forEach(([t, rho, mu, pv], i) => {
+        if (i > 0) expect(t).toBeGreaterThan(table[i - 1][0]);
+        expect(rho).toBeGreaterThan(0);
+        expect(mu).toBeGreaterThan(0);
+        if (pv !== null) expect(pv).toBeGreaterThan(0);
+      });
+    });
+  });
+});
+
+describe('fluidProperties', () => {
+  it('reproduz os valores tabelados nos pontos da tabela', () => {
+    const props = fluidProperties('water', 20);
+    expect(props).toMatchObject({ temperature: 20, clamped: false, density: 998.2, vaporPressure: 2339 });
+    expect(props.viscosity).toBeCloseTo(1.002e-3, 12);
+    expect(props.kinematicViscosity).toBeCloseTo(1.002e-3 / 998.2, 15);
+    expect(fluidProperties('water', 0).density).toBe(999.8);
+    expect(fluidProperties('water', 100).vaporPressure).toBeCloseTo(101325, 6);
+  });
+
+  it('interpola a densidade linearmente e a viscosidade no logaritmo', () => {
+    const props = fluidProperties('water', 22.5);
+    expect(props.density).toBeCloseTo((998.2 + 997.0) / 2, 9);
+    expect(props.viscosity).toBeCloseTo(Math.sqrt(1.002e-3 * 0.890e-3), 12);
+    expect(props.vaporPressure).toBeCloseTo(Math.sqrt(2339 * 3169), 6);
+    expect(props.lower[0]).toBe(20);
+    expect(props.upper[0]).toBe(25);
+  });
+
+  it('limita temperaturas fora da faixa ao extremo mais próximo', () => {
+    const { min, max } = fluidTemperatureRange('seawater');
+    expect(fluidProperties('seawater', min - 10)).toMatchObject({ temperature: min, clamped: true, density: 1028.1 });
+    expect(fluidProperties('seawater', max + 10)).toMatchObject({ temperature: max, clamped: true, density: 1018.0 });
+    expect(fluidSteps(fluidProperties('seawater', max + 10)).at(-1).kind).toBe('note');
+  });
+
+  it('retorna null para fluidos desconhecidos', () => {
+    expect(fluidProperties('plasma', 20)).toBeNull();
+  });
+});
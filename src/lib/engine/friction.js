@@ -0,0 +1,225 @@
+/**
+ * Correlações para o fator de atrito de Darcy-Weisbach.
+ * No regime laminar (Re < 2300) usa-se sempre f = 64/Re; as correlações
+ * turbulentas são aplicadas nos demais casos.
+ */
+import { scalar } from './units.js';
+import { fixed, step } from './steps.js';
+import { LAMINAR_LIMIT, TURBULENT_LIMIT, flowRegime } from './pipeFlow.js';
+
+// Parâmetros da solução iterativa de Colebrook-White.
+const COLEBROOK_TOLERANCE = 1e-10;
+const COLEBROOK_MAX_ITERATIONS = 100;
+
+/**
+ * Fator de atrito laminar (Hagen-Poiseuille): f = 64 / Re.
+ */
+export function laminarFriction(re) {
+  return 64 / re;
+}
+
+/**
+ * Equação explícita de Swamee-Jain para o fator de atrito de Darcy-Weisbach.
+ */
+export function swameeJain(re, relRoughness) {
+  return 0.25 / Math.pow(Math.log10(relRoughness / 3.7 + 5.74 / Math.pow(re, 0.9)), 2);
+}
+
+/**
+ * Equação explícita de Haaland: 1/√f = -1,8 log₁₀[(ε/D/3,7)^1,11 + 6,9/Re].
+ */
+export function haaland(re, relRoughness) {
+  const x = -1.8 * Math.log10(Math.pow(relRoughness / 3.7, 1.11) + 6.9 / re);
+  return 1 / (x * x);
+}
+
+/**
+ * Equação de Churchill (1977), válida para todos os regimes de escoamento.
+ */
+export function churchill(re, relRoughness) {
+  const a = Math.pow(2.457 * Math.log(1 / (Math.pow(7 / re, 0.9) + 0.27 * relRoughness)), 16);
+  const b = Math.pow(37530 / re, 16);
+  return 8 * Math.pow(Math.pow(8 / re, 12) + Math.pow(a + b, -1.5), 1 / 12);
+}
+
+/**
+ * Equação implícita de Colebrook-White resolvida por iteração de ponto fixo em x = 1/√f,
+ * partindo da estimativa de Swamee-Jain. Retorna { f, iterations, converged }.
+ */
+export function colebrookWhite(re, relRoughness) {
+  let x = 1 / Math.sqrt(swameeJain(re, relRoughness));
+  for (let iterations = 1; iterations <= COLEBROOK_MAX_ITERATIONS; iterations++) {
+    const next = -2 * Math.log10(relRoughness / 3.7 + 2.51 * x / re);
+    const delta = Math.abs(next - x);
+    x = next;
+    if (delta < COLEBROOK_TOLERANCE) {
+      return { f: 1 / (x * x), iterations, converged: true };
+    }
+  }
+  return { f: 1 / (x * x), iterations: COLEBROOK_MAX_ITERATIONS, converged: false };
+}
+
+/**
+ * Inverte a equação de Colebrook-White: dada a combinação (Re, f), retorna a
+ * rugosidade relativa ε/D correspondente. Valores abaixo do tubo liso retornam 0.
+ */
+export function relativeRoughnessFromColebrook(re, f) {
+  const sqrtF = Math.sqrt(f);
+  const relRoughness = 3.7 * (Math.pow(10, -1 / (2 * sqrtF)) - 2.51 / (re * sqrtF));
+  return Math.max(relRoughness, 0);
+}
+
+// Correlações turbulentas disponíveis, com a fórmula exibida na memória de cálculo.
+export const frictionCorrelations = {
+  'colebrook': {
+    label: 'Colebrook-White',
+    formula: '1/√f = -2 log₁₀(ε/D/3.7 + 2.51/(Re√f))',
+    solve: (re, relRoughness) => colebrookWhite(re, relRoughness).f,
+    validity: { relRoughness: { min: 0, max: 0.05, text: '0 ≤ ε/D ≤ 0,05' } }
+  },
+  'haaland': {
+    label: 'Haaland',
+    formula: '1/√f = -1.8 log₁₀[(ε/D/3.7)^1.11 + 6.9/Re]',
+    solve: haaland,
+    validity: {
+      reynolds: { min: 4000, max: 1e8, text: '4000 ≤ Re ≤ 10⁸' },
+      relRoughness: { min: 0, max: 0.05, text: '0 ≤ ε/D ≤ 0,05' }
+    }
+  },
+  'churchill': {
+    label: 'Churchill',
+    formula: 'f = 8[(8/Re)¹² + (A + B)^-1.5]^(1/12)',
+    solve: churchill
+  },
+  'swamee-jain': {
+    label: 'Swamee-Jain',
+    formula: 'f = 0.25 / [log₁₀(ε/D/3.7 + 5.74/Re^0.9)]²',
+    solve: swameeJain,
+    validity: {
+      reynolds: { min: 5000, max: 1e8, text: '5000 ≤ Re ≤ 10⁸' },
+      relRoughness: { min: 1e-6, max: 1e-2, text: '10⁻⁶ ≤ ε/D ≤ 10⁻²' }
+    }
+  }
+};
+
+/**
+ * Avisos para uma correlação aplicada fora da faixa em que foi ajustada ('validity').
+ * Churchill vale para todos os regimes e não tem faixa declarada.
+ */
+export function correlationWarnings(correlationId, re, relRoughness) {
+  const { label, validity = {} } = frictionCorrelations[correlationId];
+  const outside = (range, value) => range && (value < range.min || value > range.max);
+  return [
+    outside(validity.reynolds, re) && `Re = ${Math.round(re)} está fora da faixa de validade de ${label} (${validity.reynolds.text}).`,
+    outside(validity.relRoughness, relRoughness)
+      && `ε/D = ${Number(relRoughness.toPrecision(3))} está fora da faixa de validade de ${label} (${validity.relRoughness.text}).`
+  ].filter(Boolean);
+}
+
+// Desvio percentual de um valor em relação à referência.
+const deviation = (value, reference) => ((value - reference) / reference) * 100;
+
+// Linhas de comparação entre todas as correlações turbulentas, tendo Colebrook-White como referência.
+function comparisonSteps(re, relRoughness) {
+  const reference = colebrookWhite(re, relRoughness).f;
+  return Object.entries(frictionCorrelations).map(([id, correlation]) => {
+    const f = correlation.solve(re, relRoughness);
+    if (id === 'colebrook') {
+      return step.value`${correlation.label}: f = ${fixed(f, 6)} (referência)`;
+    }
+    const d = deviation(f, reference);
+    return step.value`${correlation.label}: f = ${fixed(f, 6)} (desvio ${d >= 0 ? '+' : ''}${fixed(d, 2)}%)`;
+  });
+}
+
+/**
+ * Fator de atrito de Darcy-Weisbach pela correlação escolhida.
+ * Para Re < 2300 a correlação é substituída automaticamente por f = 64/Re.
+ * Avisos (transição, faixa de validade, não convergência) vêm também em 'warnings'.
+ */
+export function frictionFactor(inputs) {
+  const re = scalar(inputs.reynolds);
+  const relRoughness = scalar(inputs.relativeRoughness);
+  const correlationId = inputs.correlation || 'colebrook';
+  const regime = flowRegime(re);
+
+  const header = [
+    step.heading`Valores:`,
+    step.value`Número de Reynolds (Re) = ${fixed(re, 0)}`,
+    step.value`Rugosidade Relativa (ε/D) = ${fixed(relRoughness, 6)}`,
+    step.value`Regime de Escoamento: ${regime.label}`,
+    step.blank()
+  ];
+  const footer = [
+    step.blank(),
+    step.note`Este valor é adimensional e representa o fator de atrito de Darcy-Weisbach.`
+  ];
+
+  if (re < LAMINAR_LIMIT) {
+    const f = laminarFriction(re);
+    return {
+      value: f,
+      unit: '',
+      correlation: 'laminar',
+      regime,
+      steps: [
+        step.formula`Fator de Atrito (f) - Escoamento Laminar:`,
+        step.formula`f = 64 / Re`,
+        step.blank(),
+        ...header,
+        step.note`Como Re < ${LAMINAR_LIMIT}, a correlação turbulenta selecionada não se aplica e foi usada a solução laminar.`,
+        step.calc`f = 64 / ${fixed(re, 0)}`,
+        step.result`f = ${fixed(f, 6)}`,
+        ...footer
+      ]
+    };
+  }
+
+  const correlation = frictionCorrelations[correlationId];
+  const validityWarnings = correlationWarnings(correlationId, re, relRoughness);
+  const warnings = [
+    ...(re < TURBULENT_LIMIT ? ['Escoamento em transição; o fator de atrito é incerto nesta faixa.'] : []),
+    ...validityWarnings
+  ];
+  const solutionSteps = [];
+  let f;
+  if (correlationId === 'colebrook') {
+    const solution = colebrookWhite(re, relRoughness);
+    f = solution.f;
+    if (!solution.converged) warnings.push(`A iteração não convergiu após ${solution.iterations} iterações.`);
+    solutionSteps.push(
+      step.calc`Solução iterativa em 1/√f, partindo da estimativa de Swamee-Jain:`,
+      solution.converged
+        ? step.calc`Convergência em ${solution.iterations} iterações (tolerância ${COLEBROOK_TOLERANCE})`
+        : step.note`Atenção: a iteração não convergiu após ${solution.iterations} iterações.`
+    );
+  } else {
+    f = correlation.solve(re, relRoughness);
+  }
+
+  return {
+    value: f,
+    unit: '',
+    correlation: correlationId,
+    regime,
+    warnings,
+    steps: [
+      step.formula`Fator de Atrito (f) - Equação de ${correlation.label}:`,
+      step.formula`${correlation.formula}`,
+      step.blank(),
+      ...header,
+      ...(re < TURBULENT_LIMIT
+        ? [step.note`Atenção: escoamento em transição; o fator de atrito é incerto nesta faixa.`, step.blank()]
+        : []),
+      ...(validityWarnings.length
+        ? [...validityWarnings.map(warning => step.note`Atenção: ${warning}`), step.blank()]
+        : []),
+      ...solutionSteps,
+      step.result`f = ${fixed(f, 6)}`,
+      step.blank(),
+      step.heading`Comparação entre correlações:`,
+      ...comparisonSteps(re, relRoughness),
+      ...footer
+    ]
+  };
+}
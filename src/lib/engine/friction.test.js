@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { colebrookWhite, frictionFactor } from './friction.js';
+
+describe('frictionFactor', () => {
+  it('usa f = 64/Re no escoamento laminar', () => {
+    const result = frictionFactor({ reynolds: 1000, relativeRoughness: 0.001 });
+    expect(result.value).toBeCloseTo(0.064, 12);
+    expect(result.correlation).toBe('laminar');
+  });
+
+  it('resolve Colebrook-White por padrão', () => {
+    const re = 1e5;
+    const relRoughness = 1e-4;
+    const f = frictionFactor({ reynolds: re, relativeRoughness: relRoughness }).value;
+    // A solução satisfaz a equação implícita.
+    const residual = 1 / Math.sqrt(f) + 2 * Math.log10(relRoughness / 3.7 + 2.51 / (re * Math.sqrt(f)));
+    expect(Math.abs(residual)).toBeLessThan(1e-8);
+    expect(f).toBeCloseTo(0.0185, 3);
+  });
+
+  it('aproxima Colebrook-White com as correlações explícitas', () => {
+    const reference = colebrookWhite(1e5, 1e-4).f;
+    for (const correlation of ['haaland', 'churchill', 'swamee-jain']) {
+      const f = frictionFactor({ reynolds: 1e5, relativeRoughness: 1e-4, correlation }).value;
+      expect(Math.abs(f - reference) / reference).toBeLessThan(0.03);
+    }
+  });
+
+  it('avisa sobre o escoamento em transição e a faixa de validade', () => {
+    const result = frictionFactor({ reynolds: 3000, relativeRoughness: 0.1, correlation: 'swamee-jain' });
+    expect(result.warnings).toHaveLength(3);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Geometria de seções transversais: área a partir das dimensões da seção.
+ * As dimensões são informadas em metros (ou { value, unit }) e a área retorna em m².
+ */
+import { quantity } from './units.js';
+import { fixed, inputStep, step } from './steps.js';
+
+// Seções disponíveis, com as dimensões pedidas, a fórmula da área e, se houver, os limites
+// entre as dimensões ('validate' retorna a mensagem quando as dimensões não formam a seção).
+export const sections = {
+  'circle': {
+    label: 'Círculo (diâmetro)',
+    dimensions: [{ key: 'diameter', label: 'Diâmetro (D)' }],
+    formula: 'A = π × D² / 4',
+    area: ({ diameter }) => Math.PI * diameter * diameter / 4
+  },
+  'annulus': {
+    label: 'Coroa circular (anel)',
+    dimensions: [
+      { key: 'outerDiameter', label: 'Diâmetro externo (Dₑ)' },
+      { key: 'innerDiameter', label: 'Diâmetro interno (Dᵢ)' }
+    ],
+    formula: 'A = π × (Dₑ² - Dᵢ²) / 4',
+    validate: ({ outerDiameter, innerDiameter }) => (innerDiameter >= outerDiameter ? 'O diâmetro interno (Dᵢ) deve ser menor que o externo (Dₑ).' : null),
+    area: ({ outerDiameter, innerDiameter }) => Math.PI * (outerDiameter * outerDiameter - innerDiameter * innerDiameter) / 4
+  },
+  'rectangle': {
+    label: 'Retângulo',
+    dimensions: [
+      { key: 'width', label: 'Largura (b)' },
+      { key: 'height', label: 'Altura (h)' }
+    ],
+    formula: 'A = b × h',
+    area: ({ width, height }) => width * height
+  },
+  'partial-circle': {
+    label: 'Tubo circular parcialmente cheio',
+    dimensions: [
+      { key: 'diameter', label: 'Diâmetro (D)' },
+      { key: 'depth', label: 'Lâmina d\'água (y)' }
+    ],
+    formula: 'A = D² × (θ - sen θ) / 8, θ = 2 arccos(1 - 2y/D)',
+    validate: ({ diameter, depth }) => (depth > diameter ? 'A lâmina d\'água (y) não pode ser maior que o diâmetro (D).' : null),
+    area: ({ diameter, depth }) => {
+      const theta = fillAngle(diameter, depth);
+      return diameter * diameter * (theta - Math.sin(theta)) / 8;
+    }
+  }
+};
+
+// Ângulo central molhado (rad) de um tubo circular com lâmina y (0 < y ≤ D).
+function fillAngle(diameter, depth) {
+  return 2 * Math.acos(1 - 2 * depth / diameter);
+}
+
+// Dimensões da seção em SI ({ key, label, q, si }), ou null se faltar alguma.
+function sectionValues(section, dimensions) {
+  const values = section.dimensions.map(dimension => ({ ...dimension, q: quantity(dimensions[dimension.key], 'length') }));
+  if (values.some(({ q }) => q.si === undefined || q.si === '' || isNaN(q.si))) return null;
+  return { values, si: Object.fromEntries(values.map(({ key, q }) => [key, q.si])) };
+}
+
+/**
+ * Mensagem de validação das dimensões de uma seção: dimensões não positivas ou fora dos
+ * limites da seção (ex.: lâmina maior que o diâmetro). Retorna null se as dimensões forem
+ * válidas ou se ainda faltar alguma.
+ */
+export function sectionError(sectionId, dimensions = {}) {
+  const section = sections[sectionId];
+  const parsed = section && sectionValues(section, dimensions);
+  if (!parsed) return null;
+  if (parsed.values.some(({ q }) => !(q.si > 0))) return 'As dimensões da seção devem ser maiores que zero.';
+  return section.validate?.(parsed.si) || null;
+}
+
+/**
+ * Área de uma seção. 'dimensions' mapeia cada dimensão da seção para um número (m)
+ * ou { value, unit }. Retorna { value, unit, steps } ou null se faltar alguma dimensão
+ * ou se as dimensões não formarem uma seção válida (ver sectionError).
+ */
+export function sectionArea(sectionId, dimensions = {}) {
+  const section = sections[sectionId];
+  const parsed = section && sectionValues(section, dimensions);
+  if (!parsed || sectionError(sectionId, dimensions)) return null;
+
+  const { values, si } = parsed;
+  const area = section.area(si);
+  if (!(area > 0)) return null;
+  const extra = sectionId === 'partial-circle'
+    ? [step.calc`θ = 2 arccos(1 - 2 × ${fixed(si.depth, 4)} / ${fixed(si.diameter, 4)}) = ${fixed(fillAngle(si.diameter, si.depth), 4)} rad`]
+    : [];
+
+  return {
+    value: area,
+    unit: 'm²',
+    steps: [
+      step.heading`Área da seção (${section.label}): ${section.formula}`,
+      ...values.map(({ label, q }) => inputStep(label, q, 4)),
+      ...extra,
+      step.result`A = ${fixed(area, 6)} m²`
+    ]
+  };
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { sectionArea, sectionError } from './geometry.js';
+
+describe('sectionArea', () => {
+  it('calcula a área do tubo circular parcialmente cheio', () => {
+    expect(sectionArea('partial-circle', { diameter: 1, depth: 0.5 }).value).toBeCloseTo(Math.PI / 8, 12);
+    expect(sectionArea('partial-circle', { diameter: 1, depth: 1 }).value).toBeCloseTo(Math.PI / 4, 12);
+  });
+
+  it('aceita dimensões com unidade', () => {
+    expect(sectionArea('rectangle', { width: { value: 200, unit: 'mm' }, height: 0.5 }).value).toBeCloseTo(0.1, 12);
+  });
+
+  it('retorna null com dimensão ausente ou fora dos limites', () => {
+    expect(sectionArea('annulus', { outerDiameter: 0.1 })).toBeNull();
+    expect(sectionArea('annulus', { outerDiameter: 0.1, innerDiameter: 0.2 })).toBeNull();
+    expect(sectionArea('partial-circle', { diameter: 1, depth: 1.5 })).toBeNull();
+  });
+});
+
+describe('sectionError', () => {
+  it('recusa lâmina maior que o diâmetro', () => {
+    expect(sectionError('partial-circle', { diameter: 1, depth: 1.5 })).toContain('diâmetro (D)');
+    expect(sectionError('partial-circle', { diameter: 1, depth: 0.5 })).toBeNull();
+  });
+
+  it('recusa dimensões nulas ou negativas e diâmetro interno maior que o externo', () => {
+    expect(sectionError('rectangle', { width: 0, height: 1 })).toContain('maiores que zero');
+    expect(sectionError('annulus', { outerDiameter: 0.1, innerDiameter: 0.1 })).toContain('Dᵢ');
+  });
+
+  it('não acusa erro enquanto faltam dimensões', () => {
+    expect(sectionError('partial-circle', { diameter: 1 })).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Aceleração da gravidade usada nas fórmulas: valor usual (9,81 m/s²), gravidade padrão
+ * ou calculada pela latitude e altitude do local (Fórmula Internacional da Gravidade de
+ * 1980 com a correção de ar livre).
+ */
+import { fixed, step } from './steps.js';
+import { G } from './constants.js';
+
+// Coeficientes da Fórmula Internacional da Gravidade (GRS 80) e gradiente de ar livre (1/s²).
+const EQUATOR_GRAVITY = 9.780327;
+const LATITUDE_TERM = 0.0053024;
+const DOUBLE_LATITUDE_TERM = 0.0000058;
+const FREE_AIR_GRADIENT = 3.086e-6;
+
+/**
+ * Aceleração da gravidade de uma entrada do motor (número em m/s²); vazia ou inválida, vale G.
+ */
+export function gravityOf(input) {
+  const g = Number(input);
+  return input !== null && input !== '' && g > 0 ? g : G;
+}
+
+// Valor de g na memória de cálculo, sem zeros à direita (ex.: 9.81, 9.80665).
+export const gravityText = (g) => Number(g.toPrecision(6));
+
+/**
+ * Passo com o valor de g usado no cálculo.
+ */
+export function gravityStep(g) {
+  return step.value`g = ${gravityText(g)} m/s²`;
+}
+
+/**
+ * Gravidade local pela latitude (graus) e altitude (m). Retorna { value (m/s²), steps }.
+ */
+export function gravityAtLocation(latitude, altitude = 0) {
+  const phi = (latitude * Math.PI) / 180;
+  const seaLevel = EQUATOR_GRAVITY * (1 + LATITUDE_TERM * Math.sin(phi) ** 2 - DOUBLE_LATITUDE_TERM * Math.sin(2 * phi) ** 2);
+  const value = seaLevel - FREE_AIR_GRADIENT * altitude;
+  return {
+    value,
+    steps: [
+      step.calc`g₀ = 9.780327 × (1 + 0.0053024 sin²φ - 0.0000058 sin²2φ) = ${fixed(seaLevel, 5)} m/s² (φ = ${latitude}°)`,
+      step.calc`g = g₀ - 3.086×10⁻⁶ × h = ${fixed(seaLevel, 5)} - 3.086×10⁻⁶ × ${altitude} = ${fixed(value, 5)} m/s²`
+    ]
+  };
+}
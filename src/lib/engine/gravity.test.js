@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { G } from './constants.js';
+import { gravityAtLocation, gravityOf } from './gravity.js';
+
+describe('gravityOf', () => {
+  it('usa o valor recebido ou o valor usual', () => {
+    expect(gravityOf(9.80665)).toBe(9.80665);
+    expect(gravityOf('9.7')).toBe(9.7);
+    [undefined, null, '', 0, -9.81, 'abc'].forEach(input => expect(gravityOf(input)).toBe(G));
+  });
+});
+
+describe('gravityAtLocation', () => {
+  it('segue a Fórmula Internacional da Gravidade ao nível do mar', () => {
+    expect(gravityAtLocation(0).value).toBeCloseTo(9.780327, 9);
+    expect(gravityAtLocation(90).value).toBeCloseTo(9.780327 * 1.0053024, 9);
+    expect(gravityAtLocation(-45).value).toBeCloseTo(gravityAtLocation(45).value, 12);
+    expect(gravityAtLocation(45).value).toBeCloseTo(9.806199, 5);
+  });
+
+  it('aplica a correção de ar livre pela altitude', () => {
+    expect(gravityAtLocation(45, 1000).value).toBeCloseTo(gravityAtLocation(45).value - 0.003086, 12);
+    expect(gravityAtLocation(45, 1000).steps).toHaveLength(2);
+  });
+});
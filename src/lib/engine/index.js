@@ -0,0 +1,27 @@
+/**
+ * Motor de cálculo da Calculadora de Mecânica dos Fluidos.
+ * Reúne as funções puras de cada calculadora, independentes da interface React.
+ *
+ * Cada função recebe um objeto com as entradas, em SI (números) ou com unidade
+ * explícita ({ value, unit }), e retorna { value, unit, steps }, onde 'steps'
+ * é a memória de cálculo estruturada (ver steps.js).
+ */
+export * from './basic.js';
+export * from './pipeFlow.js';
+export * from './friction.js';
+export * from './energy.js';
+export * from './atmosphere.js';
+export * from './gravity.js';
+export * from './conversion.js';
+export * from './fluids.js';
+export * from './pipes.js';
+export * from './fittings.js';
+export * from './geometry.js';
+export * from './pumps.js';
+export * from './solve.js';
+export * from './units.js';
+export * from './dimensions.js';
+export * from './unitExpression.js';
+export * from './steps.js';
+export * from './constants.js';
+
@@ -0,0 +1,128 @@
+/**
+ * Escoamento em tubulações: número de Reynolds, rugosidade relativa e perda de carga.
+ * As correlações de fator de atrito ficam em friction.js e os acessórios em fittings.js.
+ */
+import { quantity, scalar } from './units.js';
+import { fixed, inputStep, step } from './steps.js';
+import { fittingsSteps, sumFittings } from './fittings.js';
+import { gravityOf, gravityStep } from './gravity.js';
+
+// Limites usuais de transição entre os regimes de escoamento em tubos.
+export const LAMINAR_LIMIT = 2300;
+export const TURBULENT_LIMIT = 4000;
+
+/**
+ * Classifica o regime de escoamento a partir do número de Reynolds.
+ */
+export function flowRegime(re) {
+  if (re < LAMINAR_LIMIT) {
+    return { id: 'laminar', label: 'Laminar (Re < 2300)' };
+  }
+  if (re < TURBULENT_LIMIT) {
+    return { id: 'transition', label: 'Transição (2300 < Re < 4000)' };
+  }
+  return { id: 'turbulent', label: 'Turbulento (Re > 4000)' };
+}
+
+// Número de Reynolds: Re = (ρ × v × D) / μ
+export function reynolds({ density, velocity, diameter, viscosity }) {
+  const rho = quantity(density, 'density');
+  const v = quantity(velocity, 'velocity');
+  const D = quantity(diameter, 'length');
+  const mu = quantity(viscosity, 'viscosity');
+  const re = (rho.si * v.si * D.si) / mu.si;
+  const regime = flowRegime(re);
+
+  return {
+    value: re,
+    unit: '',
+    regime,
+    steps: [
+      step.formula`Número de Reynolds (Re) = (ρ × v × D) / μ`,
+      step.blank(),
+      step.heading`Valores em SI:`,
+      inputStep('ρ', rho, 2),
+      inputStep('v', v, 4),
+      inputStep('D', D, 4),
+      inputStep('μ', mu, 6),
+      step.blank(),
+      step.calc`Re = (${fixed(rho.si, 2)} × ${fixed(v.si, 4)} × ${fixed(D.si, 4)}) / ${fixed(mu.si, 6)}`,
+      step.result`Re = ${fixed(re, 0)}`,
+      step.blank(),
+      step.note`Regime de Escoamento: ${regime.label}`
+    ]
+  };
+}
+
+// Rugosidade relativa: ε/D
+export function relativeRoughness({ roughness, diameter }) {
+  const e = quantity(roughness, 'length');
+  const D = quantity(diameter, 'length');
+  const ratio = e.si / D.si;
+
+  return {
+    value: ratio,
+    unit: '',
+    steps: [
+      step.formula`Rugosidade Relativa (ε/D) = Rugosidade Absoluta (ε) / Diâmetro (D)`,
+      step.blank(),
+      step.heading`Valores em SI:`,
+      inputStep('ε', e, 6),
+      inputStep('D', D, 4),
+      step.blank(),
+      step.result`ε/D = ${fixed(e.si, 6)} / ${fixed(D.si, 4)} = ${fixed(ratio, 6)}`,
+      step.blank(),
+      step.note`Este valor é adimensional e representa a rugosidade relativa da tubulação.`
+    ]
+  };
+}
+
+// Perda de carga total: distribuída (Darcy-Weisbach) + localizada (Σk).
+// Σk soma os acessórios da lista 'fittings' e o coeficiente avulso 'kSum' (ambos opcionais).
+export function headLoss({ frictionFactor: frictionInput, length, diameter, velocity, kSum: kSumInput, fittings, gravity }) {
+  const g = gravityOf(gravity);
+  const f = scalar(frictionInput);
+  const extraK = Number(scalar(kSumInput)) || 0;
+  const L = quantity(length, 'length');
+  const D = quantity(diameter, 'length');
+  const v = quantity(velocity, 'velocity');
+  const velocityHead = Math.pow(v.si, 2) / (2 * g);
+  const breakdown = sumFittings(fittings);
+  if (breakdown.error) return { value: null, unit: 'm', message: breakdown.error, steps: [step.note`${breakdown.error}`] };
+  const kSum = breakdown.kSum + extraK;
+
+  const distributedLoss = f * (L.si / D.si) * velocityHead;
+  const localizedLoss = kSum * velocityHead;
+  const total = distributedLoss + localizedLoss;
+
+  return {
+    value: total,
+    unit: 'm',
+    distributedLoss,
+    localizedLoss,
+    fittings: breakdown.items,
+    kSum,
+    steps: [
+      step.formula`Perda de Carga Total (hₜ) = Perda Distribuída (hₗ) + Perda Localizada (hₘ)`,
+      step.blank(),
+      step.heading`Perda Distribuída (Darcy-Weisbach):`,
+      step.formula`hₗ = f × (L/D) × (v²/2g)`,
+      step.blank(),
+      step.heading`Perda Localizada:`,
+      step.formula`hₘ = Σk × (v²/2g)`,
+      step.blank(),
+      step.heading`Valores em SI:`,
+      step.value`Fator de Atrito (f) = ${fixed(f, 6)}`,
+      inputStep('Comprimento (L)', L, 2),
+      inputStep('Diâmetro (D)', D, 4),
+      inputStep('Velocidade (v)', v, 4),
+      step.value`Soma dos Coeficientes (Σk) = ${fixed(kSum, 2)}`,
+      gravityStep(g),
+      step.blank(),
+      ...(breakdown.items.length ? [...fittingsSteps(breakdown, extraK, velocityHead), step.blank()] : []),
+      step.result`Perda Distribuída = ${fixed(distributedLoss, 4)} m`,
+      step.result`Perda Localizada = ${fixed(localizedLoss, 4)} m`,
+      step.result`Perda Total = ${fixed(total, 4)} m`
+    ]
+  };
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { headLoss, reynolds, relativeRoughness } from './pipeFlow.js';
+
+describe('reynolds', () => {
+  it('calcula Re = ρvD/μ e o regime', () => {
+    const result = reynolds({ density: 1000, velocity: 1, diameter: 0.1, viscosity: 0.001 });
+    expect(result.value).toBeCloseTo(1e5, 6);
+    expect(result.regime.id).toBe('turbulent');
+  });
+
+  it('classifica o escoamento laminar', () => {
+    const result = reynolds({ density: 1000, velocity: 0.01, diameter: 0.1, viscosity: 0.001 });
+    expect(result.value).toBeCloseTo(1000, 9);
+    expect(result.regime.id).toBe('laminar');
+  });
+});
+
+describe('relativeRoughness', () => {
+  it('divide a rugosidade pelo diâmetro, em SI', () => {
+    expect(relativeRoughness({ roughness: { value: 0.045, unit: 'mm' }, diameter: 0.1 }).value).toBeCloseTo(0.00045, 12);
+  });
+});
+
+describe('headLoss', () => {
+  it('soma as perdas distribuída e localizada', () => {
+    const result = headLoss({ frictionFactor: 0.02, length: 100, diameter: 0.1, velocity: 2, kSum: 1.5 });
+    const velocityHead = 4 / (2 * 9.81);
+    expect(result.distributedLoss).toBeCloseTo(0.02 * 1000 * velocityHead, 9);
+    expect(result.localizedLoss).toBeCloseTo(1.5 * velocityHead, 9);
+    expect(result.value).toBeCloseTo(21.5 * velocityHead, 9);
+  });
+
+  it('inclui os coeficientes dos acessórios', () => {
+    const result = headLoss({
+      frictionFactor: 0.02,
+      length: 100,
+      diameter: 0.1,
+      velocity: 2,
+      fittings: [{ id: 'elbow-90', quantity: 2 }]
+    });
+    expect(result.kSum).toBeCloseTo(1.8, 12);
+    expect(result.localizedLoss).toBeCloseTo(result.kSum * 4 / (2 * 9.81), 9);
+  });
+
+  it('retorna mensagem para razão d/D inválida', () => {
+    const result = headLoss({ frictionFactor: 0.02, length: 100, diameter: 0.1, velocity: 2, fittings: [{ id: 'sudden-expansion', quantity: 1, ratio: 2 }] });
+    expect(result.value).toBeNull();
+    expect(result.message).toContain('Expansão brusca');
+  });
+});
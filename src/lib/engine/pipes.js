@@ -0,0 +1,95 @@
+/**
+ * Catálogo de tubulações: rugosidade absoluta típica por material e tabelas
+ * de diâmetros nominais comerciais com o respectivo diâmetro interno.
+ * Todas as dimensões estão em milímetros.
+ */
+
+// Rugosidade absoluta típica (ε) e faixa usual, em mm (Moody, 1944; White, Mecânica dos Fluidos).
+export const pipeMaterials = {
+  'commercial-steel': { label: 'Aço comercial', roughness: 0.045, range: [0.03, 0.09] },
+  'stainless-steel': { label: 'Aço inoxidável', roughness: 0.002, range: [0.0015, 0.015] },
+  'galvanized-iron': { label: 'Ferro galvanizado', roughness: 0.15, range: [0.06, 0.24] },
+  'cast-iron': { label: 'Ferro fundido', roughness: 0.26, range: [0.2, 0.6] },
+  'asphalted-cast-iron': { label: 'Ferro fundido asfaltado', roughness: 0.12, range: [0.1, 0.15] },
+  'riveted-steel': { label: 'Aço rebitado', roughness: 3.0, range: [0.9, 9.0] },
+  'concrete': { label: 'Concreto', roughness: 1.0, range: [0.3, 3.0] },
+  'wood-stave': { label: 'Madeira (aduelas)', roughness: 0.5, range: [0.18, 0.9] },
+  'pvc': { label: 'PVC / plástico', roughness: 0.0015, range: [0.0015, 0.007] },
+  'copper': { label: 'Cobre / latão (trefilado)', roughness: 0.0015, range: [0.0015, 0.0015] },
+  'glass': { label: 'Vidro', roughness: 0, range: [0, 0] }
+};
+
+// Diâmetro externo (DE) e espessura de parede ANSI/ASME B36.10, em mm.
+const ANSI_OUTER_DIAMETERS = [
+  ['1/2"', 21.34], ['3/4"', 26.67], ['1"', 33.40], ['1 1/4"', 42.16], ['1 1/2"', 48.26],
+  ['2"', 60.33], ['2 1/2"', 73.03], ['3"', 88.90], ['4"', 114.30], ['5"', 141.30],
+  ['6"', 168.28], ['8"', 219.08], ['10"', 273.05], ['12"', 323.85]
+];
+const SCHEDULE_40_WALLS = [2.77, 2.87, 3.38, 3.56, 3.68, 3.91, 5.16, 5.49, 6.02, 6.55, 7.11, 8.18, 9.27, 10.31];
+const SCHEDULE_80_WALLS = [3.73, 3.91, 4.55, 4.85, 5.08, 5.54, 7.01, 7.62, 8.56, 9.53, 10.97, 12.70, 15.09, 17.48];
+
+// Diâmetros externos de tubos de PVC-U (ISO 1452), em mm.
+const PVC_OUTER_DIAMETERS = [20, 25, 32, 40, 50, 63, 75, 90, 110, 125, 140, 160, 200, 250, 315];
+const PVC_MIN_WALL = 1.5;
+
+// Espessura de parede de PVC pela razão DE/e (SDR) da classe de pressão.
+const pvcSizes = (sdr) => PVC_OUTER_DIAMETERS.map(outer => ({
+  nominal: `DE ${outer}`,
+  outerDiameter: outer,
+  wall: Math.max(Math.round((outer / sdr) * 10) / 10, PVC_MIN_WALL)
+}));
+
+// Combina diâmetros externos e espessuras de parede de uma série ANSI.
+const ansiSizes = (walls) => ANSI_OUTER_DIAMETERS.map(([nominal, outerDiameter], index) => ({
+  nominal,
+  outerDiameter,
+  wall: walls[index]
+}));
+
+// Tabelas de diâmetros nominais disponíveis.
+export const pipeSizeTables = {
+  'sch40': {
+    label: 'Aço ANSI Schedule 40',
+    source: 'ASME B36.10M',
+    sizes: ansiSizes(SCHEDULE_40_WALLS)
+  },
+  'sch80': {
+    label: 'Aço ANSI Schedule 80',
+    source: 'ASME B36.10M',
+    sizes: ansiSizes(SCHEDULE_80_WALLS)
+  },
+  'pvc-pn6': {
+    label: 'PVC PN 6 (SDR 33)',
+    source: 'ISO 1452, espessura aproximada DE/SDR',
+    sizes: pvcSizes(33)
+  },
+  'pvc-pn10': {
+    label: 'PVC PN 10 (SDR 21)',
+    source: 'ISO 1452, espessura aproximada DE/SDR',
+    sizes: pvcSizes(21)
+  },
+  'pvc-pn16': {
+    label: 'PVC PN 16 (SDR 13,6)',
+    source: 'ISO 1452, espessura aproximada DE/SDR',
+    sizes: pvcSizes(13.6)
+  }
+};
+
+/**
+ * Lista os tamanhos de uma tabela com o diâmetro interno calculado (DI = DE - 2e), em mm.
+ */
+export function pipeSizes(tableId) {
+  const table = pipeSizeTables[tableId];
+  if (!table) return [];
+  return table.sizes.map(size => ({
+    ...size,
+    innerDiameter: Math.round((size.outerDiameter - 2 * size.wall) * 100) / 100
+  }));
+}
+
+/**
+ * Busca um tamanho nominal de uma tabela, ou null se não existir.
+ */
+export function pipeSize(tableId, nominal) {
+  return pipeSizes(tableId).find(size => size.nominal === nominal) || null;
+}
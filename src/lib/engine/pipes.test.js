@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { pipeMaterials, pipeSize, pipeSizeTables, pipeSizes } from './pipes.js';
+
+describe('pipeMaterials', () => {
+  it('dá a rugosidade típica de cada material em mm', () => {
+    expect(pipeMaterials['commercial-steel'].roughness).toBe(0.045);
+    expect(pipeMaterials['cast-iron'].roughness).toBe(0.26);
+    expect(pipeMaterials['pvc'].roughness).toBe(0.0015);
+    expect(pipeMaterials['glass'].roughness).toBe(0);
+  });
+
+  it('mantém a rugosidade típica dentro da faixa usual', () => {
+    Object.values(pipeMaterials).forEach(({ roughness, range: [min, max] }) => {
+      expect(roughness).toBeGreaterThanOrEqual(min);
+      expect(roughness).toBeLessThanOrEqual(max);
+    });
+  });
+});
+
+describe('pipeSize', () => {
+  it('calcula o diâmetro interno dos tubos de aço ANSI', () => {
+    expect(pipeSize('sch40', '4"')).toMatchObject({ outerDiameter: 114.3, wall: 6.02, innerDiameter: 102.26 });
+    expect(pipeSize('sch40', '1"').innerDiameter).toBe(26.64);
+    expect(pipeSize('sch80', '2"').innerDiameter).toBe(49.25);
+  });
+
+  it('calcula a parede dos tubos de PVC pelo SDR, com a espessura mínima', () => {
+    expect(pipeSize('pvc-pn10', 'DE 110')).toMatchObject({ wall: 5.2, innerDiameter: 99.6 });
+    expect(pipeSize('pvc-pn6', 'DE 20')).toMatchObject({ wall: 1.5, innerDiameter: 17 });
+  });
+
+  it('retorna null ou lista vazia para tamanhos e tabelas inexistentes', () => {
+    expect(pipeSize('sch40', '7"')).toBeNull();
+    expect(pipeSizes('sch160')).toEqual([]);
+  });
+
+  it('lista os tamanhos em ordem crescente de diâmetro', () => {
+    Object.keys(pipeSizeTables).forEach(tableId => {
+      const inner = pipeSizes(tableId).map(size => size.innerDiameter);
+      inner.slice(1).forEach((value, i) => expect(value).toBeGreaterThan(inner[i]));
+    });
+  });
+});
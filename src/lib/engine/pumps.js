@@ -0,0 +1,326 @@
+/**
+ * Ponto de operação de bombas: interseção da curva da bomba com a curva do sistema.
+ * A curva da bomba é dada por pontos (ajuste quadrático por mínimos quadrados) ou
+ * pela forma H = a - bQ²; a curva do sistema soma a altura estática às perdas
+ * distribuídas (Colebrook-White) e localizadas (acessórios) em função da vazão.
+ */
+import { fromSI, quantity, scalar, toSI } from './units.js';
+import { fixed, inputStep, step } from './steps.js';
+import { gravityOf, gravityStep, gravityText } from './gravity.js';
+import { colebrookWhite, laminarFriction } from './friction.js';
+import { LAMINAR_LIMIT } from './pipeFlow.js';
+import { sumFittings } from './fittings.js';
+
+// Parâmetros da busca da interseção por bisseção.
+const BISECTION_TOLERANCE = 1e-12;
+const BISECTION_MAX_ITERATIONS = 200;
+const CURVE_SAMPLES = 60;
+
+// Resolve um sistema linear pequeno por eliminação de Gauss com pivoteamento parcial.
+function solveLinear(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-300) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Ajuste por mínimos quadrados de y = c₀ + c₁x + c₂x².
+ * Com apenas dois pontos ajusta a forma y = c₀ + c₂x² (c₁ = 0).
+ * Retorna [c₀, c₁, c₂] ou null se os pontos não definem a curva.
+ */
+export function fitQuadratic(points) {
+  if (points.length < 2) return null;
+  if (points.length === 2) {
+    const [[x1, y1], [x2, y2]] = points;
+    if (x1 * x1 === x2 * x2) return null;
+    const c2 = (y2 - y1) / (x2 * x2 - x1 * x1);
+    return [y1 - c2 * x1 * x1, 0, c2];
+  }
+  const sums = [0, 0, 0, 0, 0];
+  const rhs = [0, 0, 0];
+  points.forEach(([x, y]) => {
+    for (let p = 0; p <= 4; p++) sums[p] += Math.pow(x, p);
+    for (let p = 0; p <= 2; p++) rhs[p] += y * Math.pow(x, p);
+  });
+  return solveLinear([
+    [sums[0], sums[1], sums[2]],
+    [sums[1], sums[2], sums[3]],
+    [sums[2], sums[3], sums[4]]
+  ], rhs);
+}
+
+// Coeficiente com sinal explícito para a memória de cálculo (ex.: "- 6.4800e+4").
+const signed = (value) => `${value < 0 ? '-' : '+'} ${Math.abs(value).toExponential(4)}`;
+
+// Avalia o polinômio c₀ + c₁x + c₂x².
+const evaluate = ([c0, c1, c2], x) => c0 + c1 * x + c2 * x * x;
+
+/**
+ * Normaliza a curva da bomba informada na interface para o SI.
+ * curve = { mode: 'points' | 'quadratic', flowUnit, points: [{ flow, head, efficiency }], a, b }
+ * Retorna { coefficients, efficiency, points, description } com Q em m³/s e H em m,
+ * ou null se a curva estiver incompleta.
+ */
+export function pumpCurveFromInput(curve) {
+  if (!curve) return null;
+  const flowUnit = curve.flowUnit || 'm³/s';
+  const flowFactor = toSI(1, flowUnit, 'flow');
+
+  if (curve.mode === 'quadratic') {
+    const a = Number(curve.a);
+    const b = Number(curve.b);
+    if (!(a > 0) || !(b > 0)) return null;
+    // H = a - b·Q², com Q na unidade da curva: em SI, b passa a b / fator².
+    return {
+      coefficients: [a, 0, -b / (flowFactor * flowFactor)],
+      efficiency: null,
+      points: [],
+      flowUnit,
+      description: `H = ${a} - ${b} × Q², Q em ${flowUnit}`
+    };
+  }
+
+  const points = (Array.isArray(curve.points) ? curve.points : [])
+    .filter(point => point && point.flow !== '' && point.head !== '' && !isNaN(point.flow) && !isNaN(point.head))
+    .map(point => ({
+      flow: Number(point.flow) * flowFactor,
+      head: Number(point.head),
+      efficiency: point.efficiency === '' || point.efficiency === undefined || isNaN(point.efficiency) ? null : Number(point.efficiency)
+    }));
+  const coefficients = fitQuadratic(points.map(point => [point.flow, point.head]));
+  if (!coefficients) return null;
+
+  // A curva de rendimento só é ajustada se houver η em pelo menos três pontos.
+  const efficiencyPoints = points.filter(point => point.efficiency !== null).map(point => [point.flow, point.efficiency]);
+  const efficiency = efficiencyPoints.length >= 3 ? fitQuadratic(efficiencyPoints) : null;
+
+  return { coefficients, efficiency, points, flowUnit, description: `${points.length} pontos, Q em ${flowUnit}` };
+}
+
+/**
+ * Curva do sistema: H(Q) = Hₑ + (f·L/D + Σk)·v²/2g, com v = Q/A e f por
+ * Colebrook-White (ou 64/Re no regime laminar) recalculado para cada vazão.
+ */
+export function systemHead(flow, { staticHead, length, diameter, roughness, density, viscosity, kSum, gravity = gravityOf() }) {
+  if (flow <= 0) return { head: staticHead, velocity: 0, reynolds: 0, f: 0 };
+  const area = Math.PI * diameter * diameter / 4;
+  const velocity = flow / area;
+  const reynolds = density * velocity * diameter / viscosity;
+  const f = reynolds < LAMINAR_LIMIT ? laminarFriction(reynolds) : colebrookWhite(reynolds, roughness / diameter).f;
+  const velocityHead = velocity * velocity / (2 * gravity);
+  return { head: staticHead + (f * length / diameter + kSum) * velocityHead, velocity, reynolds, f };
+}
+
+// Encontra a raiz de fn em [low, high] por bisseção (fn(low) > 0 > fn(high)).
+function bisect(fn, low, high) {
+  let iterations = 0;
+  while (iterations < BISECTION_MAX_ITERATIONS && high - low > BISECTION_TOLERANCE * Math.max(high, 1e-9)) {
+    const mid = (low + high) / 2;
+    if (fn(mid) > 0) low = mid;
+    else high = mid;
+    iterations++;
+  }
+  return { root: (low + high) / 2, iterations };
+}
+
+// Vazão de referência para a escala da busca: maior ponto informado ou vazão de shutoff da forma quadrática.
+function flowScale(pump) {
+  const maxPoint = Math.max(0, ...pump.points.map(point => point.flow));
+  if (maxPoint > 0) return maxPoint;
+  const [c0, , c2] = pump.coefficients;
+  return c2 < 0 ? Math.sqrt(c0 / -c2) : 1;
+}
+
+// Faixa de vazões [mínima, máxima] dos pontos, na unidade da curva.
+function flowRange(points, flowUnit) {
+  const flows = points.map(point => fromSI(point.flow, flowUnit, 'flow'));
+  return [Math.min(...flows), Math.max(...flows)];
+}
+
+// Arredonda para as mensagens de aviso.
+const rounded = (value) => Number(value.toPrecision(4));
+
+/**
+ * Avisos de extrapolação: o ajuste quadrático só é confiável entre as vazões dos pontos
+ * informados, tanto para a altura quanto para o rendimento ajustado.
+ */
+function extrapolationWarnings(pump, flow, fittedEfficiency) {
+  if (!pump.points.length) return [];
+  const warnings = [];
+  const outside = ([min, max], value) => value < min * (1 - 1e-9) || value > max * (1 + 1e-9);
+  const q = fromSI(flow, pump.flowUnit, 'flow');
+  const headRange = flowRange(pump.points, pump.flowUnit);
+  if (outside(headRange, q)) {
+    warnings.push(
+      `O ponto de operação (Q = ${rounded(q)} ${pump.flowUnit}) está fora da faixa dos pontos da curva da bomba (${rounded(headRange[0])} a ${rounded(headRange[1])} ${pump.flowUnit}): a altura foi extrapolada do ajuste.`
+    );
+  }
+  if (fittedEfficiency) {
+    const efficiencyRange = flowRange(pump.points.filter(point => point.efficiency !== null), pump.flowUnit);
+    if (outside(efficiencyRange, q)) {
+      warnings.push(
+        `O rendimento no ponto de operação foi extrapolado da curva ajustada (pontos com η entre ${rounded(efficiencyRange[0])} e ${rounded(efficiencyRange[1])} ${pump.flowUnit}).`
+      );
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Ponto de operação bomba-sistema. Retorna Q (m³/s) como valor principal e, como
+ * extras, H, rendimento, potências e as curvas amostradas para o gráfico. Um ponto
+ * fora da faixa de vazões da curva informada gera avisos em 'warnings'.
+ */
+export function pumpOperatingPoint({ pumpCurve, efficiency: efficiencyInput, staticHead, length, diameter, roughness, density, viscosity, kSum: kSumInput, fittings, gravity }) {
+  const g = gravityOf(gravity);
+  const pump = pumpCurveFromInput(pumpCurve);
+  // Altura estática e rugosidade vazias valem zero (mesmo nível / tubo liso).
+  const Hs = quantity(staticHead || 0, 'length');
+  const L = quantity(length, 'length');
+  const D = quantity(diameter, 'length');
+  const e = quantity(roughness || 0, 'length');
+  const rho = quantity(density, 'density');
+  const mu = quantity(viscosity, 'viscosity');
+  const extraK = Number(scalar(kSumInput)) || 0;
+  const breakdown = sumFittings(fittings);
+  if (breakdown.error) return { value: null, unit: 'm³/s', message: breakdown.error, steps: [step.note`${breakdown.error}`] };
+  const kSum = breakdown.kSum + extraK;
+  const fixedEfficiency = Number(scalar(efficiencyInput)) || null;
+
+  const system = { staticHead: Hs.si, length: L.si, diameter: D.si, roughness: e.si, density: rho.si, viscosity: mu.si, kSum, gravity: g };
+  const inputSteps = [
+    step.heading`Sistema (valores em SI):`,
+    inputStep('Altura Estática (Hₑ)', Hs, 2),
+    inputStep('Comprimento (L)', L, 2),
+    inputStep('Diâmetro (D)', D, 4),
+    inputStep('Rugosidade (ε)', e, 6),
+    inputStep('Densidade (ρ)', rho, 2),
+    inputStep('Viscosidade (μ)', mu, 6),
+    step.value`Soma dos Coeficientes (Σk) = ${fixed(kSum, 2)}`,
+    gravityStep(g),
+    step.blank()
+  ];
+
+  if (!pump) {
+    return {
+      value: null,
+      unit: 'm³/s',
+      message: 'Curva da bomba incompleta: informe ao menos dois pontos (Q, H) ou os coeficientes a e b.',
+      steps: [step.note`Curva da bomba incompleta: informe ao menos dois pontos (Q, H) ou os coeficientes a e b.`]
+    };
+  }
+
+  const pumpHead = (flow) => evaluate(pump.coefficients, flow);
+  const difference = (flow) => pumpHead(flow) - systemHead(flow, system).head;
+  const [c0, c1, c2] = pump.coefficients;
+  const curveSteps = [
+    step.heading`Curva da bomba (${pump.description}):`,
+    step.value`H(Q) = ${fixed(c0, 4)} ${signed(c1)} × Q ${signed(c2)} × Q²  (Q em m³/s, H em m)`,
+    step.heading`Curva do sistema:`,
+    step.value`H(Q) = Hₑ + (f·L/D + Σk) × (Q/A)²/2g, com f por Colebrook-White (64/Re se Re < ${LAMINAR_LIMIT})`,
+    step.blank()
+  ];
+  const localSteps = breakdown.items.length
+    ? [
+      step.heading`Acessórios e válvulas:`,
+      ...breakdown.items.map(item => step.value`${item.quantity} × ${item.label}: K = ${fixed(item.k, 2)} → ${fixed(item.kTotal, 2)}`),
+      ...(extraK ? [step.value`Outros coeficientes informados: K = ${fixed(extraK, 2)}`] : []),
+      step.blank()
+    ]
+    : [];
+
+  // Procura um limite superior em que a curva do sistema já supera a da bomba.
+  const scale = flowScale(pump);
+  let high = scale;
+  let expansions = 0;
+  while (difference(high) > 0 && expansions < 60) {
+    high *= 1.5;
+    expansions++;
+  }
+  const samples = (maxFlow) => Array.from({ length: CURVE_SAMPLES + 1 }, (_, i) => (maxFlow * i) / CURVE_SAMPLES);
+  const efficiencyAt = (flow) => (pump.efficiency ? evaluate(pump.efficiency, flow) : fixedEfficiency);
+  const curvesFor = (maxFlow) => samples(maxFlow).map(flow => ({
+    flow,
+    pumpHead: pumpHead(flow),
+    systemHead: systemHead(flow, system).head,
+    efficiency: pump.efficiency ? evaluate(pump.efficiency, flow) : null
+  }));
+
+  if (difference(0) <= 0 || difference(high) > 0) {
+    const message = difference(0) <= 0
+      ? 'A altura de shutoff da bomba não supera a altura estática do sistema: não há ponto de operação.'
+      : 'As curvas da bomba e do sistema não se cruzam na faixa analisada.';
+    return {
+      value: null,
+      unit: 'm³/s',
+      message,
+      pump,
+      curves: curvesFor(Math.max(scale, high) * 1.1),
+      steps: [...inputSteps, ...localSteps, ...curveSteps, step.note`${message}`]
+    };
+  }
+
+  const { root: flow, iterations } = bisect(difference, 0, high);
+  const operating = systemHead(flow, system);
+  const head = pumpHead(flow);
+  const hydraulicPower = rho.si * g * flow * head;
+  const efficiency = efficiencyAt(flow);
+  const power = efficiency ? hydraulicPower / (efficiency / 100) : null;
+  const flowInCurveUnit = fromSI(flow, pump.flowUnit, 'flow');
+  const maxFlow = Math.max(flow * 1.6, ...pump.points.map(point => point.flow * 1.1));
+  const warnings = extrapolationWarnings(pump, flow, efficiency !== null && Boolean(pump.efficiency));
+
+  return {
+    value: flow,
+    unit: 'm³/s',
+    head,
+    efficiency,
+    hydraulicPower,
+    power,
+    pump,
+    warnings,
+    curves: curvesFor(maxFlow),
+    steps: [
+      step.formula`Ponto de operação: H_bomba(Q) = H_sistema(Q)`,
+      step.blank(),
+      ...inputSteps,
+      ...localSteps,
+      ...curveSteps,
+      step.heading`Interseção (bisseção em [0; ${fixed(high, 6)}] m³/s, ${iterations} iterações):`,
+      step.value`v = ${fixed(operating.velocity, 4)} m/s, Re = ${fixed(operating.reynolds, 0)}, f = ${fixed(operating.f, 6)}`,
+      step.calc`H_bomba = ${fixed(head, 4)} m, H_sistema = ${fixed(operating.head, 4)} m`,
+      step.blank(),
+      step.result`Q = ${fixed(flow, 6)} m³/s = ${fixed(flowInCurveUnit, 3)} ${pump.flowUnit}`,
+      step.result`H = ${fixed(head, 4)} m`,
+      ...warnings.map(warning => step.note`Atenção: ${warning}`),
+      ...(efficiency
+        ? [
+          step.result`η = ${fixed(efficiency, 1)}%${pump.efficiency ? ' (curva de rendimento ajustada)' : ' (informado)'}`,
+          step.calc`P = ρ × g × Q × H / η = (${fixed(rho.si, 2)} × ${gravityText(g)} × ${fixed(flow, 6)} × ${fixed(head, 4)}) / ${fixed(efficiency / 100, 3)}`,
+          step.result`P = ${fixed(power, 2)} W = ${fixed(power / 1000, 4)} kW`
+        ]
+        : [
+          step.result`Potência hidráulica = ρ × g × Q × H = ${fixed(hydraulicPower, 2)} W`,
+          step.note`Informe o rendimento (ou η nos pontos da curva) para obter a potência consumida.`
+        ])
+    ]
+  };
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { fitQuadratic, pumpCurveFromInput, pumpOperatingPoint, systemHead } from './pumps.js';
+
+const system = { staticHead: 10, length: 200, diameter: 0.1, roughness: 0.000045, density: 1000, viscosity: 0.001 };
+const curve = (points, extra = {}) => ({ mode: 'points', flowUnit: 'm³/h', points, ...extra });
+const headPoints = [{ flow: 0, head: 40 }, { flow: 50, head: 37 }, { flow: 100, head: 28 }];
+
+describe('fitQuadratic', () => {
+  it('reproduz uma parábola exata', () => {
+    const [c0, c1, c2] = fitQuadratic([[0, 40], [1, 38], [2, 32], [3, 22]]);
+    expect(c0).toBeCloseTo(40, 9);
+    expect(c1).toBeCloseTo(0, 9);
+    expect(c2).toBeCloseTo(-2, 9);
+  });
+
+  it('ajusta H = c₀ + c₂Q² com dois pontos', () => {
+    expect(fitQuadratic([[0, 30], [2, 22]])).toEqual([30, 0, -2]);
+  });
+
+  it('recusa pontos que não definem a curva', () => {
+    expect(fitQuadratic([[1, 10]])).toBeNull();
+    expect(fitQuadratic([[1, 10], [-1, 12]])).toBeNull();
+  });
+});
+
+describe('pumpCurveFromInput', () => {
+  it('converte a forma H = a - bQ² para Q em m³/s', () => {
+    const pump = pumpCurveFromInput({ mode: 'quadratic', flowUnit: 'm³/h', a: 40, b: 0.001 });
+    expect(pump.coefficients[0]).toBe(40);
+    expect(pump.coefficients[2]).toBeCloseTo(-0.001 * 3600 * 3600, 6);
+  });
+
+  it('converte os pontos para o SI e só ajusta o rendimento com três pontos', () => {
+    const pump = pumpCurveFromInput(curve([...headPoints.slice(0, 2), { flow: 100, head: 28, efficiency: 70 }]));
+    expect(pump.points[2].flow).toBeCloseTo(100 / 3600, 12);
+    expect(pump.efficiency).toBeNull();
+  });
+});
+
+describe('pumpOperatingPoint', () => {
+  it('encontra a vazão em que as alturas da bomba e do sistema se igualam', () => {
+    const result = pumpOperatingPoint({ ...system, pumpCurve: curve(headPoints), efficiency: 70 });
+    expect(result.value).toBeGreaterThan(0);
+    expect(result.head).toBeCloseTo(systemHead(result.value, { ...system, kSum: 0 }).head, 6);
+    expect(result.power).toBeCloseTo(result.hydraulicPower / 0.7, 6);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('não há ponto de operação se o shutoff não supera a altura estática', () => {
+    const result = pumpOperatingPoint({ ...system, staticHead: 45, pumpCurve: curve(headPoints) });
+    expect(result.value).toBeNull();
+    expect(result.message).toContain('shutoff');
+    expect(result.curves.length).toBeGreaterThan(0);
+  });
+
+  it('avisa quando o ponto de operação extrapola a curva da bomba e o rendimento', () => {
+    const points = headPoints.map((point, i) => ({ ...point, efficiency: [0, 60, 75][i] }));
+    const result = pumpOperatingPoint({ ...system, length: 20, diameter: 0.2, pumpCurve: curve(points) });
+    expect(result.value * 3600).toBeGreaterThan(100);
+    expect(result.warnings).toHaveLength(2);
+    expect(result.warnings[0]).toContain('fora da faixa dos pontos da curva da bomba (0 a 100 m³/h)');
+    expect(result.warnings[1]).toContain('rendimento');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Inversão numérica das funções do motor de cálculo: dado o valor desejado do
+ * resultado, encontra o valor de uma das entradas que o produz.
+ * As raízes são isoladas por varredura logarítmica e refinadas por bisseção; trocas de
+ * sinal que não convergem para resíduo nulo (saltos da função, como a transição laminar
+ * ou uma entrada nula que troca de significado) são descartadas.
+ */
+
+// Parâmetros da busca.
+const SCAN_MIN_EXPONENT = -9;
+const SCAN_MAX_EXPONENT = 9;
+const SCAN_STEPS_PER_DECADE = 20;
+const SOLVE_TOLERANCE = 1e-12;
+const SOLVE_MAX_ITERATIONS = 200;
+// Resíduo máximo no fim da bisseção, relativo ao menor resíduo dos extremos do intervalo:
+// acima dele, a troca de sinal é um salto da função, e não uma raiz.
+const CONTINUITY_TOLERANCE = 1e-3;
+
+// Pontos da varredura: ±10ⁿ, do menor ao maior módulo. O zero fica de fora, pois
+// várias entradas nulas mudam o significado do cálculo (ex.: densidade vazia).
+function scanPoints(sign) {
+  const count = (SCAN_MAX_EXPONENT - SCAN_MIN_EXPONENT) * SCAN_STEPS_PER_DECADE;
+  return Array.from({ length: count + 1 }, (_, i) => sign * Math.pow(10, SCAN_MIN_EXPONENT + i / SCAN_STEPS_PER_DECADE));
+}
+
+// Todos os intervalos com troca de sinal, ignorando valores não finitos.
+function findBrackets(residual, points) {
+  const brackets = [];
+  let previous = null;
+  for (const x of points) {
+    const r = residual(x);
+    if (!isFinite(r)) continue;
+    if (r === 0) brackets.push({ low: x, high: x, rLow: r, rHigh: r });
+    else if (previous && previous.r !== 0 && Math.sign(r) !== Math.sign(previous.r)) {
+      brackets.push({ low: previous.x, high: x, rLow: previous.r, rHigh: r });
+    }
+    previous = { x, r };
+  }
+  return brackets;
+}
+
+// Refina um intervalo por bisseção. Retorna { value, iterations, bracket } ou null se a
+// troca de sinal for um salto da função.
+function bisect(residual, { low: start, high: end, rLow, rHigh }) {
+  let low = start;
+  let high = end;
+  const lowSign = Math.sign(rLow);
+  let iterations = 0;
+  while (low !== high && iterations < SOLVE_MAX_ITERATIONS && Math.abs(high - low) > SOLVE_TOLERANCE * Math.max(Math.abs(low), Math.abs(high), 1e-300)) {
+    const mid = (low + high) / 2;
+    const r = residual(mid);
+    if (r === 0) {
+      low = high = mid;
+      break;
+    }
+    if (Math.sign(r) === lowSign) low = mid;
+    else high = mid;
+    iterations++;
+  }
+
+  const value = (low + high) / 2;
+  const r = residual(value);
+  if (!isFinite(r) || Math.abs(r) > CONTINUITY_TOLERANCE * Math.min(Math.abs(rLow), Math.abs(rHigh))) return null;
+  return { value, iterations, bracket: [start, end] };
+}
+
+/**
+ * Resolve compute({ ...inputs, [unknown]: x }).value = target para x.
+ * As entradas são as do motor (números em SI ou { value, unit }); x é retornado na
+ * unidade do SI do campo. Raízes positivas têm preferência; se não houver, busca valores
+ * negativos. Retorna { value, iterations, bracket, roots } ou null se não houver solução:
+ * 'roots' lista todas as raízes do sinal escolhido, da de menor módulo (a de 'value') à de maior.
+ */
+export function solveForInput(compute, inputs, unknown, target) {
+  const residual = (x) => {
+    const value = compute({ ...inputs, [unknown]: x }).value;
+    return typeof value === 'number' ? value - target : NaN;
+  };
+
+  const solve = (sign) => findBrackets(residual, scanPoints(sign))
+    .map(bracket => bisect(residual, bracket))
+    .filter(Boolean);
+  const positive = solve(1);
+  const solutions = positive.length ? positive : solve(-1);
+  if (!solutions.length) return null;
+  return { ...solutions[0], roots: solutions.map(solution => solution.value) };
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { solveForInput } from './solve.js';
+import { frictionFactor } from './friction.js';
+import { waterColumn } from './basic.js';
+
+describe('solveForInput', () => {
+  it('inverte uma função monotônica', () => {
+    const solution = solveForInput(({ x }) => ({ value: x * x * x }), {}, 'x', 27);
+    expect(solution.value).toBeCloseTo(3, 9);
+    expect(solution.roots).toHaveLength(1);
+  });
+
+  it('prefere raízes positivas e recorre às negativas', () => {
+    expect(solveForInput(({ x }) => ({ value: x * x }), {}, 'x', 4).value).toBeCloseTo(2, 9);
+    expect(solveForInput(({ x }) => ({ value: x }), {}, 'x', -5).value).toBeCloseTo(-5, 9);
+  });
+
+  it('retorna null sem solução', () => {
+    expect(solveForInput(({ x }) => ({ value: x * x }), {}, 'x', -1)).toBeNull();
+  });
+
+  it('ignora o salto da densidade nula na coluna de fluido', () => {
+    const solution = solveForInput(waterColumn, { pressure: 100000, gravity: 9.80665 }, 'density', 20);
+    expect(solution.value).toBeCloseTo(100000 / (20 * 9.80665), 4);
+    expect(solution.roots).toHaveLength(1);
+  });
+
+  it('lista as raízes laminar e turbulenta do fator de atrito', () => {
+    const solution = solveForInput(frictionFactor, { relativeRoughness: 0.001 }, 'reynolds', 0.03);
+    expect(solution.roots).toHaveLength(2);
+    expect(solution.value).toBeCloseTo(64 / 0.03, 4);
+    expect(frictionFactor({ reynolds: solution.roots[1], relativeRoughness: 0.001 }).value).toBeCloseTo(0.03, 9);
+    expect(solution.roots[1]).toBeGreaterThan(4000);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Passos estruturados da memória de cálculo.
+ * Cada passo guarda o tipo da linha, os trechos de texto do template e os valores
+ * interpolados, mantendo os números como valores numéricos até o momento da formatação.
+ */
+
+// Token numérico: o valor é formatado com 'digits' casas decimais apenas na exibição.
+export const fixed = (value, digits) => ({ value, digits });
+
+const isNumberToken = (part) => part !== null && typeof part === 'object' && 'digits' in part;
+
+// Cria uma função de template que gera um passo do tipo informado.
+const tag = (kind) => (strings, ...values) => ({ kind, strings: [...strings], values });
+
+// Construtores de passos por tipo de linha.
+export const step = {
+  formula: tag('formula'),
+  heading: tag('heading'),
+  value: tag('value'),
+  calc: tag('calc'),
+  result: tag('result'),
+  note: tag('note'),
+  blank: () => ({ kind: 'blank', strings: [''], values: [] })
+};
+
+/**
+ * Passo padrão para um valor de entrada: "rótulo = valor unidade = valorSI unidadeSI".
+ */
+export function inputStep(label, q, digits) {
+  return step.value`${label} = ${q.raw} ${q.unit} = ${fixed(q.si, digits)} ${q.siUnit}`;
+}
+
+/**
+ * Texto do passo com marcadores numerados no lugar dos valores (ex.: "Q = {0} m³/s"),
+ * usado como chave na tradução das linhas.
+ */
+export function stepTemplate(s) {
+  return s.strings.map((text, index) => (index ? `{${index - 1}}${text}` : text)).join('');
+}
+
+/**
+ * Formatação padrão: ponto decimal, tokens com as casas definidas no passo, números brutos
+ * como String e textos sem tradução. Uma formatação própria ({ fixed, number, text, template,
+ * translate }) recebe também o tipo da linha, para tratar as linhas de resultado de outra forma;
+ * 'template' traduz o texto do passo (ver stepTemplate) e 'translate', os valores em texto.
+ */
+export const plainFormat = {
+  fixed: (value, digits) => value.toFixed(digits),
+  number: (value) => String(value),
+  text: (text) => text,
+  template: (text) => text,
+  translate: (text) => text
+};
+
+// Formata uma parte do passo (texto, número bruto ou token numérico) de uma linha do tipo 'kind'.
+export function formatPart(part, format = plainFormat, kind) {
+  if (isNumberToken(part)) return format.fixed(part.value, part.digits, kind);
+  if (typeof part === 'number') return format.number(part, kind);
+  return format.text(format.translate(String(part)));
+}
+
+// Converte um único passo para uma linha de texto.
+export function formatStep(s, format = plainFormat) {
+  return format.text(format.template(stepTemplate(s)))
+    .replace(/\{(\d+)\}/g, (_, index) => formatPart(s.values[index], format, s.kind));
+}
+
+/**
+ * Converte a lista de passos no texto de explicação exibido na interface.
+ */
+export function formatSteps(steps, format = plainFormat) {
+  return steps.map(s => formatStep(s, format)).join('\n');
+}
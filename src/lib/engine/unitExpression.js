@@ -0,0 +1,275 @@
+/**
+ * Interpretador de expressões de unidade em texto livre, ex.: "gal/min", "kgf/cm²",
+ * "lbm/(ft·s)", "m3/h", "cSt". Aceita prefixos do SI, produtos ('*', '·', '.', espaço),
+ * quocientes ('/'), potências ('^2', '²', '^-1') e parênteses, e verifica a
+ * compatibilidade dimensional entre a unidade de origem e a de destino.
+ */
+import {
+  DIMENSIONLESS,
+  divideDimensions,
+  formatDimensions,
+  multiplyDimensions,
+  powerDimensions,
+  sameDimensions
+} from './dimensions.js';
+import { step } from './steps.js';
+
+// Dimensões [M, L, T, Θ] das grandezas usadas no catálogo.
+const MASS = [1, 0, 0, 0];
+const LENGTH = [0, 1, 0, 0];
+const TIME = [0, 0, 1, 0];
+const TEMPERATURE = [0, 0, 0, 1];
+const VOLUME = [0, 3, 0, 0];
+const FORCE = [1, 1, -2, 0];
+const PRESSURE = [1, -1, -2, 0];
+const ENERGY = [1, 2, -2, 0];
+const POWER = [1, 2, -3, 0];
+const DYNAMIC_VISCOSITY = [1, -1, -1, 0];
+const KINEMATIC_VISCOSITY = [0, 2, -1, 0];
+const FREQUENCY = [0, 0, -1, 0];
+
+// Catálogo de unidades: fator para o SI, dimensão e se aceita prefixo do SI.
+// °C e °F isolados são conversões com deslocamento; em unidades compostas valem como diferença de temperatura.
+export const expressionUnits = {
+  'm': { factor: 1, dimensions: LENGTH, prefixes: true },
+  'in': { factor: 0.0254, dimensions: LENGTH },
+  'ft': { factor: 0.3048, dimensions: LENGTH },
+  'yd': { factor: 0.9144, dimensions: LENGTH },
+  'mi': { factor: 1609.344, dimensions: LENGTH },
+  'g': { factor: 0.001, dimensions: MASS, prefixes: true },
+  't': { factor: 1000, dimensions: MASS },
+  'lb': { factor: 0.45359237, dimensions: MASS },
+  'lbm': { factor: 0.45359237, dimensions: MASS },
+  'slug': { factor: 14.5939029, dimensions: MASS },
+  's': { factor: 1, dimensions: TIME, prefixes: true },
+  'min': { factor: 60, dimensions: TIME },
+  'h': { factor: 3600, dimensions: TIME },
+  'd': { factor: 86400, dimensions: TIME },
+  'K': { factor: 1, dimensions: TEMPERATURE },
+  '°R': { factor: 5 / 9, dimensions: TEMPERATURE },
+  '°C': { factor: 1, offset: 273.15, dimensions: TEMPERATURE },
+  '°F': { factor: 5 / 9, offset: 459.67 * 5 / 9, dimensions: TEMPERATURE },
+  'L': { factor: 0.001, dimensions: VOLUME, prefixes: true },
+  'l': { factor: 0.001, dimensions: VOLUME, prefixes: true },
+  'gal': { factor: 0.003785411784, dimensions: VOLUME },
+  'galUK': { factor: 0.00454609, dimensions: VOLUME },
+  'bbl': { factor: 0.158987294928, dimensions: VOLUME },
+  'N': { factor: 1, dimensions: FORCE, prefixes: true },
+  'kgf': { factor: 9.80665, dimensions: FORCE },
+  'lbf': { factor: 4.4482216152605, dimensions: FORCE },
+  'dyn': { factor: 1e-5, dimensions: FORCE },
+  'Pa': { factor: 1, dimensions: PRESSURE, prefixes: true },
+  'bar': { factor: 1e5, dimensions: PRESSURE, prefixes: true },
+  'atm': { factor: 101325, dimensions: PRESSURE },
+  'psi': { factor: 6894.757293168, dimensions: PRESSURE },
+  'torr': { factor: 133.322368, dimensions: PRESSURE },
+  'mmHg': { factor: 133.322387415, dimensions: PRESSURE },
+  'inHg': { factor: 3386.38864, dimensions: PRESSURE },
+  'mH2O': { factor: 9806.65, dimensions: PRESSURE },
+  'mca': { factor: 9806.65, dimensions: PRESSURE },
+  'mmH2O': { factor: 9.80665, dimensions: PRESSURE },
+  'inH2O': { factor: 249.08891, dimensions: PRESSURE },
+  'ftH2O': { factor: 2989.06692, dimensions: PRESSURE },
+  'J': { factor: 1, dimensions: ENERGY, prefixes: true },
+  'Wh': { factor: 3600, dimensions: ENERGY, prefixes: true },
+  'cal': { factor: 4.184, dimensions: ENERGY, prefixes: true },
+  'BTU': { factor: 1055.05585, dimensions: ENERGY },
+  'W': { factor: 1, dimensions: POWER, prefixes: true },
+  'hp': { factor: 745.699872, dimensions: POWER },
+  'cv': { factor: 735.49875, dimensions: POWER },
+  'P': { factor: 0.1, dimensions: DYNAMIC_VISCOSITY, prefixes: true },
+  'St': { factor: 1e-4, dimensions: KINEMATIC_VISCOSITY, prefixes: true },
+  'Hz': { factor: 1, dimensions: FREQUENCY, prefixes: true },
+  'rpm': { factor: 1 / 60, dimensions: FREQUENCY }
+};
+
+// Prefixos do SI aceitos nas unidades marcadas com 'prefixes'.
+const PREFIXES = {
+  'G': 1e9, 'M': 1e6, 'k': 1e3, 'h': 1e2, 'da': 1e1,
+  'd': 1e-1, 'c': 1e-2, 'm': 1e-3, 'µ': 1e-6, 'μ': 1e-6, 'u': 1e-6, 'n': 1e-9
+};
+
+const SUPERSCRIPT_VALUES = { '⁻': '-', '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' };
+
+// Divide o texto em símbolos: nomes de unidade, números, operadores e expoentes sobrescritos.
+function tokenize(text) {
+  const pattern = /\s*(?:([A-Za-z°µμ_][A-Za-z0-9°µμ_]*)|(\d+(?:[.,]\d+)?(?:[eE][-+]?\d+)?)|([⁻⁰¹²³⁴⁵⁶⁷⁸⁹]+)|(\^|\*|·|⋅|×|\.|\/|\(|\)|-))/y;
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    if (text.slice(index).trim() === '') break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) return { error: `Símbolo inesperado em "${text.slice(index).trim()}".` };
+    const [whole, name, number, superscriptText, operator] = match;
+    if (name) tokens.push({ type: 'name', text: name });
+    else if (number) tokens.push({ type: 'number', text: number });
+    else if (superscriptText) tokens.push({ type: 'superscript', text: superscriptText });
+    else tokens.push({ type: 'operator', text: operator });
+    index += whole.length;
+  }
+  return { tokens };
+}
+
+// Busca uma unidade pelo nome: primeiro o nome exato, depois prefixo + unidade.
+function lookupUnit(name) {
+  if (expressionUnits[name]) return { ...expressionUnits[name], name };
+  const prefix = Object.keys(PREFIXES)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => name.startsWith(candidate) && expressionUnits[name.slice(candidate.length)]?.prefixes);
+  if (!prefix) return null;
+  const unit = expressionUnits[name.slice(prefix.length)];
+  return { ...unit, factor: unit.factor * PREFIXES[prefix], name };
+}
+
+// Resolve um nome de unidade, aceitando expoente final sem sobrescrito ("m3" = m³).
+function resolveName(name) {
+  const unit = lookupUnit(name);
+  if (unit) return { unit, power: 1 };
+  const match = /^(.*?[A-Za-z°µμ_])(\d+)$/.exec(name);
+  const base = match && lookupUnit(match[1]);
+  return base ? { unit: base, power: Number(match[2]) } : null;
+}
+
+// Elevação de um termo a uma potência inteira.
+const raise = (term, power) => ({
+  factor: Math.pow(term.factor, power),
+  dimensions: powerDimensions(term.dimensions, power),
+  offset: power === 1 ? term.offset : 0,
+  simple: term.simple && power === 1
+});
+
+// Analisador descendente recursivo sobre a lista de símbolos.
+function parseTokens(tokens) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOperator = (text) => peek()?.type === 'operator' && peek().text === text;
+
+  function parsePower(term) {
+    if (peek()?.type === 'superscript') {
+      const power = Number(peek().text.split('').map(char => SUPERSCRIPT_VALUES[char]).join(''));
+      position++;
+      return raise(term, power);
+    }
+    if (isOperator('^')) {
+      position++;
+      let sign = 1;
+      if (isOperator('-')) {
+        sign = -1;
+        position++;
+      }
+      if (peek()?.type !== 'number' || !/^\d+$/.test(peek().text)) throw new SyntaxError('Expoente inválido após "^".');
+      const power = sign * Number(peek().text);
+      position++;
+      return raise(term, power);
+    }
+    return term;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new SyntaxError('Expressão incompleta.');
+    if (token.type === 'operator' && token.text === '(') {
+      position++;
+      const inner = parseProduct();
+      if (!isOperator(')')) throw new SyntaxError('Parêntese não fechado.');
+      position++;
+      return { ...inner, simple: false };
+    }
+    if (token.type === 'number') {
+      position++;
+      return { factor: Number(token.text.replace(',', '.')), dimensions: DIMENSIONLESS, offset: 0, simple: false };
+    }
+    if (token.type === 'name') {
+      position++;
+      const resolved = resolveName(token.text);
+      if (!resolved) throw new SyntaxError(`Unidade desconhecida: "${token.text}".`);
+      const { unit, power } = resolved;
+      return raise({ factor: unit.factor, dimensions: unit.dimensions, offset: unit.offset || 0, simple: true }, power);
+    }
+    throw new SyntaxError(`Símbolo inesperado: "${token.text}".`);
+  }
+
+  function parseProduct() {
+    let term = parsePower(parsePrimary());
+    for (;;) {
+      const token = peek();
+      if (!token || (token.type === 'operator' && token.text === ')')) return term;
+      let divide = false;
+      if (token.type === 'operator' && ['*', '·', '⋅', '×', '.', '/'].includes(token.text)) {
+        divide = token.text === '/';
+        position++;
+      } else if (token.type === 'operator' && token.text !== '(') {
+        throw new SyntaxError(`Símbolo inesperado: "${token.text}".`);
+      }
+      const next = parsePower(parsePrimary());
+      term = {
+        factor: divide ? term.factor / next.factor : term.factor * next.factor,
+        dimensions: divide ? divideDimensions(term.dimensions, next.dimensions) : multiplyDimensions(term.dimensions, next.dimensions),
+        offset: 0,
+        simple: false
+      };
+    }
+  }
+
+  const result = parseProduct();
+  if (position < tokens.length) throw new SyntaxError(`Símbolo inesperado: "${peek().text}".`);
+  return result;
+}
+
+/**
+ * Interpreta uma expressão de unidade. Retorna { factor, offset, dimensions }, onde
+ * valor SI = valor × factor + offset, ou { error } com a descrição do problema.
+ * O deslocamento (°C, °F) só vale quando a unidade aparece sozinha.
+ */
+export function parseUnitExpression(text) {
+  const source = String(text ?? '').trim();
+  if (!source) return { error: 'Informe a unidade.' };
+  const { tokens, error } = tokenize(source);
+  if (error) return { error };
+  try {
+    const { factor, dimensions, offset, simple } = parseTokens(tokens);
+    return { factor, offset: simple ? offset : 0, dimensions };
+  } catch (parseError) {
+    if (parseError instanceof SyntaxError) return { error: parseError.message };
+    throw parseError;
+  }
+}
+
+/**
+ * Converte um valor entre duas expressões de unidade de mesma dimensão.
+ * Retorna { value, unit, steps } ou, em caso de erro, { value: null, message, steps }.
+ */
+export function convertExpression({ value, from, to }) {
+  const source = parseUnitExpression(from);
+  const target = parseUnitExpression(to);
+  const failure = (message) => ({ value: null, unit: to, message, steps: [step.note`${message}`] });
+
+  if (source.error) return failure(`Unidade de origem "${from}": ${source.error}`);
+  if (target.error) return failure(`Unidade de destino "${to}": ${target.error}`);
+  if (!sameDimensions(source.dimensions, target.dimensions)) {
+    return failure(`Dimensões incompatíveis: ${from} [${formatDimensions(source.dimensions)}] e ${to} [${formatDimensions(target.dimensions)}].`);
+  }
+
+  const valueInSI = value * source.factor + source.offset;
+  const finalValue = (valueInSI - target.offset) / target.factor;
+  const describe = (unit, parsed) => (parsed.offset
+    ? step.value`${unit} → SI: valor × ${Number(parsed.factor.toPrecision(6))} + ${Number(parsed.offset.toPrecision(6))}`
+    : step.value`${unit} → SI: valor × ${Number(parsed.factor.toPrecision(6))}`);
+
+  return {
+    value: finalValue,
+    unit: to,
+    dimensions: source.dimensions,
+    steps: [
+      step.formula`Conversão de expressões de unidade:`,
+      step.value`Dimensão: ${formatDimensions(source.dimensions)}`,
+      step.blank(),
+      describe(from, source),
+      describe(to, target),
+      step.value`${value} ${from} = ${valueInSI.toPrecision(6)} (SI)`,
+      step.blank(),
+      step.result`${value} ${from}  =  ${finalValue.toPrecision(6)} ${to}`
+    ]
+  };
+}
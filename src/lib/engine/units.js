@@ -0,0 +1,196 @@
+/**
+ * Tabelas de unidades e funções de conversão para o Sistema Internacional (SI).
+ * Este módulo não depende de React e pode ser usado em qualquer ferramenta.
+ */
+import { DimensionError, dimensionsOf, formatDimensions, sameDimensions, unitTypeName } from './dimensions.js';
+import { parseUnitExpression } from './unitExpression.js';
+
+// Objeto que armazena os fatores de conversão de diversas unidades para suas unidades base no Sistema Internacional (SI).
+// Ex: 'km/h': 0.277778 significa que 1 km/h é igual a 0.277778 m/s.
+// Unidades com deslocamento (afins) usam { factor, offset }: valor SI = valor × factor + offset.
+// Ex: '°C': { factor: 1, offset: 273.15 } significa que 20 °C = 20 × 1 + 273,15 = 293,15 K.
+export const unitConversions = {
+  velocity: {
+    'm/s': 1,
+    'km/h': 0.277778,
+    'ft/s': 0.3048,
+    'mph': 0.44704
+  },
+  area: {
+    'm²': 1,
+    'cm²': 0.0001,
+    'ft²': 0.092903,
+    'in²': 0.00064516
+  },
+  force: {
+    'N': 1,
+    'kN': 1000,
+    'lbf': 4.44822
+  },
+  pressure: {
+    'Pa': 1,
+    'kPa': 1000,
+    'bar': 100000,
+    'psi': 6894.76,
+    'atm': 101325,
+    // Metro de coluna d'água convencional (ρ = 1000 kg/m³, gₙ = 9,80665 m/s²).
+    'mca': 9806.65,
+    // Pressões manométricas, relativas à atmosfera padrão (101325 Pa).
+    'kPa (man.)': { factor: 1000, offset: 101325 },
+    'bar (man.)': { factor: 100000, offset: 101325 },
+    'psig': { factor: 6894.76, offset: 101325 }
+  },
+  mass: {
+    'kg': 1,
+    'g': 0.001,
+    'lb': 0.453592,
+    'ton': 1000
+  },
+  volume: {
+    'm³': 1,
+    'L': 0.001,
+    'cm³': 0.000001,
+    'gal (US)': 0.00378541,
+    'ft³': 0.0283168
+  },
+  density: {
+    'kg/m³': 1,
+    'g/cm³': 1000,
+    'lb/ft³': 16.0185
+  },
+  length: {
+    'm': 1,
+    'cm': 0.01,
+    'mm': 0.001,
+    'ft': 0.3048,
+    'in': 0.0254,
+    'km': 1000,
+    'mi': 1609.34,
+  },
+  viscosity: {
+    'Pa·s': 1,
+    'cP (centiPoise)': 0.001,
+    'P (Poise)': 0.1
+  },
+  flow: {
+    'm³/s': 1,
+    'm³/h': 1/3600,
+    'L/s': 0.001,
+    'L/min': 0.001 / 60,
+    'gal/min (US)': 0.00378541 / 60
+  },
+  power: {
+    'W': 1,
+    'kW': 1000,
+    'hp': 745.699872,
+    'cv': 735.49875
+  },
+  temperature: {
+    'K': 1,
+    '°C': { factor: 1, offset: 273.15 },
+    '°F': { factor: 5 / 9, offset: 459.67 * 5 / 9 },
+    '°R': 5 / 9
+  }
+};
+
+// Mapeamento das chaves de tipo de medida para rótulos em português, usados na interface do conversor de unidades.
+export const measurementTypeLabels = {
+  velocity: 'Velocidade',
+  area: 'Área',
+  force: 'Força',
+  pressure: 'Pressão',
+  mass: 'Massa',
+  volume: 'Volume',
+  density: 'Densidade',
+  length: 'Comprimento',
+  viscosity: 'Viscosidade',
+  flow: 'Vazão',
+  power: 'Potência',
+  temperature: 'Temperatura'
+};
+
+/**
+ * Retorna o fator e o deslocamento de uma unidade ({ factor, offset }),
+ * ou null se a unidade não existir na tabela do tipo de medida.
+ */
+export function unitDefinition(unit, unitType) {
+  const entry = unitConversions[unitType]?.[unit];
+  if (entry === undefined) return null;
+  return typeof entry === 'number' ? { factor: entry, offset: 0 } : { offset: 0, ...entry };
+}
+
+/**
+ * Retorna a unidade base do SI (fator 1, sem deslocamento) de um tipo de medida.
+ * Tipos sem tabela (adimensional, porcentagem) retornam string vazia.
+ */
+export function siUnitOf(unitType) {
+  const table = unitConversions[unitType];
+  if (!table) return '';
+  return Object.keys(table).find(unit => table[unit] === 1) || '';
+}
+
+/**
+ * Resolve uma unidade de um tipo de medida em { factor, offset }.
+ * Procura primeiro na tabela do tipo; se não encontrar, interpreta a unidade como
+ * expressão (ex.: 'gal/min', 'kgf/cm²') e confere se a dimensão é a do tipo.
+ * Sem unidade, o valor é considerado já em SI. Unidades desconhecidas ou de
+ * dimensão incompatível geram DimensionError, em vez de usar o valor sem conversão.
+ */
+export function resolveUnit(unit, unitType) {
+  if (!unit) return { factor: 1, offset: 0 };
+  const definition = unitDefinition(unit, unitType);
+  if (definition) return definition;
+  if (unitType === 'percentage' && unit === '%') return { factor: 1, offset: 0 };
+
+  const expected = dimensionsOf(unitType);
+  const parsed = parseUnitExpression(unit);
+  if (parsed.error) {
+    throw new DimensionError(`Unidade "${unit}" inválida para ${unitTypeName(unitType)}: ${parsed.error}`);
+  }
+  if (!sameDimensions(parsed.dimensions, expected)) {
+    throw new DimensionError(
+      `A unidade "${unit}" (${formatDimensions(parsed.dimensions)}) não é de ${unitTypeName(unitType)} (${formatDimensions(expected)}).`
+    );
+  }
+  return { factor: parsed.factor, offset: parsed.offset };
+}
+
+/**
+ * Converte um valor de uma unidade para a unidade base do SI (valor × fator + deslocamento).
+ */
+export function toSI(value, unit, unitType) {
+  const { factor, offset } = resolveUnit(unit, unitType);
+  return value * factor + offset;
+}
+
+/**
+ * Converte um valor na unidade base do SI para a unidade informada.
+ */
+export function fromSI(value, unit, unitType) {
+  const { factor, offset } = resolveUnit(unit, unitType);
+  return (value - offset) / factor;
+}
+
+/**
+ * Extrai o número de uma entrada adimensional, aceitando tanto o número
+ * quanto um objeto { value, unit }.
+ */
+export function scalar(input) {
+  return input !== null && typeof input === 'object' ? input.value : input;
+}
+
+/**
+ * Normaliza uma entrada do motor de cálculo.
+ * Aceita um número (já em SI) ou um objeto { value, unit } com a unidade explícita,
+ * e devolve o valor original, a unidade exibida, o valor convertido, a unidade do SI
+ * e o vetor de dimensões [M, L, T, Θ] do tipo de medida.
+ */
+export function quantity(input, unitType) {
+  const siUnit = siUnitOf(unitType);
+  const dimensions = dimensionsOf(unitType);
+  if (input !== null && typeof input === 'object') {
+    const unit = input.unit || siUnit;
+    return { raw: input.value, unit, si: toSI(input.value, unit, unitType), siUnit, dimensions };
+  }
+  return { raw: input, unit: siUnit, si: input, siUnit, dimensions };
+}
@@ -0,0 +1,142 @@
+/**
+ * Formatação e leitura dos valores exibidos na interface, conforme a convenção numérica
+ * (vírgula ou ponto decimal) e a precisão escolhidas nas configurações.
+ */
+import { superscript } from './engine';
+
+// Convenções numéricas: separadores decimal e de milhar.
+const SEPARATORS = {
+  'pt-BR': { decimal: ',', group: '.' },
+  'en-US': { decimal: '.', group: ',' }
+};
+
+export const numberLocales = {
+  'pt-BR': 'Vírgula decimal (1.234,5)',
+  'en-US': 'Ponto decimal (1,234.5)'
+};
+
+// Notações do resultado; 'digits' é o número de algarismos significativos ou de casas decimais.
+export const numberNotations = {
+  significant: 'Algarismos significativos',
+  fixed: 'Casas decimais fixas',
+  engineering: 'Notação de engenharia (10³, 10⁻³...)'
+};
+
+// Faixa de 'digits' aceita em cada notação.
+export const digitsRange = {
+  significant: { min: 1, max: 15 },
+  fixed: { min: 0, max: 10 },
+  engineering: { min: 1, max: 15 }
+};
+
+export const DEFAULT_NUMBER_FORMAT = { locale: 'pt-BR', notation: 'significant', digits: 6 };
+
+const separatorsOf = (locale) => SEPARATORS[locale] || SEPARATORS[DEFAULT_NUMBER_FORMAT.locale];
+
+// Troca o ponto decimal de um texto pelo separador da convenção (ex.: "2.5" → "2,5").
+const localizeDecimal = (text, locale) => {
+  const { decimal } = separatorsOf(locale);
+  return decimal === '.' ? text : text.replace(/(\d)\.(\d)/g, `$1${decimal}$2`);
+};
+
+// Parte numérica com ponto decimal: o separador decimal da convenção vale como decimal e o de
+// milhar é removido quando agrupa de três em três. Sem o separador decimal, um único separador
+// que não agrupa milhares (ex.: "2.5" em pt-BR, "0,25" em en-US) também é lido como decimal.
+function normalizeDigits(digits, locale) {
+  const { decimal, group } = separatorsOf(locale);
+  const grouped = new RegExp(`^[1-9]\\d{0,2}(\\${group}\\d{3})+$`);
+  if (digits.includes(decimal)) {
+    const [whole, fraction, extra] = digits.split(decimal);
+    if (extra !== undefined || fraction.includes(group)) return 'NaN';
+    if (whole.includes(group) && !grouped.test(whole)) return 'NaN';
+    return `${whole.split(group).join('')}.${fraction}`;
+  }
+  if (grouped.test(digits)) return digits.split(group).join('');
+  const parts = digits.split(group);
+  if (parts.length > 2) return 'NaN';
+  return parts.join('.');
+}
+
+/**
+ * Lê um número digitado na convenção 'locale' (ex.: "2,5", "1.234,5" ou "1,5e-3" em pt-BR).
+ * Retorna NaN para textos vazios ou que não são números.
+ */
+export function parseNumber(text, locale = DEFAULT_NUMBER_FORMAT.locale) {
+  if (typeof text === 'number') return text;
+  const compact = String(text ?? '').replace(/\s/g, '');
+  const match = /^([-+]?)([\d.,]+)([eE][-+]?\d+)?$/.exec(compact);
+  if (!match) return NaN;
+  const [, sign, digits, exponent = ''] = match;
+  return Number(`${sign}${normalizeDigits(digits, locale)}${exponent}`);
+}
+
+/**
+ * Texto de um valor em um campo de entrada: número completo, com o separador decimal da
+ * convenção e sem separador de milhar. Textos que não são números são mantidos.
+ */
+export function formatInputNumber(value, locale = DEFAULT_NUMBER_FORMAT.locale) {
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value !== 'number' && !Number.isFinite(Number(value))) return String(value);
+  return localizeDecimal(String(Number(value)), locale);
+}
+
+// Número com Intl.NumberFormat na convenção escolhida.
+const localeNumber = (value, locale, options) => new Intl.NumberFormat(locale, options).format(value);
+
+// Mantissa × 10ⁿ, com o expoente múltiplo de 'step' (1 na notação científica, 3 na de engenharia).
+function powerOfTen(value, { locale, digits }, step) {
+  let exponent = Math.floor(Math.log10(Math.abs(value)) / step) * step;
+  // O arredondamento pode levar a mantissa ao limite (ex.: 9,9999 → 10), que passa ao expoente seguinte.
+  if (Math.abs(Number((value / 10 ** exponent).toPrecision(digits))) >= 10 ** step) exponent += step;
+  const mantissa = localeNumber(value / 10 ** exponent, locale, { maximumSignificantDigits: digits, useGrouping: false });
+  return exponent === 0 ? mantissa : `${mantissa} × 10${superscript(exponent)}`;
+}
+
+/**
+ * Formata um número na notação e precisão de 'format' ({ locale, notation, digits }).
+ * 'maxDecimals' limita as casas decimais (ex.: 0 para o número de Reynolds); 'grouping'
+ * desliga o separador de milhar. Em algarismos significativos, valores muito grandes ou
+ * muito pequenos passam à notação científica.
+ */
+export function formatNumber(value, format = DEFAULT_NUMBER_FORMAT, { maxDecimals, grouping = true } = {}) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return '';
+  const options = { ...DEFAULT_NUMBER_FORMAT, ...format };
+  const { locale, notation, digits } = options;
+  if (notation === 'fixed') {
+    const decimals = maxDecimals === undefined ? digits : Math.min(digits, maxDecimals);
+    return localeNumber(value, locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: grouping });
+  }
+  if (value === 0) return '0';
+  if (notation === 'engineering') return powerOfTen(value, options, 3);
+  const magnitude = Math.floor(Math.log10(Math.abs(value)));
+  if (magnitude >= 12 || magnitude < -4) return powerOfTen(value, options, 1);
+  const rounded = maxDecimals === undefined ? value : Number(value.toFixed(maxDecimals));
+  return localeNumber(rounded, locale, { maximumSignificantDigits: digits, useGrouping: grouping });
+}
+
+/**
+ * Formata o valor principal do resultado.
+ * 'decimals' limita as casas decimais (ex.: 0 para o número de Reynolds).
+ */
+export function formatResultValue(value, decimals, format = DEFAULT_NUMBER_FORMAT) {
+  if (value === null || isNaN(value)) return '';
+  return formatNumber(value, format, { maxDecimals: decimals });
+}
+
+/**
+ * Formatação da memória de cálculo (ver formatSteps): separador decimal da convenção, sem
+ * separador de milhar para manter as substituições legíveis. As linhas de resultado seguem a
+ * notação e a precisão escolhidas; as demais mantêm as casas do motor. Com a função de
+ * tradução 't' (ver src/lib/i18n), os textos dos passos são traduzidos.
+ */
+export function stepFormat(format = DEFAULT_NUMBER_FORMAT, t) {
+  const { locale } = format;
+  const resultNumber = (value) => formatNumber(value, format, { grouping: false });
+  return {
+    fixed: (value, digits, kind) => (kind === 'result' ? resultNumber(value) : localizeDecimal(value.toFixed(digits), locale)),
+    number: (value, kind) => (kind === 'result' ? resultNumber(value) : localizeDecimal(String(value), locale)),
+    text: (text) => localizeDecimal(text, locale),
+    template: (text) => (t ? t.template(text) : text),
+    translate: (text) => (t ? t(text) : text)
+  };
+}
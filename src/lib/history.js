@@ -0,0 +1,78 @@
+/**
+ * Histórico de cálculos salvo no localStorage do navegador.
+ * Cada registro guarda a calculadora, as entradas com as unidades, o resultado e a data,
+ * e pode ser fixado para não ser descartado quando o histórico atinge o limite.
+ */
+
+const STORAGE_KEY = 'mecflu:history';
+
+// Quantidade máxima de registros não fixados mantidos no histórico.
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Lê o histórico salvo. Retorna uma lista vazia se não houver histórico
+ * ou se o localStorage estiver indisponível ou corrompido.
+ */
+export function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Salva o histórico. Falhas do localStorage (modo privado, cota excedida) são ignoradas.
+ */
+export function saveHistory(entries) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch {
+    // O histórico continua disponível apenas nesta sessão.
+  }
+}
+
+/**
+ * Cria um registro do histórico. 'summary' é a lista de entradas já formatadas
+ * (ex.: "v = 2 m/s") e 'result' traz { value, unit, text } do resultado exibido.
+ */
+export function createEntry({ calculator, inputs, units, summary, result }) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    calculatorId: calculator.id,
+    calculatorName: calculator.name,
+    inputs,
+    units,
+    summary,
+    result,
+    timestamp: Date.now(),
+    pinned: false
+  };
+}
+
+// Mesmo cálculo: mesma calculadora, entradas e unidades.
+const sameCalculation = (a, b) => a.calculatorId === b.calculatorId
+  && JSON.stringify(a.inputs) === JSON.stringify(b.inputs)
+  && JSON.stringify(a.units) === JSON.stringify(b.units);
+
+/**
+ * Inclui um registro no início do histórico. Um cálculo idêntico a um registro existente
+ * leva esse registro ao início com o resultado, o resumo e a data novos (mantendo o id e a
+ * fixação); registros não fixados além do limite são descartados.
+ */
+export function addEntry(entries, entry) {
+  const previous = entries.find(item => sameCalculation(item, entry));
+  const added = previous ? { ...entry, id: previous.id, pinned: previous.pinned } : entry;
+  let unpinned = 0;
+  return [added, ...entries.filter(item => item !== previous)].filter(item => item.pinned || ++unpinned <= HISTORY_LIMIT);
+}
+
+// Fixa ou desafixa um registro.
+export const togglePin = (entries, id) => entries.map(item => (item.id === id ? { ...item, pinned: !item.pinned } : item));
+
+// Remove um registro.
+export const removeEntry = (entries, id) => entries.filter(item => item.id !== id);
+
+// Ordem de exibição: fixados primeiro, depois do mais recente para o mais antigo.
+export const sortHistory = (entries) => [...entries].sort((a, b) => (b.pinned - a.pinned) || (b.timestamp - a.timestamp));
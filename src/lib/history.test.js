@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { HISTORY_LIMIT, addEntry } from './history';
+
+const entry = (id, inputs, result, extra = {}) => ({
+  id,
+  calculatorId: 'reynolds',
+  calculatorName: 'Número de Reynolds',
+  inputs,
+  units: {},
+  summary: [`v = ${inputs.velocity} m/s`],
+  result,
+  timestamp: Number(id.replace(/\D/g, '')),
+  pinned: false,
+  ...extra
+});
+
+describe('addEntry', () => {
+  it('inclui o registro no início', () => {
+    const entries = addEntry([entry('a1', { velocity: 1 }, { text: '1' })], entry('b2', { velocity: 2 }, { text: '2' }));
+    expect(entries.map(item => item.id)).toEqual(['b2', 'a1']);
+  });
+
+  it('leva um cálculo repetido ao início com o resultado e o resumo novos', () => {
+    const entries = [entry('b2', { velocity: 2 }, { text: '2' }), entry('a1', { velocity: 1 }, { text: 'antigo' }, { pinned: true, summary: ['antigo'] })];
+    const updated = addEntry(entries, entry('c3', { velocity: 1 }, { text: 'novo' }, { summary: ['novo'] }));
+    expect(updated).toHaveLength(2);
+    expect(updated[0]).toMatchObject({ id: 'a1', pinned: true, result: { text: 'novo' }, summary: ['novo'], timestamp: 3 });
+    expect(updated[1].id).toBe('b2');
+  });
+
+  it('descarta registros não fixados além do limite', () => {
+    const entries = Array.from({ length: HISTORY_LIMIT + 1 }, (_, i) => entry(`e${i}`, { velocity: i }, { text: String(i) }, { pinned: i === HISTORY_LIMIT }));
+    const updated = addEntry(entries, entry('n999', { velocity: -1 }, { text: 'novo' }));
+    expect(updated).toHaveLength(HISTORY_LIMIT + 1);
+    expect(updated.some(item => item.id === `e${HISTORY_LIMIT}`)).toBe(true);
+    expect(updated.some(item => item.id === `e${HISTORY_LIMIT - 1}`)).toBe(false);
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Idioma da interface nos componentes React: o App fornece a função de tradução do idioma
+ * escolhido, e os componentes a obtêm com useTranslation().
+ */
+import { createContext, useContext } from 'react';
+import { createTranslator } from './index';
+
+export const TranslationContext = createContext(createTranslator());
+
+export function useTranslation() {
+  return useContext(TranslationContext);
+}
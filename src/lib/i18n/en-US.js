@@ -0,0 +1,610 @@
+/**
+ * Catálogo en-US: tradução de cada texto em português (chave) para o inglês. Linhas da memória
+ * de cálculo iguais nos dois idiomas (ex.: 'NPSH = {0} m') não precisam constar.
+ */
+export default {
+  name: 'English',
+  numberLocale: 'en-US',
+  messages: {
+    // Interface
+    'Calculadora de Sistemas Fluidomecânicos': 'Fluid Mechanics Systems Calculator',
+    'Cálculos precisos para dinâmica de fluidos e hidráulica': 'Accurate calculations for fluid dynamics and hydraulics',
+    'Idioma da interface': 'Interface language',
+    'Voltar para Categorias': 'Back to Categories',
+    'Calcular': 'Calculate',
+    'Resultado': 'Result',
+    'Insira o valor': 'Enter a value',
+    'Ver Fórmula': 'Show Formula',
+    'Ocultar Fórmula': 'Hide Formula',
+    'Fórmula': 'Formula',
+    'Memória de cálculo': 'Calculation details',
+    'Dados de entrada': 'Input data',
+    'Observações': 'Notes',
+    'Página {page} de {count}': 'Page {page} of {count}',
+    'Unidade do resultado': 'Result unit',
+    'Resolver para': 'Solve for',
+    'opcional': 'optional',
+    'valor limitado': 'value clamped',
+    'faixa tabelada: {min} a {max} {unit}': 'tabulated range: {min} to {max} {unit}',
+    'Copiar link': 'Copy link',
+    'Copiar link deste cálculo': 'Copy a link to this calculation',
+    'Link copiado': 'Link copied',
+    'Imprimir memorial': 'Print report',
+    'Memorial em PDF': 'PDF report',
+    'Memorial de cálculo · {count} cálculo(s) · Emitido em {date}': 'Calculation report · {count} calculation(s) · Issued on {date}',
+    'Não foi possível abrir a janela de impressão. Verifique se o navegador bloqueou pop-ups.':
+      'The print window could not be opened. Check whether the browser blocked pop-ups.',
+    'O cálculo não pôde ser refeito.': 'The calculation could not be redone.',
+    'O resultado não é um número finito (NaN ou infinito). Verifique divisões por zero e valores fora da faixa física.':
+      'The result is not a finite number (NaN or infinity). Check for divisions by zero and values outside the physical range.',
+    '{count} item(ns)': '{count} item(s)',
+    '{count} ponto(s)': '{count} point(s)',
+    'man.': 'gauge',
+    'liso': 'smooth',
+    '(adimensional)': '(dimensionless)',
+    'Expressão livre': 'Free expression',
+    'ex.: gal/min': 'e.g. gal/min',
+    'ex.: m³/h': 'e.g. m³/h',
+    'Aceita prefixos do SI (k, M, m, c, µ…), produtos (· * .), quocientes (/), potências (² ^2 ^-1) e parênteses, ex.: kgf/cm², lbm/(ft·s), mH2O, cSt, ft³/min.':
+      'Accepts SI prefixes (k, M, m, c, µ…), products (· * .), quotients (/), powers (² ^2 ^-1) and parentheses, e.g. kgf/cm², lbm/(ft·s), mH2O, cSt, ft³/min.',
+
+    // Entradas especiais (fluido, catálogo, geometria, acessórios, bomba)
+    'Fluido': 'Fluid',
+    'Biblioteca de fluidos': 'Fluid library',
+    'Rugosidade por material': 'Roughness by material',
+    'Escolha o material': 'Choose the material',
+    'Diâmetro comercial': 'Commercial diameter',
+    'Tamanho nominal': 'Nominal size',
+    'DI': 'ID',
+    'Calcular pela geometria': 'Calculate from geometry',
+    'Aplicar': 'Apply',
+    'Adicionar acessório': 'Add fitting',
+    'Quantidade': 'Quantity',
+    'Razão de diâmetros d/D': 'Diameter ratio d/D',
+    'Razão de diâmetros d/D (menor/maior)': 'Diameter ratio d/D (smaller/larger)',
+    'acessórios': 'fittings',
+    'Pontos da curva (Q, H, η)': 'Curve points (Q, H, η)',
+    'Equação H = a - bQ²': 'Equation H = a - bQ²',
+    'Vazão em {unit}': 'Flow rate in {unit}',
+    'altura de shutoff (m)': 'shutoff head (m)',
+    'Adicionar ponto': 'Add point',
+    'Altura': 'Head',
+    'Rendimento': 'Efficiency',
+    'A curva H(Q) é ajustada por mínimos quadrados (polinômio de 2º grau). Com η em três ou mais pontos, a curva de rendimento também é ajustada.':
+      'The H(Q) curve is fitted by least squares (2nd-degree polynomial). With η at three or more points, the efficiency curve is fitted as well.',
+    'Curvas da bomba e do sistema': 'Pump and system curves',
+    'Bomba': 'Pump',
+    'Sistema': 'System',
+    'Potência hidráulica': 'Hydraulic power',
+    'Diagrama de Moody': 'Moody diagram',
+    'Número de Reynolds (Re)': 'Reynolds Number (Re)',
+    'Fator de atrito (f)': 'Friction factor (f)',
+    'Transição': 'Transition',
+    'A linha vertical indica o número de Reynolds calculado.': 'The vertical line marks the calculated Reynolds number.',
+    'Clique no gráfico para preencher Re e ε/D a partir do ponto escolhido.': 'Click the chart to fill in Re and ε/D from the chosen point.',
+    'Valor para converter': 'Value to convert',
+    'Tipo de Medida': 'Measurement Type',
+    'Referência da pressão': 'Pressure reference',
+    'De': 'From',
+    'Para': 'To',
+
+    // Histórico e projetos
+    'Histórico de cálculos': 'Calculation history',
+    'Limpar histórico': 'Clear history',
+    'Limpar todo o histórico de cálculos?': 'Clear the whole calculation history?',
+    'Reabrir na calculadora': 'Reopen in the calculator',
+    'Fixar': 'Pin',
+    'Desafixar': 'Unpin',
+    'Excluir': 'Delete',
+    'Projetos': 'Projects',
+    'Projeto': 'Project',
+    'Projeto {number}': 'Project {number}',
+    'Escolha um projeto': 'Choose a project',
+    'Novo': 'New',
+    'Renomear': 'Rename',
+    'Importar': 'Import',
+    'Exportar': 'Export',
+    'Nome do projeto:': 'Project name:',
+    'Novo nome do projeto:': 'New project name:',
+    'Excluir o projeto "{name}" e seus {count} cálculo(s)?': 'Delete project "{name}" and its {count} calculation(s)?',
+    'Crie ou importe um projeto para reunir os cálculos de uma mesma instalação.':
+      'Create or import a project to group the calculations of a single installation.',
+    'Nenhum cálculo neste projeto. Use "Salvar no projeto" após calcular.': 'No calculations in this project. Use "Save to project" after calculating.',
+    'Salvar no projeto': 'Save to project',
+    'Salvar no projeto "{name}"': 'Save to project "{name}"',
+    'Salvo em "{name}"': 'Saved to "{name}"',
+    'Remover do projeto': 'Remove from project',
+    'Mover para cima': 'Move up',
+    'Mover para baixo': 'Move down',
+    'Nome do cálculo': 'Calculation name',
+    'Anotações (premissas, trecho da instalação, referências...)': 'Notes (assumptions, installation section, references...)',
+    'O arquivo não é um JSON válido.': 'The file is not valid JSON.',
+    'O arquivo não é um projeto da calculadora.': 'The file is not a calculator project.',
+    'Versão do projeto ausente ou inválida.': 'Missing or invalid project version.',
+    '{0} item(ns) inválido(s) ignorado(s) na importação.': '{0} invalid item(s) skipped on import.',
+    'O projeto foi salvo em uma versão mais nova do formato ({0}); esta versão da calculadora lê até a {1}.':
+      'The project was saved in a newer format version ({0}); this version of the calculator reads up to {1}.',
+    'O arquivo não contém um projeto válido.': 'The file does not contain a valid project.',
+
+    // Configurações
+    'Configurações': 'Settings',
+    'Ocultar configurações': 'Hide settings',
+    'Configurações dos cálculos': 'Calculation settings',
+    'Aceleração da gravidade': 'Gravitational acceleration',
+    'Valor de g': 'Value of g',
+    'Fluido manométrico (coluna de líquido)': 'Manometer fluid (liquid column)',
+    'Temperatura': 'Temperature',
+    'Densidade': 'Density',
+    'Números': 'Numbers',
+    'Precisão do resultado': 'Result precision',
+    'Casas decimais ({min} a {max})': 'Decimal places ({min} to {max})',
+    'Algarismos ({min} a {max})': 'Digits ({min} to {max})',
+    'Exemplo': 'Example',
+    'As configurações valem para todas as calculadoras, ficam salvas neste navegador e aparecem na memória de cálculo.':
+      'Settings apply to every calculator, are saved in this browser and appear in the calculation details.',
+    'Valor usual (9.81 m/s²)': 'Usual value (9.81 m/s²)',
+    'Gravidade padrão (gₙ = 9.80665 m/s²)': 'Standard gravity (gₙ = 9.80665 m/s²)',
+    'Pela latitude e altitude do local': 'From the site latitude and altitude',
+    'Valor informado': 'Custom value',
+    'Água (ρ = 1000 kg/m³)': 'Water (ρ = 1000 kg/m³)',
+    'Água na temperatura informada': 'Water at the given temperature',
+    'Mercúrio na temperatura informada': 'Mercury at the given temperature',
+    'Óleo manométrico (ρ = 827 kg/m³)': 'Manometer oil (ρ = 827 kg/m³)',
+    'Densidade informada': 'Custom density',
+    'água': 'water',
+    'mercúrio': 'mercury',
+    'óleo manométrico': 'manometer oil',
+    'configurações': 'settings',
+    '{0} a {1} °C': '{0} at {1} °C',
+    'Vírgula decimal (1.234,5)': 'Decimal comma (1.234,5)',
+    'Ponto decimal (1,234.5)': 'Decimal point (1,234.5)',
+    'Algarismos significativos': 'Significant digits',
+    'Casas decimais fixas': 'Fixed decimal places',
+    'Notação de engenharia (10³, 10⁻³...)': 'Engineering notation (10³, 10⁻³...)',
+    'Informe a latitude entre -90° e 90°.': 'Enter a latitude between -90° and 90°.',
+    'Informe a altitude entre -500 e 11000 m.': 'Enter an altitude between -500 and 11000 m.',
+    'Informe um valor de g maior que zero.': 'Enter a value of g greater than zero.',
+    'Informe a temperatura em °C.': 'Enter the temperature in °C.',
+    'Informe uma densidade maior que zero.': 'Enter a density greater than zero.',
+    'Informe um número inteiro entre {0} e {1}.': 'Enter an integer between {0} and {1}.',
+
+    // Varredura paramétrica
+    'Varredura Paramétrica': 'Parametric Sweep',
+    'Varredura paramétrica': 'Parametric sweep',
+    'Ocultar Varredura': 'Hide Sweep',
+    'Uma entrada varia na faixa escolhida; as demais ficam fixas nos valores do formulário.':
+      'One input varies over the chosen range; the others stay fixed at the form values.',
+    'Parâmetro variado': 'Varied parameter',
+    'Até': 'To',
+    'Pontos': 'Points',
+    'Passo': 'Spacing',
+    'Logarítmico': 'Logarithmic',
+    'escala log': 'log scale',
+    'Segundo parâmetro (família de curvas)': 'Second parameter (family of curves)',
+    'Nenhum': 'None',
+    'Valores separados por ponto e vírgula, ex.: 0,05; 0,1; 0,15': 'Values separated by semicolons, e.g. 0.05; 0.1; 0.15',
+    'Informe os valores do segundo parâmetro separados por ponto e vírgula (ex.: 0,05; 0,1; 0,15).':
+      'Enter the values of the second parameter separated by semicolons (e.g. 0.05; 0.1; 0.15).',
+    'Executar varredura': 'Run sweep',
+    '{count} ponto(s) sem resultado ({reason}).': '{count} point(s) without a result ({reason}).',
+    'Informe os valores inicial e final da faixa.': 'Enter the start and end values of the range.',
+    'O valor final deve ser maior que o inicial.': 'The end value must be greater than the start value.',
+    'O número de pontos deve ser um inteiro entre 2 e {0}.': 'The number of points must be an integer between 2 and {0}.',
+    'A escala logarítmica exige valores positivos.': 'The logarithmic scale requires positive values.',
+
+    // Cálculo em lote
+    'Cálculo em Lote (CSV)': 'Batch Calculation (CSV)',
+    'Cálculo em lote (CSV)': 'Batch calculation (CSV)',
+    'Ocultar Cálculo em Lote': 'Hide Batch Calculation',
+    'lote': 'batch',
+    'A primeira linha deve conter os nomes das colunas (ex.:': 'The first line must contain the column names (e.g.',
+    'Carregar arquivo': 'Load file',
+    'Ler tabela': 'Read table',
+    '{rows} linha(s), {columns} coluna(s). Associe as colunas aos campos:': '{rows} row(s), {columns} column(s). Map the columns to the fields:',
+    'Coluna {number}': 'Column {number}',
+    'Valor do formulário': 'Form value',
+    'Campos sem coluna associada usam os valores do formulário.': 'Fields without a mapped column use the form values.',
+    'Calcular lote': 'Calculate batch',
+    'Aplicar aos campos': 'Apply to fields',
+    'Baixar CSV': 'Download CSV',
+    '{count} linha(s) calculada(s)': '{count} row(s) calculated',
+    '{count} inválida(s)': '{count} invalid',
+    'Situação': 'Status',
+    'Sem resultado': 'No result',
+    'Valor não numérico em: {labels}': 'Non-numeric value in: {labels}',
+
+    // Validação das entradas
+    'Campo obrigatório.': 'Required field.',
+    'Informe um número válido.': 'Enter a valid number.',
+    'Deve ser maior que zero.': 'Must be greater than zero.',
+    'Não pode ser negativo.': 'Cannot be negative.',
+    'Deve ser {0} e {1}.': 'Must be {0} and {1}.',
+    'Deve ser {0}.': 'Must be {0}.',
+
+    // Calculadoras
+    'Vazão': 'Flow Rate',
+    'Calcular vazão volumétrica ou mássica': 'Calculate volumetric or mass flow rate',
+    'Vazão (Q)': 'Flow Rate (Q)',
+    'A vazão (Q) é o produto da velocidade do fluido (v) pela área da seção transversal (A) do duto.':
+      'The flow rate (Q) is the product of the fluid velocity (v) and the cross-sectional area (A) of the duct.',
+    'Velocidade (v)': 'Velocity (v)',
+    'Área da Seção Transversal (A)': 'Cross-Sectional Area (A)',
+    'Velocidade/Vazão': 'Velocity/Flow Rate',
+    'Calcular velocidade a partir da vazão': 'Calculate velocity from the flow rate',
+    'A velocidade do fluido (v) é a vazão (Q) dividida pela área da seção transversal (A) do duto.':
+      'The fluid velocity (v) is the flow rate (Q) divided by the cross-sectional area (A) of the duct.',
+    'Pressão': 'Pressure',
+    'Calcular pressão em diversos cenários': 'Calculate pressure in various scenarios',
+    'Pressão (P)': 'Pressure (P)',
+    'A pressão (P) é a força (F) aplicada perpendicularmente a uma superfície, dividida pela área (A) dessa superfície.':
+      'Pressure (P) is the force (F) applied perpendicular to a surface, divided by the area (A) of that surface.',
+    'Força (F)': 'Force (F)',
+    'Área (A)': 'Area (A)',
+    'Calcular densidade do fluido': 'Calculate fluid density',
+    'Densidade (ρ)': 'Density (ρ)',
+    'A densidade (ρ) de uma substância é a sua massa (m) por unidade de volume (V).':
+      'The density (ρ) of a substance is its mass (m) per unit volume (V).',
+    'Massa (m)': 'Mass (m)',
+    'Coluna de Água': 'Water Column',
+    'Converter pressão em altura de coluna de água': 'Convert pressure into water column height',
+    'Pressão Hidrostática (P)': 'Hydrostatic Pressure (P)',
+    'A pressão exercida por uma coluna de fluido (P) é igual à densidade do fluido (ρ) multiplicada pela aceleração da gravidade (g) e pela altura da coluna (h). A calculadora resolve para h.':
+      'The pressure exerted by a fluid column (P) equals the fluid density (ρ) times the gravitational acceleration (g) and the column height (h). The calculator solves for h.',
+    'Densidade do Fluido (ρ)': 'Fluid Density (ρ)',
+    'Padrão: fluido manométrico das configurações': 'Default: manometer fluid from the settings',
+    'Altura da Coluna (h)': 'Column Height (h)',
+    'Número de Reynolds': 'Reynolds Number',
+    'Determinar regime de escoamento': 'Determine the flow regime',
+    'O Número de Reynolds é um número adimensional que ajuda a prever padrões de escoamento. Compara as forças de inércia com as forças de viscosidade. (ρ: densidade, v: velocidade, D: comprimento característico, μ: viscosidade dinâmica).':
+      'The Reynolds Number is a dimensionless number that helps predict flow patterns. It compares inertial forces with viscous forces. (ρ: density, v: velocity, D: characteristic length, μ: dynamic viscosity).',
+    'Velocidade do Escoamento (v)': 'Flow Velocity (v)',
+    'Comprimento Característico (D)': 'Characteristic Length (D)',
+    'Viscosidade Dinâmica (μ)': 'Dynamic Viscosity (μ)',
+    'Rugosidade Relativa': 'Relative Roughness',
+    'Calcular rugosidade relativa da tubulação': 'Calculate the relative roughness of the pipe',
+    'Rugosidade Relativa (ε/D)': 'Relative Roughness (ε/D)',
+    'A rugosidade relativa é a razão entre a rugosidade absoluta da superfície interna do tubo (ε) e o diâmetro do tubo (D).':
+      'The relative roughness is the ratio between the absolute roughness of the inner pipe surface (ε) and the pipe diameter (D).',
+    'Rugosidade Absoluta (ε)': 'Absolute Roughness (ε)',
+    'Diâmetro da Tubulação (D)': 'Pipe Diameter (D)',
+    'Fator de Atrito': 'Friction Factor',
+    'Calcular fator de atrito (Colebrook-White, Haaland, Churchill, Swamee-Jain)':
+      'Calculate the friction factor (Colebrook-White, Haaland, Churchill, Swamee-Jain)',
+    'Correlação': 'Correlation',
+    'O fator de atrito de Darcy-Weisbach depende da rugosidade relativa (ε/D) e do número de Reynolds (Re). A equação de Colebrook-White é implícita e resolvida iterativamente; Haaland, Churchill e Swamee-Jain são aproximações explícitas. Para Re < 2300 (escoamento laminar) é usada automaticamente f = 64/Re.':
+      'The Darcy-Weisbach friction factor depends on the relative roughness (ε/D) and the Reynolds number (Re). The Colebrook-White equation is implicit and solved iteratively; Haaland, Churchill and Swamee-Jain are explicit approximations. For Re < 2300 (laminar flow) f = 64/Re is used automatically.',
+    'Fator de Atrito (f)': 'Friction Factor (f)',
+    'Fator de Atrito (f) - Equação de {0}': 'Friction Factor (f) - {0} Equation',
+    'Perda de Carga': 'Head Loss',
+    'Calcular perda de carga total': 'Calculate the total head loss',
+    'Perda de Carga Total (hₜ)': 'Total Head Loss (hₜ)',
+    'A perda de carga total é a soma da perda de carga distribuída (primeiro termo) e da perda de carga localizada (segundo termo). Onde f é o fator de atrito, L é o comprimento do tubo, D é o diâmetro, v é a velocidade do fluido, g é a aceleração da gravidade e Σk é a soma dos coeficientes de perda localizada dos acessórios e válvulas listados (K × quantidade) mais os coeficientes informados à parte.':
+      'The total head loss is the sum of the major loss (first term) and the minor loss (second term). Here f is the friction factor, L is the pipe length, D is the diameter, v is the fluid velocity, g is the gravitational acceleration and Σk is the sum of the minor loss coefficients of the listed fittings and valves (K × quantity) plus the coefficients entered separately.',
+    'Comprimento da Tubulação (L)': 'Pipe Length (L)',
+    'Outros Coeficientes de Perda Localizada (Σk)': 'Other Minor Loss Coefficients (Σk)',
+    'Opcional: somado aos acessórios': 'Optional: added to the fittings',
+    'Acessórios e Válvulas': 'Fittings and Valves',
+    'Equação da Energia': 'Energy Equation',
+    'Calcular carga manométrica da bomba': 'Calculate the pump head',
+    'Equação da Energia para Carga Manométrica (Hₘ)': 'Energy Equation for Pump Head (Hₘ)',
+    'A carga manométrica da bomba é calculada pela equação da energia, considerando a diferença de cotas (z₂-z₁), a diferença de pressões (P₂-P₁), a diferença de energias cinéticas (v₂²-v₁²) e a perda de carga total (hₜ).':
+      'The pump head is calculated from the energy equation, taking into account the elevation difference (z₂-z₁), the pressure difference (P₂-P₁), the kinetic energy difference (v₂²-v₁²) and the total head loss (hₜ).',
+    'Cota no Ponto 1 (z₁)': 'Elevation at Point 1 (z₁)',
+    'Cota no Ponto 2 (z₂)': 'Elevation at Point 2 (z₂)',
+    'Pressão no Ponto 1 (P₁)': 'Pressure at Point 1 (P₁)',
+    'Pressão no Ponto 2 (P₂)': 'Pressure at Point 2 (P₂)',
+    'Velocidade no Ponto 1 (v₁)': 'Velocity at Point 1 (v₁)',
+    'Velocidade no Ponto 2 (v₂)': 'Velocity at Point 2 (v₂)',
+    'Altitude do Local': 'Site Altitude',
+    'Vazio = nível do mar': 'Empty = sea level',
+    'Carga Manométrica (Hₘ)': 'Pump Head (Hₘ)',
+    'Potência da Bomba': 'Pump Power',
+    'Calcular potência da bomba': 'Calculate the pump power',
+    'Potência da Bomba (P)': 'Pump Power (P)',
+    'A potência da bomba é calculada pelo produto da densidade do fluido (ρ), aceleração da gravidade (g), vazão (Q) e altura manométrica (H), dividido pela eficiência da bomba (η).':
+      'The pump power is the product of the fluid density (ρ), gravitational acceleration (g), flow rate (Q) and pump head (H), divided by the pump efficiency (η).',
+    'Altura Manométrica (H)': 'Pump Head (H)',
+    'Eficiência da Bomba (η)': 'Pump Efficiency (η)',
+    'Ponto de Operação da Bomba': 'Pump Operating Point',
+    'Cruzar curva da bomba com curva do sistema': 'Intersect the pump curve with the system curve',
+    'Ponto de Operação (Q, H)': 'Operating Point (Q, H)',
+    'O ponto de operação é a vazão em que a altura fornecida pela bomba iguala a altura exigida pelo sistema. A curva da bomba vem dos pontos informados (ajuste quadrático) ou de H = a - bQ²; a do sistema soma a altura estática às perdas distribuídas (f por Colebrook-White, recalculado a cada vazão) e localizadas (Σk). A interseção é obtida por bisseção, e a potência no eixo é P = ρ·g·Q·H/η.':
+      'The operating point is the flow rate at which the head delivered by the pump equals the head required by the system. The pump curve comes from the given points (quadratic fit) or from H = a - bQ²; the system curve adds the static head to the major losses (f by Colebrook-White, recomputed at each flow rate) and minor losses (Σk). The intersection is found by bisection, and the shaft power is P = ρ·g·Q·H/η.',
+    'Curva da Bomba': 'Pump Curve',
+    'Rendimento da Bomba (η)': 'Pump Efficiency (η)',
+    'Opcional se η estiver nos pontos': 'Optional if η is given in the points',
+    'H_bomba(Q) = Hₑ + (f·L/D + Σk) × (Q/A)² / 2g': 'H_pump(Q) = Hₑ + (f·L/D + Σk) × (Q/A)² / 2g',
+    'Altura Estática (Hₑ = Δz + ΔP/ρg)': 'Static Head (Hₑ = Δz + ΔP/ρg)',
+    'Vazio = 0': 'Empty = 0',
+    'Diâmetro Interno (D)': 'Inner Diameter (D)',
+    'Vazio = tubo liso': 'Empty = smooth pipe',
+    'NPSH Disponível': 'Available NPSH',
+    'Calcular NPSH disponível': 'Calculate the available NPSH',
+    'O NPSH disponível é calculado pela diferença entre a pressão atmosférica (Pₐₜₘ) e a pressão de vapor do fluido (Pᵥ), dividida pelo produto da densidade (ρ) e aceleração da gravidade (g), menos a altura de sucção (hₛ) e a perda de carga na linha de sucção (hₗ). As pressões entram como absolutas: valores manométricos são somados à pressão atmosférica local, calculada pela altitude do local.':
+      'The available NPSH is the difference between the atmospheric pressure (Pₐₜₘ) and the fluid vapor pressure (Pᵥ), divided by the product of the density (ρ) and the gravitational acceleration (g), minus the suction height (hₛ) and the head loss in the suction line (hₗ). Pressures are taken as absolute: gauge values are added to the local atmospheric pressure, calculated from the site altitude.',
+    'Pressão Atmosférica (Pₐₜₘ)': 'Atmospheric Pressure (Pₐₜₘ)',
+    'Vazio = atmosfera local (altitude)': 'Empty = local atmosphere (altitude)',
+    'Pressão de Vapor (Pᵥ)': 'Vapor Pressure (Pᵥ)',
+    'Altura de Sucção (hₛ)': 'Suction Height (hₛ)',
+    'Perda de Carga na Sucção (hₗ)': 'Suction Head Loss (hₗ)',
+    'Equação de Bernoulli': 'Bernoulli Equation',
+    'Conservação de energia no escoamento': 'Energy conservation in the flow',
+    'A equação de Bernoulli descreve a conservação de energia para um fluido em movimento. A soma da pressão (P), da energia cinética (½ρv²) e da energia potencial (ρgh) permanece constante ao longo de uma linha de corrente.':
+      'The Bernoulli equation describes energy conservation for a moving fluid. The sum of the pressure (P), the kinetic energy (½ρv²) and the potential energy (ρgh) remains constant along a streamline.',
+    'P + ½ρv² + ρgh = constante': 'P + ½ρv² + ρgh = constant',
+    'Altura no Ponto 1 (h₁)': 'Height at Point 1 (h₁)',
+    'Altura no Ponto 2 (h₂)': 'Height at Point 2 (h₂)',
+    'Conversor de Unidades': 'Unit Converter',
+    'Converta unidades de medida comuns': 'Convert common units of measurement',
+    'Conversão de Unidades': 'Unit Conversion',
+    'A conversão é feita transformando o valor inicial para a unidade base do SI (Sistema Internacional) e depois convertendo da unidade base para a unidade final desejada. Unidades com zero deslocado (°C, °F, pressões manométricas) somam um deslocamento além do fator.':
+      'The conversion transforms the initial value into the SI (International System) base unit and then converts from the base unit into the desired final unit. Units with an offset zero (°C, °F, gauge pressures) add an offset besides the factor.',
+    'Valor₂ = (Valor₁ × Fator₁ + Desl.₁ - Desl.₂) / Fator₂': 'Value₂ = (Value₁ × Factor₁ + Offset₁ - Offset₂) / Factor₂',
+
+    // Tipos de medida
+    'Velocidade': 'Velocity',
+    'Área': 'Area',
+    'Força': 'Force',
+    'Massa': 'Mass',
+    'Comprimento': 'Length',
+    'Viscosidade': 'Viscosity',
+    'Potência': 'Power',
+    'adimensional': 'dimensionless',
+    'porcentagem': 'percentage',
+    'comprimento': 'length',
+    'área': 'area',
+    'massa': 'mass',
+    'velocidade': 'velocity',
+    'vazão': 'flow rate',
+    'força': 'force',
+    'pressão': 'pressure',
+    'densidade': 'density',
+    'viscosidade': 'viscosity',
+    'potência': 'power',
+    'temperatura': 'temperature',
+    'manométrica': 'gauge',
+    'absoluta': 'absolute',
+
+    // Acessórios
+    'Cotovelo 90° padrão': 'Standard 90° elbow',
+    'Cotovelo 90° raio longo': 'Long-radius 90° elbow',
+    'Cotovelo 45°': '45° elbow',
+    'Curva de retorno 180°': '180° return bend',
+    'Tê passagem direta': 'Tee, line flow',
+    'Tê saída lateral': 'Tee, branch flow',
+    'Válvula gaveta aberta': 'Gate valve, fully open',
+    'Válvula gaveta 1/2 aberta': 'Gate valve, 1/2 open',
+    'Válvula globo aberta': 'Globe valve, fully open',
+    'Válvula angular aberta': 'Angle valve, fully open',
+    'Válvula esfera aberta': 'Ball valve, fully open',
+    'Válvula de retenção (portinhola)': 'Swing check valve',
+    'Válvula de pé com crivo': 'Foot valve with strainer',
+    'Entrada de borda viva': 'Sharp-edged entrance',
+    'Entrada arredondada': 'Rounded entrance',
+    'Entrada reentrante': 'Re-entrant entrance',
+    'Saída para reservatório': 'Exit to reservoir',
+    'Expansão brusca': 'Sudden expansion',
+    'Contração brusca': 'Sudden contraction',
+
+    // Fluidos
+    'Água': 'Water',
+    'Água do mar (S = 35 g/kg)': 'Seawater (S = 35 g/kg)',
+    'Óleo lubrificante (SAE 30)': 'Lubricating oil (SAE 30)',
+    'Óleo diesel': 'Diesel oil',
+    'Glicerina': 'Glycerin',
+    'Ar (1 atm)': 'Air (1 atm)',
+    'Mercúrio': 'Mercury',
+    'Çengel & Cimbala, Mecânica dos Fluidos — propriedades da água saturada': 'Çengel & Cimbala, Fluid Mechanics — properties of saturated water',
+    'Sharqawy, Lienhard & Zubair (2010) — propriedades da água do mar': 'Sharqawy, Lienhard & Zubair (2010) — properties of seawater',
+    'Çengel & Cimbala, Mecânica dos Fluidos — óleo de motor (não usado)': 'Çengel & Cimbala, Fluid Mechanics — engine oil (unused)',
+    'Valores típicos de óleo diesel comercial (ν ≈ 2 a 7 cSt)': 'Typical values for commercial diesel oil (ν ≈ 2 to 7 cSt)',
+    'Çengel & Cimbala, Mecânica dos Fluidos — propriedades da glicerina': 'Çengel & Cimbala, Fluid Mechanics — properties of glycerin',
+    'Çengel & Cimbala, Mecânica dos Fluidos — propriedades do ar a 1 atm': 'Çengel & Cimbala, Fluid Mechanics — properties of air at 1 atm',
+    'Çengel & Cimbala, Mecânica dos Fluidos — propriedades do mercúrio': 'Çengel & Cimbala, Fluid Mechanics — properties of mercury',
+
+    // Materiais e tabelas de tubos
+    'Aço comercial': 'Commercial steel',
+    'Aço inoxidável': 'Stainless steel',
+    'Ferro galvanizado': 'Galvanized iron',
+    'Ferro fundido': 'Cast iron',
+    'Ferro fundido asfaltado': 'Asphalted cast iron',
+    'Aço rebitado': 'Riveted steel',
+    'Concreto': 'Concrete',
+    'Madeira (aduelas)': 'Wood stave',
+    'PVC / plástico': 'PVC / plastic',
+    'Cobre / latão (trefilado)': 'Copper / brass (drawn)',
+    'Vidro': 'Glass',
+    'Aço ANSI Schedule 40': 'ANSI Schedule 40 steel',
+    'Aço ANSI Schedule 80': 'ANSI Schedule 80 steel',
+    'PVC PN 16 (SDR 13,6)': 'PVC PN 16 (SDR 13.6)',
+    'ISO 1452, espessura aproximada DE/SDR': 'ISO 1452, approximate wall thickness OD/SDR',
+    '{0} (ε típico = {1} mm, faixa {2} a {3} mm)': '{0} (typical ε = {1} mm, range {2} to {3} mm)',
+    '{0} — {1}: DE = {2} mm, e = {3} mm, DI = {4} mm ({5})': '{0} — {1}: OD = {2} mm, t = {3} mm, ID = {4} mm ({5})',
+
+    // Seções transversais
+    'Círculo (diâmetro)': 'Circle (diameter)',
+    'Diâmetro (D)': 'Diameter (D)',
+    'Coroa circular (anel)': 'Annulus (ring)',
+    'Diâmetro externo (Dₑ)': 'Outer diameter (Dₑ)',
+    'Diâmetro interno (Dᵢ)': 'Inner diameter (Dᵢ)',
+    'Retângulo': 'Rectangle',
+    'Largura (b)': 'Width (b)',
+    'Altura (h)': 'Height (h)',
+    'Tubo circular parcialmente cheio': 'Partially full circular pipe',
+    'Lâmina d\'água (y)': 'Water depth (y)',
+    'As dimensões da seção devem ser maiores que zero.': 'The section dimensions must be greater than zero.',
+    'O diâmetro interno (Dᵢ) deve ser menor que o externo (Dₑ).': 'The inner diameter (Dᵢ) must be smaller than the outer diameter (Dₑ).',
+    'A lâmina d\'água (y) não pode ser maior que o diâmetro (D).': 'The water depth (y) cannot be greater than the diameter (D).',
+    'A = D² × (θ - sen θ) / 8, θ = 2 arccos(1 - 2y/D)': 'A = D² × (θ - sin θ) / 8, θ = 2 arccos(1 - 2y/D)',
+
+    // Bomba
+    '{0} pontos, Q em {1}': '{0} points, Q in {1}',
+    'H = {0} - {1} × Q², Q em {2}': 'H = {0} - {1} × Q², Q in {2}',
+    ' (curva de rendimento ajustada)': ' (fitted efficiency curve)',
+    ' (informado)': ' (given)',
+    'A altura de shutoff da bomba não supera a altura estática do sistema: não há ponto de operação.':
+      'The pump shutoff head does not exceed the system static head: there is no operating point.',
+    'As curvas da bomba e do sistema não se cruzam na faixa analisada.': 'The pump and system curves do not cross in the analyzed range.',
+    'Curva da bomba incompleta: informe ao menos dois pontos (Q, H) ou os coeficientes a e b.':
+      'Incomplete pump curve: enter at least two points (Q, H) or the coefficients a and b.',
+    'Lista de acessórios inválida: cada item deve indicar o acessório e a quantidade.':
+      'Invalid fittings list: each item must give the fitting and the quantity.',
+    'Razão de diâmetros d/D inválida em {0}: informe um valor maior que 0 e no máximo 1.':
+      'Invalid diameter ratio d/D for {0}: enter a value greater than 0 and at most 1.',
+
+    // Mensagens do motor de cálculo
+    'Transição (2300 < Re < 4000)': 'Transitional (2300 < Re < 4000)',
+    'Turbulento (Re > 4000)': 'Turbulent (Re > 4000)',
+    'Escoamento em transição; o fator de atrito é incerto nesta faixa.': 'Transitional flow; the friction factor is uncertain in this range.',
+    'A iteração não convergiu após {0} iterações.': 'The iteration did not converge after {0} iterations.',
+    'Re = {0} está fora da faixa de validade de {1} ({2}).': 'Re = {0} is outside the validity range of {1} ({2}).',
+    'ε/D = {0} está fora da faixa de validade de {1} ({2}).': 'ε/D = {0} is outside the validity range of {1} ({2}).',
+    '0 ≤ ε/D ≤ 0,05': '0 ≤ ε/D ≤ 0.05',
+    'A pressão absoluta {0} ({1} Pa) é menor ou igual a zero, o que não é fisicamente possível; verifique a referência (manométrica ou absoluta), a altitude e as demais entradas.':
+      'The absolute pressure {0} ({1} Pa) is less than or equal to zero, which is not physically possible; check the reference (gauge or absolute), the altitude and the other inputs.',
+    'Unidade "{0}" inválida para {1}: {2}': 'Invalid unit "{0}" for {1}: {2}',
+    'A unidade "{0}" ({1}) não é de {2} ({3}).': 'The unit "{0}" ({1}) is not a unit of {2} ({3}).',
+    'Tipo de medida desconhecido: "{0}".': 'Unknown measurement type: "{0}".',
+    'Expoente inválido após "^".': 'Invalid exponent after "^".',
+    'Expressão incompleta.': 'Incomplete expression.',
+    'Parêntese não fechado.': 'Unclosed parenthesis.',
+    'Unidade desconhecida: "{0}".': 'Unknown unit: "{0}".',
+    'Símbolo inesperado: "{0}".': 'Unexpected symbol: "{0}".',
+    'Símbolo inesperado em "{0}".': 'Unexpected symbol in "{0}".',
+    'Informe a unidade.': 'Enter the unit.',
+    'Unidade de origem "{0}": {1}': 'Source unit "{0}": {1}',
+    'Unidade de destino "{0}": {1}': 'Target unit "{0}": {1}',
+    'Dimensões incompatíveis: {0} [{1}] e {2} [{3}].': 'Incompatible dimensions: {0} [{1}] and {2} [{3}].',
+
+    // Memória de cálculo
+    'Comprimento (L)': 'Length (L)',
+    'Rugosidade (ε)': 'Roughness (ε)',
+    'Viscosidade (μ)': 'Viscosity (μ)',
+    'Altura Estática (Hₑ)': 'Static Head (Hₑ)',
+    'Cota 1 (z₁)': 'Elevation 1 (z₁)',
+    'Cota 2 (z₂)': 'Elevation 2 (z₂)',
+    'Pressão 1 (P₁)': 'Pressure 1 (P₁)',
+    'Pressão 2 (P₂)': 'Pressure 2 (P₂)',
+    'Velocidade 1 (v₁)': 'Velocity 1 (v₁)',
+    'Velocidade 2 (v₂)': 'Velocity 2 (v₂)',
+    'Perda de Carga (hₜ)': 'Head Loss (hₜ)',
+    'Densidade: ρ': 'Density: ρ',
+    'Acessórios e válvulas (hₘ = n × K × v²/2g):': 'Fittings and valves (hₘ = n × K × v²/2g):',
+    'Acessórios e válvulas:': 'Fittings and valves:',
+    'Altitude do local = {0} {1} = {2} m': 'Site altitude = {0} {1} = {2} m',
+    'Altura (h) = Pressão (P) / (ρ × g)': 'Height (h) = Pressure (P) / (ρ × g)',
+    'Atenção: a iteração não convergiu após {0} iterações.': 'Warning: the iteration did not converge after {0} iterations.',
+    'Atenção: escoamento em transição; o fator de atrito é incerto nesta faixa.':
+      'Warning: transitional flow; the friction factor is uncertain in this range.',
+    'Atenção: temperatura fora da faixa tabelada; foi usado o extremo mais próximo.':
+      'Warning: temperature outside the tabulated range; the nearest end was used.',
+    'Atenção: {0}': 'Warning: {0}',
+    'Atenção: {0} foi informado manualmente e difere do valor da biblioteca.': 'Warning: {0} was entered manually and differs from the library value.',
+    'Catálogo de tubos:': 'Pipe catalog:',
+    'Como Re < {0}, a correlação turbulenta selecionada não se aplica e foi usada a solução laminar.':
+      'Since Re < {0}, the selected turbulent correlation does not apply and the laminar solution was used.',
+    'Comparação entre correlações:': 'Comparison between correlations:',
+    'Configuração da gravidade incompleta: foi usado o valor usual.': 'Incomplete gravity setting: the usual value was used.',
+    'Configuração do fluido manométrico incompleta: foi usada a água.': 'Incomplete manometer fluid setting: water was used.',
+    'Constantes (configurações):': 'Constants (settings):',
+    'Convergência em {0} iterações (tolerância {1})': 'Converged in {0} iterations (tolerance {1})',
+    'Conversão de expressões de unidade:': 'Unit expression conversion:',
+    'Conversão de {0}:': '{0} conversion:',
+    'Curva da bomba ({0}):': 'Pump curve ({0}):',
+    'H(Q) = {0} {1} × Q {2} × Q²  (Q em m³/s, H em m)': 'H(Q) = {0} {1} × Q {2} × Q²  (Q in m³/s, H in m)',
+    'Curva do sistema:': 'System curve:',
+    'Densidade (ρ) = Massa (m) / Volume (V)': 'Density (ρ) = Mass (m) / Volume (V)',
+    'Dimensão: {0}': 'Dimension: {0}',
+    'Eficiência (η) = {0}% = {1}': 'Efficiency (η) = {0}% = {1}',
+    'Equação da Energia para Carga Manométrica da Bomba (Hₘ):': 'Energy Equation for Pump Head (Hₘ):',
+    'Equação de Bernoulli:': 'Bernoulli Equation:',
+    'Esta equação representa a conservação de energia ao longo de uma linha de corrente.':
+      'This equation represents energy conservation along a streamline.',
+    'Este valor é adimensional e representa a rugosidade relativa da tubulação.': 'This value is dimensionless and represents the relative roughness of the pipe.',
+    'Este valor é adimensional e representa o fator de atrito de Darcy-Weisbach.': 'This value is dimensionless and represents the Darcy-Weisbach friction factor.',
+    'Fator de Atrito (f) - Equação de {0}:': 'Friction Factor (f) - {0} Equation:',
+    'Fator de Atrito (f) - Escoamento Laminar:': 'Friction Factor (f) - Laminar Flow:',
+    'Fator de Atrito (f) = {0}': 'Friction Factor (f) = {0}',
+    'Fluido manométrico: {0} a {1} °C, ρ = {2} kg/m³ (biblioteca de fluidos)': 'Manometer fluid: {0} at {1} °C, ρ = {2} kg/m³ (fluid library)',
+    'Fluido manométrico: {0}, ρ = {1} kg/m³': 'Manometer fluid: {0}, ρ = {1} kg/m³',
+    'Fluido manométrico: ρ = {0} kg/m³ (informada nas configurações)': 'Manometer fluid: ρ = {0} kg/m³ (set in the settings)',
+    'Fonte: {0}': 'Source: {0}',
+    'Gravidade local (latitude {0}°, altitude {1} m):': 'Local gravity (latitude {0}°, altitude {1} m):',
+    'H(Q) = Hₑ + (f·L/D + Σk) × (Q/A)²/2g, com f por Colebrook-White (64/Re se Re < {0})':
+      'H(Q) = Hₑ + (f·L/D + Σk) × (Q/A)²/2g, with f by Colebrook-White (64/Re if Re < {0})',
+    'H_bomba = {0} m, H_sistema = {1} m': 'H_pump = {0} m, H_system = {1} m',
+    'Informe o rendimento (ou η nos pontos da curva) para obter a potência consumida.':
+      'Enter the efficiency (or η in the curve points) to obtain the power consumed.',
+    'Interseção (bisseção em [0; {0}] m³/s, {1} iterações):': 'Intersection (bisection on [0; {0}] m³/s, {1} iterations):',
+    'NPSH Disponível = (Pₐₜₘ - Pᵥ) / (ρg) - hₛ - hₗ': 'Available NPSH = (Pₐₜₘ - Pᵥ) / (ρg) - hₛ - hₗ',
+    'Nenhum valor de {0} reproduz o resultado desejado com as demais entradas.': 'No value of {0} reproduces the desired result with the other inputs.',
+    'O ponto de operação (Q = {0} {1}) está fora da faixa dos pontos da curva da bomba ({2} a {3} {1}): a altura foi extrapolada do ajuste.':
+      'The operating point (Q = {0} {1}) is outside the range of the pump curve points ({2} to {3} {1}): the head was extrapolated from the fit.',
+    'O rendimento no ponto de operação foi extrapolado da curva ajustada (pontos com η entre {0} e {1} {2}).':
+      'The efficiency at the operating point was extrapolated from the fitted curve (points with η between {0} and {1} {2}).',
+    'Há mais de uma solução para {0}; foi apresentada a de menor módulo (ver memória de cálculo).':
+      'There is more than one solution for {0}; the one with the smallest magnitude is shown (see the calculation steps).',
+    'Outras soluções encontradas na varredura: {0} {1}. Foi apresentada a de menor módulo.':
+      'Other solutions found in the scan: {0} {1}. The one with the smallest magnitude is shown.',
+    'Número de Reynolds (Re) = (ρ × v × D) / μ': 'Reynolds Number (Re) = (ρ × v × D) / μ',
+    'Número de Reynolds (Re) = {0}': 'Reynolds Number (Re) = {0}',
+    'Outros coeficientes informados: K = {0}': 'Other coefficients entered: K = {0}',
+    'Outros coeficientes informados: K = {0} → hₘ = {1} m': 'Other coefficients entered: K = {0} → hₘ = {1} m',
+    'Perda Distribuída (Darcy-Weisbach):': 'Major Loss (Darcy-Weisbach):',
+    'Perda Distribuída = {0} m': 'Major Loss = {0} m',
+    'Perda Localizada = {0} m': 'Minor Loss = {0} m',
+    'Perda Localizada:': 'Minor Loss:',
+    'Perda Total = {0} m': 'Total Loss = {0} m',
+    'Perda de Carga Total (hₜ) = Perda Distribuída (hₗ) + Perda Localizada (hₘ)': 'Total Head Loss (hₜ) = Major Loss (hₗ) + Minor Loss (hₘ)',
+    'Ponto de operação: H_bomba(Q) = H_sistema(Q)': 'Operating point: H_pump(Q) = H_system(Q)',
+    'Potência da Bomba (P) = (ρ × g × Q × H) / η': 'Pump Power (P) = (ρ × g × Q × H) / η',
+    'Potência hidráulica = ρ × g × Q × H = {0} W': 'Hydraulic power = ρ × g × Q × H = {0} W',
+    'Pressão (P) = Força (F) / Área (A)': 'Pressure (P) = Force (F) / Area (A)',
+    'Pressão Atmosférica (Pₐₜₘ) = Pₐₜₘ local = {0} Pa': 'Atmospheric Pressure (Pₐₜₘ) = local Pₐₜₘ = {0} Pa',
+    'Pressões absolutas (exigidas pelo NPSH):': 'Absolute pressures (required by NPSH):',
+    'Propriedades do fluido: {0} a {1} °C': 'Fluid properties: {0} at {1} °C',
+    'Pᵥ = {0} Pa (interpolação logarítmica)': 'Pᵥ = {0} Pa (logarithmic interpolation)',
+    'P₁ e P₂ em referências diferentes: a diferença foi calculada com as pressões absolutas.':
+      'P₁ and P₂ in different references: the difference was calculated with the absolute pressures.',
+    'P₁ e P₂ na mesma referência ({0}): Pₐₜₘ se cancela em P₂ - P₁.': 'P₁ and P₂ in the same reference ({0}): Pₐₜₘ cancels out in P₂ - P₁.',
+    'P₂ (absoluta) = {0} Pa': 'P₂ (absolute) = {0} Pa',
+    'P₂ (manométrica) = {0} - {1} = {2} Pa': 'P₂ (gauge) = {0} - {1} = {2} Pa',
+    'P₂ é apresentada na mesma referência de P₁ ({0}).': 'P₂ is given in the same reference as P₁ ({0}).',
+    'Pₐₜₘ local = 101325 × (1 - 2.25577×10⁻⁵ × {0})^5.25588 = {1} Pa': 'Local Pₐₜₘ = 101325 × (1 - 2.25577×10⁻⁵ × {0})^5.25588 = {1} Pa',
+    'Pₐₜₘ local = {0} Pa (atmosfera padrão ao nível do mar)': 'Local Pₐₜₘ = {0} Pa (standard atmosphere at sea level)',
+    'Referência das pressões:': 'Pressure reference:',
+    'Regime de Escoamento: {0}': 'Flow Regime: {0}',
+    'Resolvendo para P₂:': 'Solving for P₂:',
+    'Resolvendo para: {0}': 'Solving for: {0}',
+    'Rugosidade Relativa (ε/D) = Rugosidade Absoluta (ε) / Diâmetro (D)': 'Relative Roughness (ε/D) = Absolute Roughness (ε) / Diameter (D)',
+    'Rugosidade Relativa (ε/D) = {0}': 'Relative Roughness (ε/D) = {0}',
+    'Sistema (valores em SI):': 'System (SI values):',
+    'Solução iterativa em 1/√f, partindo da estimativa de Swamee-Jain:': 'Iterative solution in 1/√f, starting from the Swamee-Jain estimate:',
+    'Solução numérica (varredura logarítmica e bisseção, {0} iterações):': 'Numerical solution (logarithmic scan and bisection, {0} iterations):',
+    'Soma dos Coeficientes (Σk) = {0}': 'Sum of Coefficients (Σk) = {0}',
+    'Tabela (T = {0} °C): ρ = {1} kg/m³, μ = {2} Pa·s{3}': 'Table (T = {0} °C): ρ = {1} kg/m³, μ = {2} Pa·s{3}',
+    'Valores em SI:': 'SI values:',
+    'Valores no Ponto 1:': 'Values at Point 1:',
+    'Valores no Ponto 2:': 'Values at Point 2:',
+    'Valores:': 'Values:',
+    'Vazão (Q) = Velocidade (v) × Área da Seção Transversal (A)': 'Flow Rate (Q) = Velocity (v) × Cross-Sectional Area (A)',
+    'Velocidade (v) = Vazão (Q) / Área da Seção Transversal (A)': 'Velocity (v) = Flow Rate (Q) / Cross-Sectional Area (A)',
+    'Verificação pelo cálculo direto:': 'Check by direct calculation:',
+    'g = gₙ = {0} m/s² (gravidade padrão)': 'g = gₙ = {0} m/s² (standard gravity)',
+    'g = {0} m/s² (valor informado nas configurações)': 'g = {0} m/s² (value set in the settings)',
+    'g = {0} m/s² (valor usual)': 'g = {0} m/s² (usual value)',
+    '{0} = {1} {2} (absoluta) = {3} Pa': '{0} = {1} {2} (absolute) = {3} Pa',
+    '{0} = {1} {2} (manométrica) → absoluta = {3} + Pₐₜₘ = {4} Pa': '{0} = {1} {2} (gauge) → absolute = {3} + Pₐₜₘ = {4} Pa',
+    '{0} desejado = {1}': 'Desired {0} = {1}',
+    '{0} desejado = {1} {2} = {3} {4}': 'Desired {0} = {1} {2} = {3} {4}',
+    '{0} → SI: valor × {1}': '{0} → SI: value × {1}',
+    '{0} → SI: valor × {1} + {2}': '{0} → SI: value × {1} + {2}',
+    '{0} → {1}: valor × {2}': '{0} → {1}: value × {2}',
+    '{0} → {1}: valor × {2} + {3}': '{0} → {1}: value × {2} + {3}',
+    '{0}: f = {1} (desvio {2}{3}%)': '{0}: f = {1} (deviation {2}{3}%)',
+    '{0}: f = {1} (referência)': '{0}: f = {1} (reference)',
+    'Área da seção ({0}): {1}': 'Section area ({0}): {1}',
+    'μ = {0} Pa·s (interpolação logarítmica)': 'μ = {0} Pa·s (logarithmic interpolation)',
+    'ρ = {0} kg/m³ (interpolação linear)': 'ρ = {0} kg/m³ (linear interpolation)'
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Tradução da interface (pt-BR e en-US).
+ *
+ * Os textos são escritos em português no código, e o próprio texto em português é a chave
+ * dos catálogos, como no gettext: o catálogo pt-BR só precisa dos textos que mudam de forma,
+ * e o en-US traz as traduções. Textos sem tradução aparecem como estão.
+ *
+ * Chaves podem ter marcadores ({0}, {name}). Com 'params', os marcadores são preenchidos
+ * (t('Salvo em "{name}"', { name })); sem 'params', um texto já montado que não está no
+ * catálogo é comparado com as chaves que têm marcadores, e os trechos no lugar dos marcadores
+ * também são traduzidos (ex.: mensagens de validação com o rótulo do campo).
+ */
+import ptBR from './pt-BR';
+import enUS from './en-US';
+
+const catalogs = { 'pt-BR': ptBR, 'en-US': enUS };
+
+export const DEFAULT_LANGUAGE = 'pt-BR';
+
+// Idiomas disponíveis com o nome de cada um no próprio idioma.
+export const languages = Object.fromEntries(Object.entries(catalogs).map(([id, catalog]) => [id, catalog.name]));
+
+// Convenção numérica usual de cada idioma (ver src/lib/format.js).
+export const languageNumberLocale = (language) => (catalogs[language] || catalogs[DEFAULT_LANGUAGE]).numberLocale;
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const catalogOf = (language) => catalogs[language] || catalogs[DEFAULT_LANGUAGE];
+
+// Chaves com marcadores de cada idioma, como expressões regulares. As mais específicas
+// (com mais texto fixo) são testadas primeiro.
+const patternCache = {};
+function patternsOf(language) {
+  if (!patternCache[language]) {
+    patternCache[language] = Object.entries(catalogOf(language).messages)
+      .filter(([key]) => key.match(PLACEHOLDER))
+      .map(([key, translation]) => {
+        const literal = key.split(PLACEHOLDER).filter((_, index) => index % 2 === 0);
+        const names = [...key.matchAll(PLACEHOLDER)].map(match => match[1]);
+        const regex = new RegExp(`^${literal.map(escapeRegExp).join('(.+?)')}$`, 's');
+        return { regex, names, translation, weight: literal.join('').length };
+      })
+      .sort((a, b) => b.weight - a.weight);
+  }
+  return patternCache[language];
+}
+
+const interpolate = (text, params) => (
+  params ? text.replace(PLACEHOLDER, (match, name) => (name in params ? params[name] : match)) : text
+);
+
+/**
+ * Traduz um texto para 'language', preenchendo os marcadores com 'params'.
+ */
+export function translate(text, language = DEFAULT_LANGUAGE, params) {
+  const message = catalogOf(language).messages[text];
+  if (message !== undefined) return interpolate(message, params);
+  if (!params && typeof text === 'string') {
+    for (const { regex, names, translation } of patternsOf(language)) {
+      const match = regex.exec(text);
+      if (match) {
+        const values = Object.fromEntries(names.map((name, index) => [name, translate(match[index + 1], language)]));
+        return interpolate(translation, values);
+      }
+    }
+  }
+  return interpolate(text, params);
+}
+
+/**
+ * Função de tradução de um idioma: t(texto, params). 't.language' é o idioma, e
+ * 't.template(texto)' traduz apenas chaves exatas (linhas da memória de cálculo, ver stepTemplate).
+ */
+export function createTranslator(language = DEFAULT_LANGUAGE) {
+  const t = (text, params) => translate(text, language, params);
+  t.language = catalogs[language] ? language : DEFAULT_LANGUAGE;
+  t.template = (text) => catalogOf(language).messages[text] ?? text;
+  return t;
+}
@@ -0,0 +1,9 @@
+/**
+ * Catálogo pt-BR. Os textos do código já estão em português e servem de chave (ver index.js);
+ * aqui ficam apenas os que devem aparecer de outra forma.
+ */
+export default {
+  name: 'Português',
+  numberLocale: 'pt-BR',
+  messages: {}
+};
@@ -0,0 +1,219 @@
+/**
+ * Gerador de PDF simples, feito no navegador e sem dependências: texto corrido em
+ * páginas A4 com as fontes padrão do PDF (Helvetica e Courier), quebra automática
+ * de linhas e de páginas e numeração no rodapé. Usado na exportação do memorial de cálculo.
+ */
+
+// Página A4 em pontos (1/72 in) e margens.
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+// Fontes padrão (não embutidas) e o nome de cada uma no dicionário de recursos.
+const FONTS = {
+  regular: { name: 'F1', base: 'Helvetica' },
+  bold: { name: 'F2', base: 'Helvetica-Bold' },
+  italic: { name: 'F3', base: 'Helvetica-Oblique' },
+  mono: { name: 'F4', base: 'Courier' },
+  monoBold: { name: 'F5', base: 'Courier-Bold' }
+};
+
+/**
+ * Estilos dos blocos de texto: fonte, tamanho (pt), cor (RGB 0–1) e espaço antes do bloco.
+ */
+export const PDF_STYLES = {
+  title: { font: 'bold', size: 18, color: [0.27, 0.13, 0.55], spaceBefore: 0 },
+  subtitle: { font: 'regular', size: 10, color: [0.35, 0.35, 0.4], spaceBefore: 2 },
+  heading: { font: 'bold', size: 13, color: [0.27, 0.13, 0.55], spaceBefore: 14 },
+  label: { font: 'bold', size: 10, color: [0.15, 0.15, 0.2], spaceBefore: 8 },
+  text: { font: 'regular', size: 10, color: [0.15, 0.15, 0.2], spaceBefore: 2 },
+  note: { font: 'italic', size: 10, color: [0.3, 0.3, 0.35], spaceBefore: 2 },
+  mono: { font: 'mono', size: 9, color: [0.1, 0.1, 0.15], spaceBefore: 0 },
+  monoBold: { font: 'monoBold', size: 9, color: [0.1, 0.1, 0.15], spaceBefore: 0 },
+  result: { font: 'bold', size: 12, color: [0.27, 0.13, 0.55], spaceBefore: 8 }
+};
+
+// Larguras da Helvetica (1/1000 do tamanho) para os caracteres ASCII 32–126.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Largura aproximada de um texto (pt). A Courier tem largura fixa de 600/1000;
+// a Helvetica-Bold é estimada como 6% mais larga que a regular.
+function textWidth(text, font, size) {
+  if (font === 'mono' || font === 'monoBold') return text.length * 0.6 * size;
+  const scale = font === 'bold' ? 1.06 : 1;
+  let total = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (total * scale * size) / 1000;
+}
+
+// Caracteres fora da codificação WinAnsi das fontes padrão e o texto que os substitui.
+const REPLACEMENTS = {
+  'ρ': 'rho', 'μ': 'mu', 'ν': 'nu', 'ε': 'eps', 'η': 'eta', 'θ': 'theta', 'π': 'pi', 'γ': 'gamma',
+  'λ': 'lambda', 'Σ': 'Soma ', 'Δ': 'Delta ', 'Θ': 'Theta', 'α': 'alfa', 'β': 'beta', 'ω': 'omega',
+  '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '₅': '5', '₆': '6', '₇': '7', '₈': '8', '₉': '9',
+  'ₐ': 'a', 'ₑ': 'e', 'ᵢ': 'i', 'ₗ': 'l', 'ₘ': 'm', 'ₙ': 'n', 'ₛ': 's', 'ₜ': 't', 'ᵥ': 'v', 'ₓ': 'x',
+  '⁰': '^0', '⁴': '^4', '⁵': '^5', '⁶': '^6', '⁷': '^7', '⁸': '^8', '⁹': '^9', '⁻': '^-',
+  '→': '->', '←': '<-', '≤': '<=', '≥': '>=', '≠': '!=', '≈': '~', '√': 'raiz', '∞': 'inf',
+  '✓': 'OK', '✗': 'X', '−': '-', '⋅': '·', '∙': '·'
+};
+
+// Caracteres do intervalo 0x80–0x9F da WinAnsi (Windows-1252).
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89,
+  'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * Converte um texto para a codificação WinAnsi (um caractere por byte),
+ * substituindo letras gregas, índices e símbolos sem representação.
+ */
+export function toWinAnsi(text) {
+  let output = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) output += char;
+    else if (WIN_ANSI_EXTRA[char]) output += String.fromCharCode(WIN_ANSI_EXTRA[char]);
+    else if (REPLACEMENTS[char] !== undefined) output += REPLACEMENTS[char];
+    else output += '?';
+  }
+  return output;
+}
+
+// Escapa os caracteres especiais de uma string literal do PDF.
+const escapeText = (text) => text.replace(/[\\()]/g, char => `\\${char}`);
+
+// Quebra um texto em linhas que cabem na largura disponível (por palavra; palavras longas são cortadas).
+function wrapText(text, font, size, width) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    const indent = paragraph.match(/^ */)[0];
+    let line = '';
+    for (const word of paragraph.trimStart().split(' ')) {
+      const candidate = line ? `${line} ${word}` : `${indent}${word}`;
+      if (!line || textWidth(candidate, font, size) <= width) {
+        line = candidate;
+        continue;
+      }
+      lines.push(line);
+      line = `${indent}${word}`;
+    }
+    // Linha ainda larga demais (palavra única muito longa): corta por caractere.
+    while (textWidth(line, font, size) > width && line.length > 1) {
+      let cut = line.length - 1;
+      while (cut > 1 && textWidth(line.slice(0, cut), font, size) > width) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+const color = ([r, g, b]) => `${r} ${g} ${b}`;
+
+/**
+ * Gera o PDF a partir de uma lista de blocos { text, style } (ver PDF_STYLES),
+ * { space: pt } para espaçamento vertical, { rule: true } para uma linha horizontal
+ * ou { pageBreak: true }. 'footer' é o texto do rodapé, seguido do número da página
+ * ('pageLabel' monta esse número no idioma do relatório). Retorna os bytes do arquivo (Uint8Array).
+ */
+export function createPdf(blocks, { title = '', footer = '', pageLabel = (page, count) => `Página ${page} de ${count}` } = {}) {
+  const pages = [];
+  let commands = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const newPage = () => {
+    if (commands.length) pages.push(commands);
+    commands = [];
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN + 20) newPage();
+  };
+
+  for (const block of blocks) {
+    if (block.pageBreak) {
+      newPage();
+      continue;
+    }
+    if (block.space) {
+      y -= block.space;
+      continue;
+    }
+    if (block.rule) {
+      ensureSpace(8);
+      y -= 4;
+      commands.push(`0.75 0.72 0.85 RG 0.5 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`);
+      y -= 4;
+      continue;
+    }
+    const style = PDF_STYLES[block.style || 'text'];
+    const { name } = FONTS[style.font];
+    const lineHeight = style.size * 1.35;
+    if (y !== PAGE_HEIGHT - MARGIN) y -= style.spaceBefore;
+    for (const line of wrapText(toWinAnsi(block.text), style.font, style.size, CONTENT_WIDTH)) {
+      ensureSpace(lineHeight);
+      y -= lineHeight;
+      if (line.trim()) {
+        commands.push(`BT /${name} ${style.size} Tf ${color(style.color)} rg ${MARGIN} ${(y + style.size * 0.3).toFixed(2)} Td (${escapeText(line)}) Tj ET`);
+      }
+    }
+  }
+  newPage();
+  if (!pages.length) pages.push([]);
+
+  // Rodapé com o número da página.
+  pages.forEach((page, index) => {
+    const text = escapeText(toWinAnsi(`${footer ? `${footer} — ` : ''}${pageLabel(index + 1, pages.length)}`));
+    page.push(`BT /${FONTS.regular.name} 8 Tf 0.45 0.45 0.5 rg ${MARGIN} ${MARGIN - 20} Td (${text}) Tj ET`);
+  });
+
+  // Objetos: 1 catálogo, 2 árvore de páginas, 3 informações, fontes e, para cada página, conteúdo e página.
+  const objects = [];
+  const fontEntries = Object.values(FONTS);
+  const fontIds = fontEntries.map((_, index) => 4 + index);
+  const firstPageId = 4 + fontEntries.length;
+  const pageIds = pages.map((_, index) => firstPageId + index * 2 + 1);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = `<< /Title (${escapeText(toWinAnsi(title))}) /Producer (Calculadora MECFLU) >>`;
+  fontEntries.forEach((font, index) => {
+    objects[fontIds[index]] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`;
+  });
+  const fontResources = fontEntries.map((font, index) => `/${font.name} ${fontIds[index]} 0 R`).join(' ');
+  pages.forEach((page, index) => {
+    const contentId = firstPageId + index * 2;
+    const stream = page.join('\n');
+    objects[contentId] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    objects[contentId + 1] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`;
+  });
+
+  // Todo o conteúdo é WinAnsi (um byte por caractere), então o comprimento da string é o deslocamento em bytes.
+  let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = output.length;
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+  return Uint8Array.from(output, char => char.charCodeAt(0));
+}
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { createPdf, toWinAnsi } from './pdf';
+
+const decode = (bytes) => Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+describe('toWinAnsi', () => {
+  it('mantém o Latin-1 e substitui símbolos sem representação', () => {
+    expect(toWinAnsi('Pressão ρ = 2 kg/m³')).toBe('Pressão rho = 2 kg/m³');
+    expect(toWinAnsi('h₁ → Σk ✓')).toBe('h1 -> Soma k OK');
+    expect(toWinAnsi('—')).toBe(String.fromCharCode(0x97));
+    expect(toWinAnsi('✈')).toBe('?');
+  });
+});
+
+describe('createPdf', () => {
+  it('gera um documento com tabela de referências válida', () => {
+    const pdf = decode(createPdf([{ text: 'Título (1)', style: 'title' }, { rule: true }, { text: 'Linha', style: 'mono' }], { title: 'Teste' }));
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('(Título \\(1\\)) Tj');
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    // Cada deslocamento da tabela aponta para o início do objeto correspondente.
+    const offsets = [...pdf.slice(xrefOffset).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+    offsets.forEach((offset, index) => expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true));
+  });
+
+  it('quebra páginas e numera o rodapé', () => {
+    const blocks = Array.from({ length: 120 }, (_, i) => ({ text: `Linha ${i}`, style: 'text' }));
+    const pdf = decode(createPdf([...blocks, { pageBreak: true }, { text: 'Fim' }], { pageLabel: (page, count) => `p${page}/${count}` }));
+    const count = Number(pdf.match(/\/Count (\d+)/)[1]);
+    expect(count).toBeGreaterThan(2);
+    expect(pdf).toContain(`(p${count}/${count}) Tj`);
+  });
+
+  it('corta palavras mais largas que a página', () => {
+    const pdf = decode(createPdf([{ text: 'x'.repeat(400), style: 'mono' }]));
+    expect((pdf.match(/\(x+\) Tj/g) || []).length).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Projetos: conjuntos nomeados de cálculos (ex.: Reynolds, fator de atrito, perda de carga,
+ * altura da bomba, potência e NPSH de uma mesma instalação), com ordem e anotações.
+ * Os projetos ficam no localStorage e podem ser exportados/importados em arquivo JSON versionado.
+ */
+
+import { getCalculator, sanitizeInputs } from '../calculators';
+
+const STORAGE_KEY = 'mecflu:projects';
+
+// Identificação e versão do arquivo exportado. Aumente a versão ao mudar o formato
+// e trate a conversão das versões anteriores em 'migrations'.
+export const PROJECT_FORMAT = 'mecflu-project';
+export const PROJECT_VERSION = 1;
+
+// Conversões de arquivos antigos: migrations[n] converte o projeto da versão n para n + 1.
+const migrations = {};
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Lê os projetos salvos. Retorna { projects, activeId }, vazio se não houver
+ * projetos ou se o localStorage estiver indisponível ou corrompido.
+ */
+export function loadProjects() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved && Array.isArray(saved.projects)) return { projects: saved.projects, activeId: saved.activeId || null };
+  } catch {
+    // Continua com a lista vazia.
+  }
+  return { projects: [], activeId: null };
+}
+
+/**
+ * Salva os projetos e o projeto ativo. Falhas do localStorage são ignoradas.
+ */
+export function saveProjects(state) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // Os projetos continuam disponíveis apenas nesta sessão.
+  }
+}
+
+// Novo projeto vazio.
+export const createProject = (name) => ({ id: newId(), name, items: [], updatedAt: Date.now() });
+
+/**
+ * Item de projeto a partir de um registro de cálculo (ver createEntry em history.js):
+ * guarda calculadora, entradas, unidades, resumo e resultado, com nome e anotação editáveis.
+ */
+export function createItem(entry, name = entry.calculatorName) {
+  const { calculatorId, calculatorName, inputs, units, summary, result } = entry;
+  return { id: newId(), name, note: '', calculatorId, calculatorName, inputs, units, summary, result };
+}
+
+// Aplica uma alteração aos itens de um projeto, registrando a data da modificação.
+const withItems = (project, items) => ({ ...project, items, updatedAt: Date.now() });
+
+// Inclui um item no fim do projeto.
+export const addItem = (project, item) => withItems(project, [...project.items, item]);
+
+// Altera campos de um item (ex.: { name } ou { note }).
+export const updateItem = (project, id, changes) => withItems(project, project.items.map(item => (item.id === id ? { ...item, ...changes } : item)));
+
+// Remove um item.
+export const removeItem = (project, id) => withItems(project, project.items.filter(item => item.id !== id));
+
+/**
+ * Move um item uma posição para cima (offset = -1) ou para baixo (offset = 1).
+ * Nos extremos da lista o projeto não muda.
+ */
+export function moveItem(project, id, offset) {
+  const from = project.items.findIndex(item => item.id === id);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= project.items.length) return project;
+  const items = [...project.items];
+  [items[from], items[to]] = [items[to], items[from]];
+  return withItems(project, items);
+}
+
+/**
+ * Conteúdo do arquivo JSON de exportação de um projeto.
+ */
+export function exportProject(project) {
+  const { name, items } = project;
+  return JSON.stringify({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    exportedAt: new Date().toISOString(),
+    project: { name, items }
+  }, null, 2);
+}
+
+// Nome de arquivo seguro para a exportação.
+export const projectFileName = (project) => `${project.name.trim().replace(/[^\p{L}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, '') || 'projeto'}.mecflu.json`;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Item importado com os campos no formato gravado por createItem; itens fora do formato
+// quebrariam a lista do projeto, o cálculo e o relatório, e são descartados.
+const isValidItem = (item) => (
+  typeof item.name === 'string'
+  && typeof item.note === 'string'
+  && isPlainObject(item.inputs)
+  && isPlainObject(item.units)
+  && Array.isArray(item.summary)
+  && item.summary.every(line => typeof line === 'string')
+);
+
+// Entradas e unidades do item filtradas pela sua calculadora (ver sanitizeInputs), como nos
+// links compartilhados: valores fora das opções ou de formato inesperado são descartados.
+function sanitizeItem(item) {
+  const { inputs, units } = sanitizeInputs(getCalculator(item.calculatorId), item.inputs, item.units);
+  return { ...item, inputs, units };
+}
+
+/**
+ * Lê um arquivo exportado por exportProject. Retorna { project, skipped } com novos ids
+ * (para não colidir com projetos existentes) ou { error } com a mensagem. Itens de calculadora
+ * desconhecida ou com campos de tipo inválido são ignorados e contados em 'skipped'.
+ */
+export function importProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: 'O arquivo não é um JSON válido.' };
+  }
+  if (!data || data.format !== PROJECT_FORMAT) {
+    return { error: 'O arquivo não é um projeto da calculadora.' };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { error: 'Versão do projeto ausente ou inválida.' };
+  }
+  if (data.version > PROJECT_VERSION) {
+    return { error: `O projeto foi salvo em uma versão mais nova do formato (${data.version}); esta versão da calculadora lê até a ${PROJECT_VERSION}.` };
+  }
+
+  let project = data.project;
+  for (let version = data.version; version < PROJECT_VERSION; version++) {
+    project = migrations[version](project);
+  }
+  if (!project || typeof project.name !== 'string' || !Array.isArray(project.items)) {
+    return { error: 'O arquivo não contém um projeto válido.' };
+  }
+  const items = project.items
+    .filter(item => isPlainObject(item) && typeof item.calculatorId === 'string' && getCalculator(item.calculatorId))
+    .map(item => ({
+      name: item.calculatorName || item.calculatorId,
+      note: '',
+      inputs: {},
+      units: {},
+      summary: [],
+      ...item,
+      id: newId()
+    }))
+    .filter(isValidItem)
+    .map(sanitizeItem);
+  return { project: { ...createProject(project.name), items }, skipped: project.items.length - items.length };
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { PROJECT_FORMAT, PROJECT_VERSION, importProject } from './projects';
+import { buildReport } from './report';
+import { DEFAULT_SETTINGS } from './settings';
+
+const projectFile = (items) => JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION, project: { name: 'Instalação', items } });
+
+describe('importProject', () => {
+  it('completa os campos ausentes dos itens', () => {
+    const { project } = importProject(projectFile([{ calculatorId: 'reynolds', calculatorName: 'Número de Reynolds' }]));
+    expect(project.items).toHaveLength(1);
+    expect(project.items[0]).toMatchObject({ name: 'Número de Reynolds', note: '', inputs: {}, units: {}, summary: [] });
+  });
+
+  it('descarta itens com campos de tipo inválido', () => {
+    const valid = { calculatorId: 'reynolds', inputs: { velocity: 2 }, units: {}, summary: ['v = 2 m/s'] };
+    const { project } = importProject(projectFile([
+      valid,
+      null,
+      { ...valid, summary: 'x' },
+      { ...valid, summary: [1] },
+      { ...valid, inputs: null },
+      { ...valid, units: [] },
+      { ...valid, name: 3 },
+      { ...valid, note: {} }
+    ]));
+    expect(project.items).toHaveLength(1);
+    expect(project.items[0].inputs).toEqual({ velocity: 2 });
+  });
+
+  it('conta os itens ignorados, inclusive os de calculadora desconhecida', () => {
+    const { skipped, project } = importProject(projectFile([{ calculatorId: 'reynolds' }, { calculatorId: 'nao-existe' }, { calculatorId: 'reynolds', inputs: null }]));
+    expect(project.items).toHaveLength(1);
+    expect(skipped).toBe(2);
+  });
+
+  it('descarta seleções fora das opções', () => {
+    const { project } = importProject(projectFile([
+      { calculatorId: 'friction-factor', inputs: { reynolds: 1e5, relativeRoughness: 1e-4, correlation: 'bogus' }, units: { reynolds: 'parsec' } }
+    ]));
+    expect(project.items[0].inputs).toEqual({ reynolds: 1e5, relativeRoughness: 1e-4 });
+    expect(project.items[0].units).toEqual({});
+  });
+
+  it('descarta curvas de bomba malformadas', () => {
+    const system = { staticHead: 10, length: 100, diameter: 0.1, roughness: 0.000045, density: 1000, viscosity: 0.001 };
+    const { project } = importProject(projectFile([
+      { calculatorId: 'pump-operating-point', inputs: { ...system, pumpCurve: { mode: 'points', points: [null, { flow: 0, head: 30 }] } } },
+      { calculatorId: 'pump-operating-point', inputs: { ...system, pumpCurve: { mode: 'points', points: 'x' } } }
+    ]));
+    expect(project.items[0].inputs.pumpCurve.points).toEqual([{ flow: 0, head: 30 }]);
+    expect(project.items[1].inputs.pumpCurve).toBeUndefined();
+  });
+
+  it('itens importados não quebram o relatório', () => {
+    const { project } = importProject(projectFile([
+      { calculatorId: 'friction-factor', inputs: { reynolds: 1e5, relativeRoughness: 1e-4, correlation: 'bogus' } },
+      { calculatorId: 'pump-operating-point', inputs: { pumpCurve: { mode: 'points', points: [null] } } }
+    ]));
+    expect(() => buildReport({ title: project.name, calculations: project.items, settings: DEFAULT_SETTINGS })).not.toThrow();
+  });
+});
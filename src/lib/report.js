@@ -0,0 +1,195 @@
+/**
+ * Memorial de cálculo: relatório com cabeçalho do projeto e, para cada cálculo,
+ * as entradas com unidades, a fórmula, a substituição passo a passo, o resultado e as anotações.
+ * O mesmo relatório é gerado em HTML otimizado para impressão e em PDF (sem servidor).
+ */
+import { getCalculator, getFormula, getResultDisplay, listInputs, referencedUnit, runCalculator } from '../calculators';
+import { formatStep } from './engine';
+import { formatResultValue, stepFormat } from './format';
+import { numberFormat } from './settings';
+import { createTranslator } from './i18n';
+import { createPdf } from './pdf';
+
+// Entradas, fórmula, memória de cálculo e resultado de um item, com o cálculo refeito.
+function calculationSection(calculator, item, settings, format, t) {
+  const result = runCalculator(calculator, item.inputs, item.units, settings);
+  const hasValue = result.value !== null && !isNaN(result.value);
+  const display = getResultDisplay(calculator, item.inputs, result.value, settings?.resultUnits);
+  const formula = calculator.hideFormula ? null : getFormula(calculator, item.inputs);
+  return {
+    inputs: listInputs(calculator, item.inputs, item.units, { locale: format.locale, t }),
+    formula: formula && { title: t(formula.title), formula: t(formula.formula), description: t(formula.description) },
+    steps: result.steps.map(s => ({ kind: s.kind, text: formatStep(s, stepFormat(format, t)) })),
+    result: hasValue
+      ? { text: formatResultValue(display.value, display.decimals, format), unit: referencedUnit(display.unit, display.reference, t) }
+      : null,
+    message: hasValue ? '' : result.message || t('O cálculo não pôde ser refeito.')
+  };
+}
+
+/**
+ * Monta o relatório. 'calculations' é uma lista de { name, calculatorId, inputs, units, note }
+ * (registros do histórico ou itens de projeto); cálculos de calculadoras inexistentes são ignorados.
+ * Os cálculos são refeitos com as configurações 'settings' (gravidade, fluido manométrico),
+ * e o resultado é apresentado na unidade preferida do seu tipo de medida e com a formatação
+ * dos números das configurações. Textos, fórmulas e memória de cálculo saem no idioma das
+ * configurações, guardado em 'language' para os títulos do HTML e do PDF. Um cálculo que
+ * não pode ser refeito aparece com o aviso "O cálculo não pôde ser refeito.".
+ */
+export function buildReport({ title, subtitle = '', calculations, settings }) {
+  const format = numberFormat(settings);
+  const t = createTranslator(settings?.language);
+  const sections = calculations
+    .map(item => ({ item, calculator: getCalculator(item.calculatorId) }))
+    .filter(({ calculator }) => calculator)
+    .map(({ item, calculator }, index) => {
+      const header = { number: index + 1, name: item.name || t(calculator.name), calculatorName: t(calculator.name), note: item.note || '' };
+      try {
+        return { ...header, ...calculationSection(calculator, item, settings, format, t) };
+      } catch {
+        // Item salvo que não pode ser recalculado: a seção fica só com o aviso, sem interromper o relatório.
+        return { ...header, inputs: [], formula: null, steps: [], result: null, message: t('O cálculo não pôde ser refeito.') };
+      }
+    });
+
+  return { title, subtitle, date: new Date().toLocaleString(t.language), language: t.language, sections };
+}
+
+// Escapa texto para inserção em HTML.
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Estilos do relatório impresso (A4, fundo branco, quebra de página entre seções longas).
+const REPORT_CSS = `
+  @page { size: A4; margin: 18mm 16mm; }
+  * { box-sizing: border-box; }
+  body { font-family: 'Helvetica Neue', Arial, sans-serif; color: #1f1f2e; font-size: 11pt; line-height: 1.45; margin: 0 auto; max-width: 180mm; padding: 8mm 0; }
+  header { border-bottom: 2px solid #5b21b6; padding-bottom: 8px; margin-bottom: 16px; }
+  h1 { color: #4c1d95; font-size: 20pt; margin: 0; }
+  header p { color: #55556a; margin: 2px 0 0; font-size: 10pt; }
+  section { margin-top: 20px; break-inside: avoid-page; }
+  h2 { color: #4c1d95; font-size: 13pt; margin: 0 0 6px; border-bottom: 1px solid #ddd6fe; padding-bottom: 3px; }
+  h3 { font-size: 10.5pt; margin: 10px 0 4px; }
+  table { border-collapse: collapse; width: 100%; font-size: 10pt; }
+  td { border-bottom: 1px solid #eee; padding: 3px 6px; vertical-align: top; }
+  td.value { font-family: 'Courier New', monospace; white-space: nowrap; }
+  .formula { font-family: 'Courier New', monospace; background: #f5f3ff; padding: 6px 10px; border-radius: 4px; }
+  .description { color: #55556a; font-size: 9.5pt; margin: 4px 0 0; }
+  pre { font-family: 'Courier New', monospace; font-size: 9.5pt; background: #fafafa; border: 1px solid #eee; padding: 8px 10px; white-space: pre-wrap; margin: 0; }
+  .result { font-size: 13pt; font-weight: bold; color: #4c1d95; margin-top: 8px; }
+  .message { color: #92400e; }
+  .note { font-style: italic; color: #44445a; white-space: pre-wrap; }
+  @media print { body { padding: 0; } }
+`;
+
+/**
+ * Documento HTML completo do relatório, pronto para imprimir (ou salvar como PDF pelo navegador).
+ */
+export function reportHtml(report) {
+  const t = createTranslator(report.language);
+  const sections = report.sections.map(section => `
+  <section>
+    <h2>${section.number}. ${escapeHtml(section.name)}</h2>
+    ${section.name !== section.calculatorName ? `<p class="description">${escapeHtml(section.calculatorName)}</p>` : ''}
+    <h3>${t('Dados de entrada')}</h3>
+    <table>
+      ${section.inputs.map(row => `<tr><td>${escapeHtml(row.label)}</td><td class="value">${escapeHtml(row.value)} ${escapeHtml(row.unit)}</td></tr>`).join('\n      ')}
+    </table>
+    ${section.formula ? `
+    <h3>${t('Fórmula')} — ${escapeHtml(section.formula.title)}</h3>
+    <div class="formula">${escapeHtml(section.formula.formula)}</div>
+    <p class="description">${escapeHtml(section.formula.description)}</p>` : ''}
+    ${section.steps.length ? `
+    <h3>${t('Memória de cálculo')}</h3>
+    <pre>${section.steps.map(s => escapeHtml(s.text)).join('\n')}</pre>` : ''}
+    ${section.result
+    ? `<p class="result">${t('Resultado')}: ${escapeHtml(section.result.text)} ${escapeHtml(section.result.unit)}</p>`
+    : `<p class="message">${escapeHtml(section.message)}</p>`}
+    ${section.note ? `
+    <h3>${t('Observações')}</h3>
+    <p class="note">${escapeHtml(section.note)}</p>` : ''}
+  </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="${t.language}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(report.title)}</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(report.title)}</h1>
+    ${report.subtitle ? `<p>${escapeHtml(report.subtitle)}</p>` : ''}
+    <p>${escapeHtml(t('Memorial de cálculo · {count} cálculo(s) · Emitido em {date}', { count: report.sections.length, date: report.date }))}</p>
+  </header>
+  ${sections}
+</body>
+</html>`;
+}
+
+/**
+ * Relatório em PDF (bytes), com a mesma estrutura do HTML.
+ */
+export function reportPdf(report) {
+  const t = createTranslator(report.language);
+  const blocks = [
+    { text: report.title, style: 'title' },
+    ...(report.subtitle ? [{ text: report.subtitle, style: 'subtitle' }] : []),
+    { text: t('Memorial de cálculo · {count} cálculo(s) · Emitido em {date}', { count: report.sections.length, date: report.date }), style: 'subtitle' },
+    { rule: true }
+  ];
+
+  report.sections.forEach(section => {
+    blocks.push({ text: `${section.number}. ${section.name}`, style: 'heading' });
+    if (section.name !== section.calculatorName) blocks.push({ text: section.calculatorName, style: 'subtitle' });
+    blocks.push({ text: t('Dados de entrada'), style: 'label' });
+    section.inputs.forEach(row => blocks.push({ text: `${row.label}: ${row.value} ${row.unit}`.trim(), style: 'text' }));
+    if (section.formula) {
+      blocks.push({ text: `${t('Fórmula')} — ${section.formula.title}`, style: 'label' });
+      blocks.push({ text: section.formula.formula, style: 'monoBold' });
+      blocks.push({ text: section.formula.description, style: 'note' });
+    }
+    if (section.steps.length) {
+      blocks.push({ text: t('Memória de cálculo'), style: 'label' });
+      section.steps.forEach(s => blocks.push(s.kind === 'blank'
+        ? { space: 6 }
+        : { text: s.text, style: s.kind === 'result' || s.kind === 'heading' ? 'monoBold' : 'mono' }));
+    }
+    blocks.push(section.result
+      ? { text: `${t('Resultado')}: ${section.result.text} ${section.result.unit}`, style: 'result' }
+      : { text: section.message, style: 'note' });
+    if (section.note) {
+      blocks.push({ text: t('Observações'), style: 'label' });
+      blocks.push({ text: section.note, style: 'note' });
+    }
+    blocks.push({ space: 6 }, { rule: true });
+  });
+
+  return createPdf(blocks, {
+    title: report.title,
+    footer: report.title,
+    pageLabel: (page, count) => t('Página {page} de {count}', { page, count })
+  });
+}
+
+// Nome de arquivo seguro para o relatório.
+export const reportFileName = (report, extension) => `${report.title.trim().replace(/[^\p{L}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, '') || 'memorial'}.${extension}`;
+
+/**
+ * Abre o relatório em uma nova janela e chama a impressão do navegador
+ * (onde também é possível salvar como PDF). Retorna false se a janela for bloqueada.
+ */
+export function printReport(report) {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+  printWindow.document.open();
+  printWindow.document.write(reportHtml(report));
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { buildReport, reportFileName, reportHtml, reportPdf } from './report';
+import { DEFAULT_SETTINGS } from './settings';
+
+const reynolds = { name: 'Sucção', calculatorId: 'reynolds', inputs: { density: 1000, velocity: 2, diameter: 0.1, viscosity: 0.001 }, units: {}, note: 'Trecho <A>' };
+
+describe('buildReport', () => {
+  it('refaz cada cálculo com entradas, memória e resultado', () => {
+    const report = buildReport({ title: 'Instalação', calculations: [reynolds], settings: DEFAULT_SETTINGS });
+    expect(report.sections).toHaveLength(1);
+    const [section] = report.sections;
+    expect(section).toMatchObject({ number: 1, name: 'Sucção', note: 'Trecho <A>' });
+    expect(section.result.text.replace(/\D/g, '')).toBe('200000');
+    expect(section.inputs.length).toBeGreaterThan(0);
+    expect(section.steps.length).toBeGreaterThan(0);
+  });
+
+  it('ignora calculadoras inexistentes', () => {
+    const report = buildReport({ title: 'X', calculations: [{ calculatorId: 'nao-existe', inputs: {}, units: {} }, reynolds], settings: DEFAULT_SETTINGS });
+    expect(report.sections.map(section => section.number)).toEqual([1]);
+  });
+
+  it('um item que não pode ser recalculado não interrompe o relatório', () => {
+    const broken = { calculatorId: 'friction-factor', inputs: { reynolds: 1e5, relativeRoughness: 1e-4, correlation: 'bogus' }, units: {} };
+    const report = buildReport({ title: 'X', calculations: [broken, reynolds], settings: DEFAULT_SETTINGS });
+    expect(report.sections).toHaveLength(2);
+    expect(report.sections[0]).toMatchObject({ result: null, message: 'O cálculo não pôde ser refeito.', steps: [] });
+    expect(report.sections[1].result).not.toBeNull();
+  });
+});
+
+describe('reportHtml e reportPdf', () => {
+  const report = buildReport({ title: 'Memorial <1>', calculations: [reynolds], settings: DEFAULT_SETTINGS });
+
+  it('escapa os textos no HTML', () => {
+    const html = reportHtml(report);
+    expect(html).toContain('<title>Memorial &lt;1&gt;</title>');
+    expect(html).toContain('Trecho &lt;A&gt;');
+    expect(html).not.toContain('<A>');
+  });
+
+  it('gera um PDF', () => {
+    const bytes = reportPdf(report);
+    const text = String.fromCharCode(...bytes.slice(0, 8));
+    expect(text).toBe('%PDF-1.4');
+  });
+
+  it('monta um nome de arquivo seguro', () => {
+    expect(reportFileName(report, 'pdf')).toBe('Memorial-1.pdf');
+    expect(reportFileName({ title: '  ' }, 'html')).toBe('memorial.html');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Configurações dos cálculos salvas no localStorage do navegador: aceleração da
+ * gravidade (valor usual, padrão, pela latitude/altitude ou informada) e fluido
+ * manométrico da calculadora de coluna de líquido. Valem para todas as calculadoras.
+ * Guardam também a unidade preferida para exibir o resultado de cada tipo de medida, a
+ * formatação dos números (convenção decimal e precisão) e o idioma da interface.
+ */
+import { G, STANDARD_GRAVITY, WATER_DENSITY, fixed, fluidProperties, gravityAtLocation, gravityText, step } from './engine';
+import { DEFAULT_NUMBER_FORMAT, digitsRange, numberNotations } from './format';
+import { DEFAULT_LANGUAGE, languageNumberLocale, languages } from './i18n';
+
+const STORAGE_KEY = 'mecflu:settings';
+
+// Modos de obtenção da aceleração da gravidade.
+export const gravityModes = {
+  usual: `Valor usual (${G} m/s²)`,
+  standard: `Gravidade padrão (gₙ = ${STANDARD_GRAVITY} m/s²)`,
+  location: 'Pela latitude e altitude do local',
+  custom: 'Valor informado'
+};
+
+// Fluidos da coluna manométrica: densidade fixa ou da biblioteca de fluidos na temperatura escolhida.
+export const manometerFluids = {
+  'water-reference': { label: `Água (ρ = ${WATER_DENSITY} kg/m³)`, name: 'água', density: WATER_DENSITY },
+  'water': { label: 'Água na temperatura informada', library: 'water' },
+  'mercury': { label: 'Mercúrio na temperatura informada', library: 'mercury' },
+  'oil': { label: 'Óleo manométrico (ρ = 827 kg/m³)', name: 'óleo manométrico', density: 827 },
+  'custom': { label: 'Densidade informada' }
+};
+
+export const DEFAULT_SETTINGS = {
+  gravity: { mode: 'usual', latitude: '', altitude: '', value: '' },
+  manometer: { fluid: 'water-reference', temperature: 20, density: '' },
+  // Unidade de exibição do resultado por tipo de medida (ex.: { power: 'kW' }).
+  resultUnits: {},
+  // Convenção numérica e precisão ({ locale, notation, digits }, ver src/lib/format.js).
+  // 'localeChosen' marca a convenção escolhida nas configurações (ver withLanguage).
+  numbers: DEFAULT_NUMBER_FORMAT,
+  // Idioma da interface, da memória de cálculo e do memorial (ver src/lib/i18n).
+  language: DEFAULT_LANGUAGE
+};
+
+/**
+ * Lê as configurações salvas, completando os campos ausentes com os valores padrão.
+ */
+export function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      gravity: { ...DEFAULT_SETTINGS.gravity, ...saved.gravity },
+      manometer: { ...DEFAULT_SETTINGS.manometer, ...saved.manometer },
+      resultUnits: { ...saved.resultUnits },
+      numbers: { ...DEFAULT_SETTINGS.numbers, ...saved.numbers },
+      language: languages[saved.language] ? saved.language : DEFAULT_LANGUAGE
+    };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+/**
+ * Troca o idioma da interface. A convenção numérica acompanha o idioma até que o
+ * usuário escolha uma nas configurações; depois disso, as duas são independentes.
+ */
+export function withLanguage(settings, language) {
+  const numbers = settings.numbers.localeChosen
+    ? settings.numbers
+    : { ...settings.numbers, locale: languageNumberLocale(language) };
+  return { ...settings, language, numbers };
+}
+
+/**
+ * Salva as configurações. Falhas do localStorage são ignoradas.
+ */
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // As configurações continuam valendo nesta sessão.
+  }
+}
+
+// Número de um campo das configurações (NaN se vazio).
+const numberOf = (value) => (value === '' || value === null || value === undefined ? NaN : Number(value));
+
+/**
+ * Confere as configurações. Retorna { [campo]: mensagem } com os campos inválidos
+ * ('latitude', 'altitude', 'gravity', 'temperature', 'density' ou 'digits').
+ */
+export function settingsErrors({ gravity, manometer, numbers = DEFAULT_NUMBER_FORMAT }) {
+  const errors = {};
+  if (gravity.mode === 'location') {
+    if (!(Math.abs(numberOf(gravity.latitude)) <= 90)) errors.latitude = 'Informe a latitude entre -90° e 90°.';
+    const altitude = gravity.altitude === '' ? 0 : numberOf(gravity.altitude);
+    if (!(altitude >= -500 && altitude <= 11000)) errors.altitude = 'Informe a altitude entre -500 e 11000 m.';
+  }
+  if (gravity.mode === 'custom' && !(numberOf(gravity.value) > 0)) errors.gravity = 'Informe um valor de g maior que zero.';
+  if (manometerFluids[manometer.fluid]?.library && !Number.isFinite(numberOf(manometer.temperature))) {
+    errors.temperature = 'Informe a temperatura em °C.';
+  }
+  if (manometer.fluid === 'custom' && !(numberOf(manometer.density) > 0)) errors.density = 'Informe uma densidade maior que zero.';
+  const range = digitsRange[numbers.notation] || digitsRange.significant;
+  const digits = numberOf(numbers.digits);
+  if (!(Number.isInteger(digits) && digits >= range.min && digits <= range.max)) {
+    errors.digits = `Informe um número inteiro entre ${range.min} e ${range.max}.`;
+  }
+  return errors;
+}
+
+/**
+ * Formatação dos números das configurações ({ locale, notation, digits }); com uma
+ * precisão inválida, vale a precisão padrão da notação escolhida.
+ */
+export function numberFormat(settings = DEFAULT_SETTINGS) {
+  const numbers = { ...DEFAULT_NUMBER_FORMAT, ...settings.numbers };
+  if (!numberNotations[numbers.notation]) return DEFAULT_NUMBER_FORMAT;
+  if (settingsErrors({ ...settings, numbers }).digits) return { ...numbers, digits: numbers.notation === 'fixed' ? 2 : DEFAULT_NUMBER_FORMAT.digits };
+  return { ...numbers, digits: Number(numbers.digits) };
+}
+
+// Aceleração da gravidade das configurações; com dados inválidos, vale o valor usual.
+function resolveGravity({ mode, latitude, altitude, value }, errors) {
+  if (mode === 'standard') {
+    return { value: STANDARD_GRAVITY, steps: [step.value`g = gₙ = ${STANDARD_GRAVITY} m/s² (gravidade padrão)`] };
+  }
+  if (mode === 'location' && !errors.latitude && !errors.altitude) {
+    const h = numberOf(altitude) || 0;
+    const location = gravityAtLocation(Number(latitude), h);
+    return { value: location.value, steps: [step.value`Gravidade local (latitude ${Number(latitude)}°, altitude ${h} m):`, ...location.steps] };
+  }
+  if (mode === 'custom' && !errors.gravity) {
+    return { value: Number(value), steps: [step.value`g = ${gravityText(Number(value))} m/s² (valor informado nas configurações)`] };
+  }
+  const steps = [step.value`g = ${G} m/s² (valor usual)`];
+  if (mode !== 'usual') steps.push(step.note`Configuração da gravidade incompleta: foi usado o valor usual.`);
+  return { value: G, steps };
+}
+
+// Fluido da coluna manométrica das configurações ({ label, density, steps }); com dados inválidos, água.
+function resolveColumnFluid({ fluid, temperature, density }, errors) {
+  const option = manometerFluids[fluid];
+  if (option?.library && !errors.temperature) {
+    const props = fluidProperties(option.library, Number(temperature));
+    const steps = [step.value`Fluido manométrico: ${props.label} a ${fixed(props.temperature, 1)} °C, ρ = ${fixed(props.density, 2)} kg/m³ (biblioteca de fluidos)`];
+    if (props.clamped) steps.push(step.note`Atenção: temperatura fora da faixa tabelada; foi usado o extremo mais próximo.`);
+    return { label: `${props.label.toLowerCase()} a ${Number(props.temperature.toFixed(1))} °C`, density: props.density, steps };
+  }
+  if (fluid === 'custom' && !errors.density) {
+    const value = Number(density);
+    return { label: 'configurações', density: value, steps: [step.value`Fluido manométrico: ρ = ${value} kg/m³ (informada nas configurações)`] };
+  }
+  const chosen = option?.density ? option : manometerFluids['water-reference'];
+  const steps = [step.value`Fluido manométrico: ${chosen.name}, ρ = ${chosen.density} kg/m³`];
+  if (chosen !== option) steps.push(step.note`Configuração do fluido manométrico incompleta: foi usada a água.`);
+  return { label: chosen.name, density: chosen.density, steps };
+}
+
+/**
+ * Constantes físicas definidas pelas configurações, com os passos que documentam
+ * sua origem: { gravity: { value, steps }, columnFluid: { label, density, steps } }.
+ */
+export function physicalConstants(settings = DEFAULT_SETTINGS) {
+  const errors = settingsErrors(settings);
+  return {
+    gravity: resolveGravity(settings.gravity, errors),
+    columnFluid: resolveColumnFluid(settings.manometer, errors)
+  };
+}
@@ -0,0 +1,91 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { G, STANDARD_GRAVITY } from './engine';
+import { DEFAULT_SETTINGS, loadSettings, physicalConstants, saveSettings, withLanguage } from './settings';
+
+// localStorage em memória (os testes rodam fora do navegador).
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); }
+  };
+};
+
+const withGravity = (gravity) => ({ ...DEFAULT_SETTINGS, gravity: { ...DEFAULT_SETTINGS.gravity, ...gravity } });
+
+describe('loadSettings', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('usa os valores padrão sem configurações salvas', () => {
+    vi.stubGlobal('localStorage', memoryStorage());
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('completa configurações salvas por versões anteriores', () => {
+    const saved = { gravity: { mode: 'custom', value: '9.7' }, manometer: { fluid: 'mercury' } };
+    vi.stubGlobal('localStorage', memoryStorage({ 'mecflu:settings': JSON.stringify(saved) }));
+    const settings = loadSettings();
+    expect(settings.gravity).toEqual({ ...DEFAULT_SETTINGS.gravity, mode: 'custom', value: '9.7' });
+    expect(settings.manometer).toEqual({ ...DEFAULT_SETTINGS.manometer, fluid: 'mercury' });
+    expect(settings.numbers).toEqual(DEFAULT_SETTINGS.numbers);
+    expect(settings.resultUnits).toEqual({});
+    expect(settings.language).toBe(DEFAULT_SETTINGS.language);
+  });
+
+  it('descarta idiomas desconhecidos e dados corrompidos', () => {
+    vi.stubGlobal('localStorage', memoryStorage({ 'mecflu:settings': JSON.stringify({ language: 'xx-XX' }) }));
+    expect(loadSettings().language).toBe(DEFAULT_SETTINGS.language);
+    vi.stubGlobal('localStorage', memoryStorage({ 'mecflu:settings': '{' }));
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('lê as configurações salvas por saveSettings', () => {
+    vi.stubGlobal('localStorage', memoryStorage());
+    const settings = { ...withGravity({ mode: 'standard' }), resultUnits: { power: 'kW' }, language: 'en-US' };
+    saveSettings(settings);
+    expect(loadSettings()).toEqual(settings);
+  });
+
+  it('ignora falhas do localStorage', () => {
+    vi.stubGlobal('localStorage', { getItem: () => { throw new Error('bloqueado'); }, setItem: () => { throw new Error('cheio'); } });
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+    expect(() => saveSettings(DEFAULT_SETTINGS)).not.toThrow();
+  });
+});
+
+describe('physicalConstants', () => {
+  it('usa o valor usual, a gravidade padrão ou o valor informado', () => {
+    expect(physicalConstants(DEFAULT_SETTINGS).gravity.value).toBe(G);
+    expect(physicalConstants(withGravity({ mode: 'standard' })).gravity.value).toBe(STANDARD_GRAVITY);
+    expect(physicalConstants(withGravity({ mode: 'custom', value: '9.7' })).gravity.value).toBe(9.7);
+  });
+
+  it('calcula a gravidade pela latitude e altitude', () => {
+    const { gravity } = physicalConstants(withGravity({ mode: 'location', latitude: '45', altitude: '1000' }));
+    expect(gravity.value).toBeCloseTo(9.806199 - 0.003086, 5);
+  });
+
+  it('volta ao valor usual com dados incompletos', () => {
+    [{ mode: 'custom', value: '' }, { mode: 'location', latitude: '95' }].forEach(config => {
+      const { gravity } = physicalConstants(withGravity(config));
+      expect(gravity.value).toBe(G);
+      expect(gravity.steps.at(-1).kind).toBe('note');
+    });
+  });
+});
+
+describe('withLanguage', () => {
+  it('a convenção numérica acompanha o idioma enquanto não for escolhida', () => {
+    const english = withLanguage(DEFAULT_SETTINGS, 'en-US');
+    expect(english.language).toBe('en-US');
+    expect(english.numbers.locale).toBe('en-US');
+    expect(withLanguage(english, 'pt-BR').numbers.locale).toBe('pt-BR');
+  });
+
+  it('mantém a convenção escolhida pelo usuário', () => {
+    const chosen = { ...DEFAULT_SETTINGS, numbers: { ...DEFAULT_SETTINGS.numbers, locale: 'pt-BR', localeChosen: true } };
+    const english = withLanguage(chosen, 'en-US');
+    expect(english.language).toBe('en-US');
+    expect(english.numbers).toEqual(chosen.numbers);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Varredura paramétrica: uma entrada varia em uma faixa (passos lineares ou logarítmicos)
+ * com as demais fixas nos valores do formulário. Um segundo parâmetro opcional gera
+ * uma família de curvas, uma para cada valor informado.
+ */
+import { getResultUnit, runCalculator } from '../calculators';
+
+// Limite de pontos por curva, para manter o cálculo e o gráfico leves.
+export const SWEEP_MAX_POINTS = 500;
+
+/**
+ * Valores da varredura de 'from' a 'to' (from < to) com 'count' pontos, em passos lineares
+ * ou logarítmicos (razão constante). Retorna { values } ou { error }.
+ */
+export function sweepValues(from, to, count, scale = 'linear') {
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return { error: 'Informe os valores inicial e final da faixa.' };
+  if (from >= to) return { error: 'O valor final deve ser maior que o inicial.' };
+  if (!Number.isInteger(count) || count < 2 || count > SWEEP_MAX_POINTS) {
+    return { error: `O número de pontos deve ser um inteiro entre 2 e ${SWEEP_MAX_POINTS}.` };
+  }
+  // Arredonda o ruído de ponto flutuante (ex.: 9,999999999999998 → 10).
+  const clean = (value) => Number(value.toPrecision(12));
+  if (scale === 'log') {
+    if (!(from > 0 && to > 0)) return { error: 'A escala logarítmica exige valores positivos.' };
+    const ratio = Math.pow(to / from, 1 / (count - 1));
+    return { values: Array.from({ length: count }, (_, i) => clean(from * Math.pow(ratio, i))) };
+  }
+  const stepSize = (to - from) / (count - 1);
+  return { values: Array.from({ length: count }, (_, i) => clean(from + i * stepSize)) };
+}
+
+/**
+ * Executa a varredura. 'parameter' é { field, unit, values } (valores na unidade 'unit');
+ * 'family' (opcional) tem o mesmo formato e gera uma curva por valor; 'settings' são as
+ * configurações dos cálculos (gravidade, fluido manométrico).
+ * Retorna { unit, series: [{ value, points: [{ x, y, error }] }] }, com y = null nos pontos sem resultado.
+ */
+export function runSweep(calculator, inputs, units, parameter, family = null, settings) {
+  // A varredura é sempre no sentido direto da fórmula.
+  const baseInputs = { ...inputs, solveFor: undefined };
+  const baseUnits = { ...units, [parameter.field]: parameter.unit };
+  if (family) baseUnits[family.field] = family.unit;
+
+  const familyValues = family ? family.values : [null];
+  const series = familyValues.map(familyValue => ({
+    value: familyValue,
+    points: parameter.values.map(x => {
+      const pointInputs = { ...baseInputs, [parameter.field]: x };
+      if (family) pointInputs[family.field] = familyValue;
+      const result = runCalculator(calculator, pointInputs, baseUnits, settings);
+      if (result.value === null) {
+        return { x, y: null, error: result.message || 'Sem resultado' };
+      }
+      return { x, y: result.value, error: null };
+    })
+  }));
+
+  return { unit: getResultUnit(calculator, baseInputs), series };
+}
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { getCalculator } from '../calculators';
+import { DEFAULT_SETTINGS } from './settings';
+import { SWEEP_MAX_POINTS, runSweep, sweepValues } from './sweep';
+
+describe('sweepValues', () => {
+  it('divide a faixa em passos lineares', () => {
+    expect(sweepValues(0, 10, 5).values).toEqual([0, 2.5, 5, 7.5, 10]);
+    expect(sweepValues(0.1, 0.3, 3).values).toEqual([0.1, 0.2, 0.3]);
+  });
+
+  it('divide a faixa em passos logarítmicos', () => {
+    expect(sweepValues(1, 1000, 4, 'log').values).toEqual([1, 10, 100, 1000]);
+    expect(sweepValues(0.001, 0.1, 3, 'log').values).toEqual([0.001, 0.01, 0.1]);
+  });
+
+  it('recusa faixas vazias ou invertidas', () => {
+    expect(sweepValues(5, 5, 10).error).toBeDefined();
+    expect(sweepValues(10, 0, 10).error).toBeDefined();
+    expect(sweepValues(NaN, 10, 10).error).toBeDefined();
+  });
+
+  it('recusa limites não positivos na escala logarítmica', () => {
+    expect(sweepValues(0, 10, 5, 'log').error).toContain('positivos');
+    expect(sweepValues(-10, -1, 5, 'log').error).toContain('positivos');
+  });
+
+  it('recusa números de pontos inválidos', () => {
+    [1, 0, 2.5, SWEEP_MAX_POINTS + 1].forEach(count => expect(sweepValues(0, 10, count).error).toBeDefined());
+  });
+});
+
+describe('runSweep', () => {
+  const calculator = getCalculator('reynolds');
+  const inputs = { density: 1000, velocity: 2, diameter: 0.1, viscosity: 0.001 };
+
+  it('calcula uma curva por valor da família', () => {
+    const { series } = runSweep(calculator, inputs, {}, { field: 'velocity', unit: 'm/s', values: [1, 2] }, { field: 'viscosity', unit: 'Pa·s', values: [0.001, 0.002] }, DEFAULT_SETTINGS);
+    expect(series.map(curve => curve.value)).toEqual([0.001, 0.002]);
+    expect(series[0].points.map(point => point.y)).toEqual([100000, 200000]);
+    expect(series[1].points[1].y).toBeCloseTo(100000, 6);
+  });
+
+  it('marca os pontos sem resultado sem interromper a família', () => {
+    const { series } = runSweep(calculator, inputs, {}, { field: 'diameter', unit: 'm', values: [-0.1, 0.1] }, { field: 'viscosity', unit: 'Pa·s', values: [0.001, 0.002] }, DEFAULT_SETTINGS);
+    series.forEach(curve => {
+      expect(curve.points[0]).toMatchObject({ x: -0.1, y: null });
+      expect(curve.points[0].error).toBeTruthy();
+      expect(curve.points[1].y).toBeGreaterThan(0);
+    });
+  });
+
+  it('varre no sentido direto mesmo com uma incógnita escolhida', () => {
+    const { series } = runSweep(calculator, { ...inputs, velocity: undefined, result: 1e5, solveFor: 'velocity' }, {}, { field: 'velocity', unit: 'm/s', values: [3] }, null, DEFAULT_SETTINGS);
+    expect(series[0].points[0].y).toBeCloseTo(300000, 6);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Estado da calculadora na URL (hash), para links compartilháveis.
+ * Formato: #/<id da calculadora>?inputs=<JSON>&units=<JSON>. O hash funciona no
+ * GitHub Pages, pois não depende de rotas no servidor.
+ */
+
+/**
+ * Monta o hash de uma calculadora com as entradas e unidades atuais.
+ * Entradas e unidades vazias são omitidas.
+ */
+export function encodeHash(calculatorId, inputs = {}, units = {}) {
+  const params = new URLSearchParams();
+  if (Object.keys(inputs).length) params.set('inputs', JSON.stringify(inputs));
+  if (Object.keys(units).length) params.set('units', JSON.stringify(units));
+  const query = params.toString();
+  return `#/${encodeURIComponent(calculatorId)}${query ? `?${query}` : ''}`;
+}
+
+// Lê um parâmetro JSON do hash; valores ausentes ou inválidos viram um objeto vazio.
+function parseParam(params, name) {
+  try {
+    const value = JSON.parse(params.get(name));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Interpreta o hash da URL. Retorna { calculatorId, inputs, units }, ou null
+ * quando o hash não aponta para uma calculadora (tela de categorias).
+ */
+export function decodeHash(hash) {
+  const match = /^#\/([^?]+)(?:\?(.*))?$/.exec(hash || '');
+  if (!match) return null;
+  const params = new URLSearchParams(match[2] || '');
+  return {
+    calculatorId: decodeURIComponent(match[1]),
+    inputs: parseParam(params, 'inputs'),
+    units: parseParam(params, 'units')
+  };
+}
+
+// URL da tela de categorias (sem hash).
+export const homeUrl = () => window.location.pathname + window.location.search;